@@ -0,0 +1,272 @@
+// ── AI providers ──
+// Every model call goes through complete(), so identify, lot, listing generation, item specifics and
+// verification share one contract whichever provider serves them. Each task is assigned a provider
+// and model per account (users.ai_settings), falling back to the defaults below.
+//
+// Request:  { messages: [{ role: 'system' | 'user' | 'assistant', content }], temperature, maxTokens }
+//           content is a string or an array of { type: 'text', text } / { type: 'image', data, mimeType }
+//           parts, where `data` is base64
+// Response: { text, provider, model }
+// Failures throw AiError carrying the provider's message, its HTTP status and whether a retry may help.
+// Tasks that answer in JSON go through completeJson() in ai-validation.js instead of calling complete() directly.
+
+const OPENAI_URL = 'https://api.openai.com/v1/chat/completions';
+const OPENROUTER_URL = 'https://openrouter.ai/api/v1/chat/completions';
+const VISION_URL = 'https://vision.googleapis.com/v1/images:annotate';
+
+const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-5.2';
+const CLAUDE_MODEL = process.env.CLAUDE_MODEL || 'anthropic/claude-opus-4-6';
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'google/gemini-2.5-flash';
+
+// Task → label and built-in assignment. AI_PROVIDER (e.g. "local") replaces the built-in provider
+// for every task; accounts that picked a provider in Settings keep theirs.
+const TASKS = {
+  identify: { label: 'Identify products', provider: 'openrouter', model: GEMINI_MODEL },
+  lot:      { label: 'Identify lot items', provider: 'openrouter', model: GEMINI_MODEL },
+  generate: { label: 'Generate listings', provider: 'openai', model: OPENAI_MODEL },
+  aspects:  { label: 'Fill item specifics', provider: 'openai', model: OPENAI_MODEL },
+  verify:   { label: 'Verify listings', provider: 'openrouter', model: CLAUDE_MODEL },
+};
+
+class AiError extends Error {
+  constructor(message, { provider, status = 500, transient = false, fieldErrors = [] } = {}) {
+    super(message);
+    this.name = 'AiError';
+    this.provider = provider;
+    this.status = status;
+    this.transient = transient;
+    this.fieldErrors = fieldErrors; // [{ path, message }] when a reply failed schema validation
+  }
+}
+
+const imageUrl = (part) => `data:${part.mimeType || 'image/jpeg'};base64,${part.data}`;
+
+// Contract messages → OpenAI-style chat messages (OpenRouter speaks the same format)
+function toChatMessages(messages) {
+  return messages.map(({ role, content }) => ({
+    role,
+    content: typeof content === 'string'
+      ? content
+      : content.map(part => (part.type === 'image'
+        ? { type: 'image_url', image_url: { url: imageUrl(part) } }
+        : { type: 'text', text: part.text })),
+  }));
+}
+
+async function chatCompletion(provider, url, apiKey, body) {
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+      body: JSON.stringify(body),
+    });
+  } catch (err) {
+    throw new AiError(`${provider} unreachable: ${err.message}`, { provider, status: 502, transient: true });
+  }
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) {
+    throw new AiError(data.error?.message || `${provider} error ${resp.status}`, {
+      provider,
+      status: resp.status,
+      transient: resp.status === 429 || resp.status >= 500,
+    });
+  }
+  const text = data.choices?.[0]?.message?.content;
+  if (typeof text !== 'string') throw new AiError(`${provider} returned no content`, { provider, status: 502, transient: true });
+  return text.trim();
+}
+
+// ── Local stand-in ──
+// Deterministic canned answers in each task's response format, worked out from the prompt itself,
+// so the whole pipeline runs with no outside services (development, demos, automated runs).
+
+const promptText = (messages) => messages
+  .flatMap(m => (typeof m.content === 'string' ? [m.content] : m.content.filter(p => p.type === 'text').map(p => p.text)))
+  .join('\n');
+const imageCount = (messages) => messages
+  .reduce((n, m) => n + (typeof m.content === 'string' ? 0 : m.content.filter(p => p.type === 'image').length), 0);
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const promptLine = (text, label) => (text.match(new RegExp(`^${label}:[ \\t]*(.+)$`, 'm')) || [])[1]?.trim() || '';
+
+const LOCAL_RESPONSES = {
+  identify(messages) {
+    const count = Math.max(1, imageCount(messages));
+    return JSON.stringify({
+      groups: Array.from({ length: count }, (_, i) => ({
+        groupId: i, productName: `Sample product ${i + 1}`, confidence: 50, imageIndices: [i],
+      })),
+      suggestedBundles: [],
+    });
+  },
+
+  lot() {
+    const items = [1, 2, 3].map(index => ({ index, title: `Sample lot item ${index}`, details: '' }));
+    return JSON.stringify({ itemCount: items.length, items });
+  },
+
+  generate(messages) {
+    const text = promptText(messages);
+    const product = (text.match(/create the same thing for this item:[ \t]*(.+)$/m) || [])[1]?.trim() || 'Sample product';
+    const brand = promptLine(text, 'Brand');
+    const condition = promptLine(text, 'Condition') || 'Used';
+    return JSON.stringify({
+      title: `${product} ${condition}`.substring(0, 80),
+      categoryId: '31388',
+      categoryName: 'Digital Cameras',
+      brand: brand && brand !== 'Unknown' ? brand : 'Unbranded',
+      type: 'Sample',
+      mpn: 'Does Not Apply',
+      packageWeight: 2,
+      packageDimensions: { length: 12, width: 9, depth: 4 },
+      packageType: 'PackageThickEnvelope',
+      html: `<div><h1>${escapeHtml(product)}</h1><p>Condition: ${escapeHtml(condition)}</p></div>`,
+    });
+  },
+
+  // Keep current values, else the first value used before or allowed, else "Does Not Apply"
+  aspects(messages) {
+    const fields = JSON.parse((promptText(messages).match(/Fields:\n([\s\S]*?)\n\nRespond/) || [])[1] || '[]');
+    const values = {};
+    for (const f of fields) {
+      const current = Array.isArray(f.currentValue) ? f.currentValue.length > 0 : !!f.currentValue;
+      const value = current ? f.currentValue : (f.usedBefore?.[0] || f.allowedValues?.[0] || 'Does Not Apply');
+      values[f.name] = f.multi && !Array.isArray(value) ? [value] : value;
+    }
+    return JSON.stringify(values);
+  },
+
+  // Hand the existing listing back unchanged in the requested format
+  verify(messages) {
+    const text = promptText(messages);
+    const title = (text.match(/EXISTING TITLE:\n(.*)/) || [])[1] || '';
+    const html = (text.match(/EXISTING HTML DESCRIPTION:\n([\s\S]*?)\n\nYOUR TASKS:/) || [])[1] || '';
+    return JSON.stringify({
+      title,
+      brand: promptLine(text, 'CURRENT BRAND') || 'Unbranded',
+      type: promptLine(text, 'CURRENT TYPE') || 'Sample',
+      mpn: promptLine(text, 'CURRENT MPN') || 'Does Not Apply',
+      html,
+    });
+  },
+};
+
+// ── Providers ──
+// Each has a label, a model for tasks that don't name one, whether its credentials are configured,
+// and complete(request, model, task) → text
+
+const PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    defaultModel: OPENAI_MODEL,
+    configured: () => !!process.env.OPENAI_API_KEY,
+    complete: (request, model) => chatCompletion('OpenAI', OPENAI_URL, process.env.OPENAI_API_KEY, {
+      model,
+      messages: toChatMessages(request.messages),
+      temperature: request.temperature ?? 0.7,
+      max_completion_tokens: request.maxTokens ?? 4000,
+    }),
+  },
+  openrouter: {
+    label: 'OpenRouter',
+    defaultModel: GEMINI_MODEL,
+    configured: () => !!process.env.OPENROUTER_API_KEY,
+    complete: (request, model) => chatCompletion('OpenRouter', OPENROUTER_URL, process.env.OPENROUTER_API_KEY, {
+      model,
+      messages: toChatMessages(request.messages),
+      temperature: request.temperature ?? 0.4,
+      max_tokens: request.maxTokens ?? 4096,
+    }),
+  },
+  local: {
+    label: 'Local stand-in (canned results)',
+    defaultModel: 'canned',
+    configured: () => true,
+    complete: async (request, model, task) => LOCAL_RESPONSES[task](request.messages),
+  },
+};
+
+const isTask = (task) => Object.prototype.hasOwnProperty.call(TASKS, task);
+const isProvider = (provider) => Object.prototype.hasOwnProperty.call(PROVIDERS, provider);
+
+// Provider and model serving a task for an account: its own pick, else AI_PROVIDER, else the built-in
+function resolveAssignment(aiSettings, task) {
+  const builtIn = TASKS[task];
+  const chosen = aiSettings?.[task];
+  const provider = [chosen?.provider, process.env.AI_PROVIDER].find(isProvider) || builtIn.provider;
+  const model = (chosen?.provider === provider && chosen.model)
+    || (provider === builtIn.provider ? builtIn.model : PROVIDERS[provider].defaultModel);
+  return { provider, model };
+}
+
+// Run one task for an account (userConfig from loadUserConfig/loadAccountConfig)
+async function complete(userConfig, task, request) {
+  if (!isTask(task)) throw new AiError(`Unknown AI task: ${task}`, { status: 400 });
+  const { provider, model } = resolveAssignment(userConfig?.aiSettings, task);
+  const impl = PROVIDERS[provider];
+  if (!impl.configured()) {
+    throw new AiError(`${impl.label} API key not configured in .env`, { provider, status: 400 });
+  }
+  const text = await impl.complete(request, model, task);
+  return { text, provider, model };
+}
+
+// Validate the task → { provider, model } map from PUT /api/config/ai; returns { error } or { settings }
+function parseAiSettings(body) {
+  const input = body.settings || {};
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'settings must be an object' };
+  const settings = {};
+  for (const [task, choice] of Object.entries(input)) {
+    if (!isTask(task)) return { error: `Unknown AI task: ${task}` };
+    if (!choice || !choice.provider) continue; // default
+    if (!isProvider(choice.provider)) return { error: `${TASKS[task].label}: unknown provider` };
+    const model = String(choice.model || '').trim();
+    if (model.length > 100 || (model && !/^[\w.:/-]+$/.test(model))) return { error: `${TASKS[task].label}: invalid model name` };
+    settings[task] = { provider: choice.provider, model: model || null };
+  }
+  return { settings };
+}
+
+// Tasks, providers and the account's effective assignments, for the Settings page
+function describeAiSettings(aiSettings) {
+  return {
+    tasks: Object.entries(TASKS).map(([id, t]) => ({
+      id,
+      label: t.label,
+      default: resolveAssignment({}, id),
+      chosen: aiSettings?.[id] || null,
+    })),
+    providers: Object.entries(PROVIDERS).map(([id, p]) => ({ id, label: p.label, configured: p.configured() })),
+  };
+}
+
+// ── Google Vision ──
+// Label/web detection rather than a chat model, so it sits beside the providers instead of behind them
+async function annotateImages(requests) {
+  if (!process.env.GOOGLE_VISION_API_KEY) {
+    throw new AiError('Google Vision API key not configured in .env', { provider: 'vision', status: 400 });
+  }
+  const resp = await fetch(`${VISION_URL}?key=${process.env.GOOGLE_VISION_API_KEY}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ requests }),
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) {
+    throw new AiError(data.error?.message || `Google Vision error ${resp.status}`, {
+      provider: 'vision',
+      status: resp.status,
+      transient: resp.status === 429 || resp.status >= 500,
+    });
+  }
+  return data;
+}
+
+module.exports = {
+  TASKS,
+  AiError,
+  complete,
+  parseAiSettings,
+  describeAiSettings,
+  annotateImages,
+};
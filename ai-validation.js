@@ -0,0 +1,164 @@
+// ── Validated AI output ──
+// completeJson() asks a task for JSON and checks the reply against a JSON schema (the subset below).
+// A reply that fails goes back to the model once with its errors (repair); if the repair fails too the
+// whole request is retried, up to MAX_RETRIES times. Every failed reply is stored in ai_response_errors
+// with its per-field errors, and a request that never validates throws an AiError carrying them.
+const pool = require('./db');
+const { AiError, complete } = require('./ai-providers');
+
+const MAX_RETRIES = 1; // fresh requests after the first reply and its repair both fail
+const STORED_RESPONSE_CHARS = 20000;
+const ERROR_RETENTION_DAYS = 30;
+
+// ── Schema checks ──
+// Supports type (one or a list; "integer" included), enum, required, properties, items, minItems,
+// maxItems, minLength, maxLength, pattern, minimum, maximum and exclusiveMinimum
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function hasType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+// Errors as [{ path, message }], where path is like "groups[2].imageIndices"; none means valid
+function validateSchema(schema, value, path = '') {
+  const at = path || '(response)';
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types && !types.some(t => hasType(value, t))) {
+    return [{ path: at, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path: at, message: `must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` }];
+  }
+
+  const errors = [];
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push({ path: at, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `must be at most ${schema.maxLength} characters (got ${value.length})` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: `must match ${schema.pattern}` });
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path: at, message: `must be at most ${schema.maximum}` });
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path: at, message: `must be greater than ${schema.exclusiveMinimum}` });
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path: at, message: `must have at least ${schema.minItems} item(s)` });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateSchema(propSchema, value[key], path ? `${path}.${key}` : key));
+    }
+  }
+  return errors;
+}
+
+const describeErrors = (errors) => errors.map(e => `${e.path}: ${e.message}`).join('; ');
+
+// The reply parsed and checked: { value, errors }. `check` adds rules a schema can't express and
+// only runs once the schema passes.
+function checkReply(text, schema, check) {
+  const raw = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/i, '');
+  let value;
+  try {
+    value = JSON.parse(raw);
+  } catch (err) {
+    return { value: null, errors: [{ path: '(response)', message: `is not valid JSON: ${err.message}` }] };
+  }
+  const errors = validateSchema(schema, value);
+  if (errors.length === 0 && check) errors.push(...check(value));
+  return { value, errors };
+}
+
+// Ask again with the bad reply and what's wrong with it. Photos are left out: fixing the format
+// doesn't need them, and they are most of the request's size.
+function repairRequest(request, reply, errors, schema) {
+  const textOnly = request.messages.map(m => (typeof m.content === 'string'
+    ? m
+    : { ...m, content: m.content.filter(part => part.type === 'text') }));
+  return {
+    ...request,
+    messages: [
+      ...textOnly,
+      { role: 'assistant', content: reply },
+      {
+        role: 'user',
+        content: `Your reply does not match the required JSON format:\n${errors.map(e => `- ${e.path}: ${e.message}`).join('\n')}
+
+It must match this JSON schema:
+${JSON.stringify(schema)}
+
+Reply with the corrected JSON only: the same content, changed only where the errors point. No markdown, no explanation.`,
+      },
+    ],
+  };
+}
+
+// Keep a failed reply for debugging; the account's old ones are cleared as new ones arrive
+async function recordErrors(userConfig, task, reply, { attempt, stage, errors }) {
+  const accountId = userConfig?.accountId || null;
+  try {
+    await pool.query(
+      `INSERT INTO ai_response_errors (account_id, task, provider, model, attempt, stage, errors, response)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [accountId, task, reply.provider, reply.model, attempt, stage, JSON.stringify(errors),
+        String(reply.text || '').substring(0, STORED_RESPONSE_CHARS)]
+    );
+    if (accountId) {
+      await pool.query(
+        `DELETE FROM ai_response_errors WHERE account_id = $1 AND created_at < NOW() - make_interval(days => $2)`,
+        [accountId, ERROR_RETENTION_DAYS]
+      );
+    }
+  } catch (err) {
+    console.error('[ai] Failed to store response errors:', err.message);
+  }
+}
+
+// Run a task whose reply must be JSON matching `schema`; returns { value, provider, model, repairedErrors },
+// where repairedErrors lists what was wrong with replies that had to be repaired or retried (empty when
+// the first reply was valid)
+async function completeJson(userConfig, task, request, { schema, check } = {}) {
+  const repairedErrors = [];
+  let lastErrors = [];
+  let provider;
+  for (let attempt = 1; attempt <= 1 + MAX_RETRIES; attempt++) {
+    let reply = await complete(userConfig, task, request);
+    let result = checkReply(reply.text, schema, check);
+    if (result.errors.length === 0) return { value: result.value, provider: reply.provider, model: reply.model, repairedErrors };
+    await recordErrors(userConfig, task, reply, { attempt, stage: 'reply', errors: result.errors });
+    repairedErrors.push(...result.errors);
+
+    reply = await complete(userConfig, task, repairRequest(request, reply.text, result.errors, schema));
+    result = checkReply(reply.text, schema, check);
+    if (result.errors.length === 0) return { value: result.value, provider: reply.provider, model: reply.model, repairedErrors };
+    await recordErrors(userConfig, task, reply, { attempt, stage: 'repair', errors: result.errors });
+    lastErrors = result.errors;
+    provider = reply.provider;
+  }
+  // Not transient: the repair and retries above are all the retrying a bad reply gets
+  throw new AiError(`AI reply did not match the expected format: ${describeErrors(lastErrors)}`, {
+    provider, status: 502, transient: false, fieldErrors: lastErrors,
+  });
+}
+
+module.exports = { validateSchema, completeJson };
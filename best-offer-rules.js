@@ -0,0 +1,188 @@
+const pool = require('./db');
+const { isMarketplace } = require('./marketplaces');
+
+// What a rule's percentages are taken of: the listing price, or the market median from the
+// draft's price research (falling back to the listing price when there is none)
+const BASES = ['price', 'market'];
+const MAX_RULES = 50;
+
+// Validate a full rule list from PUT /api/config/best-offer-rules; returns { error } or { rules }
+function parseRules(body) {
+  if (!Array.isArray(body.rules)) return { error: 'rules must be an array' };
+  if (body.rules.length > MAX_RULES) return { error: `At most ${MAX_RULES} rules are allowed` };
+  const rules = [];
+  for (const [i, r] of body.rules.entries()) {
+    const label = `Rule ${i + 1}`;
+    if (r.marketplace_id && !isMarketplace(r.marketplace_id)) return { error: `${label}: invalid marketplace` };
+    if (r.category_id && !/^\d+$/.test(String(r.category_id))) return { error: `${label}: category ID must be numeric` };
+    const basis = r.basis || 'price';
+    if (!BASES.includes(basis)) return { error: `${label}: basis must be one of: ${BASES.join(', ')}` };
+
+    const number = (value) => (value === undefined || value === null || value === '') ? null : parseFloat(value);
+    const accept = number(r.auto_accept_percent);
+    const decline = number(r.decline_percent);
+    const feePercent = number(r.fee_percent);
+    const feeFixed = number(r.fee_fixed);
+    if (accept !== null && !(accept > 0 && accept < 100)) return { error: `${label}: auto-accept must be between 0 and 100%` };
+    if (decline !== null && !(decline > 0 && decline < 100)) return { error: `${label}: auto-decline must be between 0 and 100%` };
+    if (accept !== null && decline !== null && decline >= accept) return { error: `${label}: auto-decline must be below auto-accept` };
+    if (feePercent !== null && !(feePercent >= 0 && feePercent < 100)) return { error: `${label}: fees must be between 0 and 100%` };
+    if (feeFixed !== null && !(feeFixed >= 0)) return { error: `${label}: fixed fee must be zero or more` };
+    if (accept === null && decline === null) return { error: `${label}: set an auto-accept or auto-decline percentage` };
+
+    rules.push({
+      marketplace_id: r.marketplace_id || null,
+      category_id: r.category_id ? String(r.category_id) : null,
+      category_name: r.category_id && r.category_name ? String(r.category_name).substring(0, 255) : null,
+      basis,
+      auto_accept_percent: accept,
+      decline_percent: decline,
+      fee_percent: feePercent,
+      fee_fixed: feeFixed,
+    });
+  }
+  return { rules };
+}
+
+async function listRules(accountId) {
+  const result = await pool.query(
+    `SELECT id, marketplace_id, category_id, category_name, basis, auto_accept_percent, decline_percent,
+            fee_percent, fee_fixed
+     FROM best_offer_rules WHERE account_id = $1 ORDER BY sort_order, id`,
+    [accountId]
+  );
+  return result.rows;
+}
+
+// Replace the account's rules; list order becomes match order
+async function replaceRules(accountId, rules) {
+  await pool.query('DELETE FROM best_offer_rules WHERE account_id = $1', [accountId]);
+  for (const [i, r] of rules.entries()) {
+    await pool.query(
+      `INSERT INTO best_offer_rules (account_id, marketplace_id, category_id, category_name, basis,
+         auto_accept_percent, decline_percent, fee_percent, fee_fixed, sort_order)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [accountId, r.marketplace_id, r.category_id, r.category_name, r.basis,
+        r.auto_accept_percent, r.decline_percent, r.fee_percent, r.fee_fixed, i]
+    );
+  }
+}
+
+// The category and every parent above it in the stored category tree, so a rule on
+// "Cameras & Photo" covers its leaf categories. Unknown categories only match themselves.
+async function categoryLineage(marketplaceId, categoryId) {
+  if (!categoryId) return [];
+  const result = await pool.query(
+    `WITH RECURSIVE lineage AS (
+       SELECT category_id, parent_id FROM categories WHERE marketplace_id = $1 AND category_id = $2
+       UNION ALL
+       SELECT c.category_id, c.parent_id FROM categories c
+       JOIN lineage l ON c.category_id = l.parent_id AND c.marketplace_id = $1
+     )
+     SELECT category_id FROM lineage`,
+    [marketplaceId, String(categoryId)]
+  );
+  return result.rows.length > 0 ? result.rows.map(r => r.category_id) : [String(categoryId)];
+}
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Thresholds one rule gives an item: { autoAcceptPrice, minBestOfferPrice } (null where the rule
+// sets none), or { error } when the price itself is below the cost floor. The floor is the lowest
+// sale that still covers cost plus fees; neither threshold goes below it, and both stay under the price.
+function computeThresholds(rule, { price, cost, priceRange }) {
+  price = parseFloat(price);
+  if (!(price > 0)) return null;
+  const median = parseFloat(priceRange?.median);
+  const base = rule.basis === 'market' && median > 0 ? Math.min(median, price) : price;
+
+  cost = parseFloat(cost);
+  let floor = null;
+  if (cost > 0) {
+    const feeShare = parseFloat(rule.fee_percent || 0) / 100;
+    floor = (cost + parseFloat(rule.fee_fixed || 0)) / (1 - feeShare);
+    if (floor >= price) return { error: `Price is below cost plus fees (${floor.toFixed(2)})` };
+  }
+
+  const share = (percent) => (percent === null || percent === undefined) ? null : base * parseFloat(percent) / 100;
+  let accept = share(rule.auto_accept_percent);
+  let decline = share(rule.decline_percent);
+  if (floor !== null) {
+    if (accept !== null) accept = Math.max(accept, floor);
+    decline = Math.max(decline ?? floor, floor);
+  }
+  if (accept !== null) accept = Math.min(accept, price - 0.01);
+  if (decline !== null) decline = Math.min(decline, (accept ?? price) - 0.01);
+
+  return {
+    autoAcceptPrice: accept !== null && accept > 0 ? roundCents(accept) : null,
+    minBestOfferPrice: decline !== null && decline > 0 ? roundCents(decline) : null,
+  };
+}
+
+// Thresholds for items from the account's rules, loading the rules once: the returned function
+// takes an item and gives its thresholds, or null when no rule matches. The first rule for the
+// item's marketplace and category (or a parent category) wins; rules without a category catch the rest.
+async function createRuleMatcher(accountId) {
+  const result = await pool.query(
+    'SELECT * FROM best_offer_rules WHERE account_id = $1 ORDER BY sort_order, id',
+    [accountId]
+  );
+  const lineages = new Map(); // "marketplace/category" → category IDs up to the root
+  return async ({ marketplaceId, categoryId, price, cost, priceRange }) => {
+    const candidates = result.rows.filter(r => r.marketplace_id === null || r.marketplace_id === marketplaceId);
+    if (candidates.length === 0) return null;
+    const key = `${marketplaceId}/${categoryId}`;
+    if (!lineages.has(key)) lineages.set(key, await categoryLineage(marketplaceId, categoryId));
+    const lineage = lineages.get(key);
+    const rule = candidates.find(r => r.category_id === null || lineage.includes(r.category_id));
+    return rule ? computeThresholds(rule, { price, cost, priceRange }) : null;
+  };
+}
+
+// Best Offer thresholds for one item, or null when no rule matches
+async function bestOfferThresholds(accountId, item) {
+  if (!accountId) return null;
+  return (await createRuleMatcher(accountId))(item);
+}
+
+// Re-price Best Offer thresholds on every unlisted fixed-price draft with Best Offer on and a price set.
+// Drafts no rule matches, or priced below their cost floor, keep what they have.
+async function applyRulesToDrafts(accountId) {
+  const drafts = await pool.query(
+    `SELECT d.id, COALESCE(d.marketplace_id, u.ebay_marketplace) AS marketplace_id, d.category_id, d.price,
+            d.cost, d.price_range, d.auto_accept_price, d.min_best_offer_price
+     FROM drafts d JOIN users u ON u.id = d.account_id
+     WHERE d.account_id = $1 AND d.best_offer_enabled = true AND d.price > 0
+       AND d.listing_format <> 'Chinese' AND d.status NOT IN ('listing', 'listed', 'rejected')`,
+    [accountId]
+  );
+  const match = await createRuleMatcher(accountId);
+  const report = { checked: drafts.rows.length, updated: 0, belowCost: 0 };
+  for (const d of drafts.rows) {
+    const thresholds = await match({
+      marketplaceId: d.marketplace_id, categoryId: d.category_id, price: d.price, cost: d.cost, priceRange: d.price_range,
+    });
+    if (!thresholds) continue;
+    if (thresholds.error) { report.belowCost++; continue; }
+    const same = (a, b) => (a === null ? null : parseFloat(a)) === b;
+    if (same(d.auto_accept_price, thresholds.autoAcceptPrice) && same(d.min_best_offer_price, thresholds.minBestOfferPrice)) continue;
+    await pool.query(
+      'UPDATE drafts SET auto_accept_price = $1, min_best_offer_price = $2, updated_at = NOW() WHERE id = $3',
+      [thresholds.autoAcceptPrice, thresholds.minBestOfferPrice, d.id]
+    );
+    report.updated++;
+  }
+  return report;
+}
+
+module.exports = {
+  BASES,
+  parseRules,
+  listRules,
+  replaceRules,
+  computeThresholds,
+  createRuleMatcher,
+  bestOfferThresholds,
+  applyRulesToDrafts,
+};
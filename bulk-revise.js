@@ -0,0 +1,242 @@
+const pool = require('./db');
+const { loadAccountConfig } = require('./middleware/auth');
+const { reviseListing } = require('./ebay-publish');
+const { createRuleMatcher } = require('./best-offer-rules');
+
+const PRICE_MODES = ['percent', 'amount', 'set'];
+const MAX_BULK_LISTINGS = 1000;
+
+// Parse and validate { filters, changes } from a request body; returns { error } or the normalized pair
+function parseBulkRequest(body) {
+  const f = body.filters || {};
+  const filters = {};
+  if (f.olderThanDays !== undefined && f.olderThanDays !== '') {
+    filters.olderThanDays = parseInt(f.olderThanDays);
+    if (!(filters.olderThanDays >= 0)) return { error: 'olderThanDays must be zero or more' };
+  }
+  if (f.categoryId) {
+    if (!/^\d+$/.test(String(f.categoryId))) return { error: 'categoryId must be numeric' };
+    filters.categoryId = String(f.categoryId);
+  }
+  for (const key of ['minPrice', 'maxPrice']) {
+    if (f[key] === undefined || f[key] === '') continue;
+    filters[key] = parseFloat(f[key]);
+    if (!(filters[key] >= 0)) return { error: `${key} must be zero or more` };
+  }
+  if (f.createdBy) filters.createdBy = parseInt(f.createdBy);
+  if (f.sku) filters.sku = String(f.sku).trim();
+
+  const c = body.changes || {};
+  const changes = {};
+  if (c.price && c.price.value !== undefined && c.price.value !== '') {
+    if (!PRICE_MODES.includes(c.price.mode)) return { error: `Price mode must be one of: ${PRICE_MODES.join(', ')}` };
+    const value = parseFloat(c.price.value);
+    if (isNaN(value)) return { error: 'Price change must be a number' };
+    if (c.price.mode === 'set' && !(value > 0)) return { error: 'Price must be greater than zero' };
+    if (c.price.mode === 'percent' && value <= -100) return { error: 'Percent change must be above -100' };
+    changes.price = { mode: c.price.mode, value };
+  }
+  if (c.quantity && c.quantity.value !== undefined && c.quantity.value !== '') {
+    const value = parseInt(c.quantity.value);
+    if (!Number.isInteger(value) || value < 0) return { error: 'Quantity must be zero or more' };
+    changes.quantity = { value };
+  }
+  if (!changes.price && !changes.quantity) return { error: 'Nothing to revise' };
+
+  const listingIds = Array.isArray(body.listingIds) ? body.listingIds.map(id => parseInt(id)).filter(Boolean) : null;
+  return { filters, changes, listingIds };
+}
+
+// Active fixed-price listings on the account matching the filters (auctions can't be bulk-revised)
+async function findMatchingListings(accountId, filters, listingIds) {
+  const where = [`account_id = $1`, `status = 'active'`, `listing_format = 'FixedPriceItem'`];
+  const params = [accountId];
+  const add = (sql, value) => { params.push(value); where.push(sql.replace('?', `$${params.length}`)); };
+
+  if (filters.olderThanDays !== undefined) add(`created_at < NOW() - make_interval(days => ?)`, filters.olderThanDays);
+  if (filters.categoryId) add(`category_id = ?`, filters.categoryId);
+  if (filters.minPrice !== undefined) add(`price >= ?`, filters.minPrice);
+  if (filters.maxPrice !== undefined) add(`price <= ?`, filters.maxPrice);
+  if (filters.createdBy) add(`user_id = ?`, filters.createdBy);
+  if (filters.sku) add(`sku ILIKE ?`, `%${filters.sku.replace(/[\\%_]/g, '\\$&')}%`);
+  if (listingIds) add(`id = ANY(?)`, listingIds);
+
+  const result = await pool.query(
+    `SELECT * FROM listings WHERE ${where.join(' AND ')} ORDER BY created_at ASC LIMIT ${MAX_BULK_LISTINGS + 1}`,
+    params
+  );
+  return result.rows;
+}
+
+// New price/quantity for one listing, or a skip reason when the change doesn't apply
+function computeRevision(listing, changes) {
+  const oldPrice = parseFloat(listing.price);
+  const oldQuantity = listing.quantity;
+  let newPrice = oldPrice;
+  if (changes.price) {
+    const { mode, value } = changes.price;
+    if (mode === 'percent') newPrice = oldPrice * (1 + value / 100);
+    else if (mode === 'amount') newPrice = oldPrice + value;
+    else newPrice = value;
+    newPrice = Math.round(newPrice * 100) / 100;
+  }
+  const newQuantity = changes.quantity ? changes.quantity.value : oldQuantity;
+
+  let skipReason = null;
+  if (!(newPrice > 0)) skipReason = 'Price would drop to zero or below';
+  else if (newPrice === oldPrice && newQuantity === oldQuantity) skipReason = 'No change';
+
+  return {
+    listingId: listing.id,
+    ebayItemId: listing.ebay_item_id,
+    title: listing.title,
+    sku: listing.sku,
+    oldPrice,
+    newPrice,
+    oldQuantity,
+    newQuantity,
+    skipReason,
+  };
+}
+
+async function previewBulkRevision(accountId, { filters, changes, listingIds }) {
+  const listings = await findMatchingListings(accountId, filters, listingIds);
+  const truncated = listings.length > MAX_BULK_LISTINGS;
+  return {
+    truncated,
+    rows: listings.slice(0, MAX_BULK_LISTINGS).map(l => computeRevision(l, changes)),
+  };
+}
+
+// Start a bulk revision from the filters and changes; returns the run ID
+async function startBulkRevision(accountId, userId, request) {
+  const { truncated, rows } = await previewBulkRevision(accountId, request);
+  if (truncated) throw new Error(`More than ${MAX_BULK_LISTINGS} listings match — narrow the filters`);
+  const planned = rows.filter(r => !r.skipReason);
+  if (planned.length === 0) throw new Error('No listings would change');
+  return createRun(accountId, userId, request.filters, request.changes, planned);
+}
+
+// Snapshot the planned changes into a bulk_revisions run, then revise in the background
+async function createRun(accountId, userId, filters, changes, planned) {
+  const run = await pool.query(
+    `INSERT INTO bulk_revisions (account_id, created_by, filters, changes, total)
+     VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+    [accountId, userId, JSON.stringify(filters), JSON.stringify(changes), planned.length]
+  );
+  const revisionId = run.rows[0].id;
+  for (const r of planned) {
+    await pool.query(
+      `INSERT INTO bulk_revision_items (revision_id, listing_id, ebay_item_id, title, sku,
+         old_price, new_price, old_quantity, new_quantity, new_auto_accept_price, new_min_best_offer_price)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [revisionId, r.listingId, r.ebayItemId, r.title, r.sku, r.oldPrice, r.newPrice, r.oldQuantity, r.newQuantity,
+        r.newAutoAcceptPrice ?? null, r.newMinBestOfferPrice ?? null]
+    );
+  }
+
+  runBulkRevision(revisionId).catch(err => console.error(`[bulk-revise] Run ${revisionId} failed:`, err));
+  return revisionId;
+}
+
+// Revise every pending item of a run one at a time; safe to call again after a restart
+async function runBulkRevision(revisionId) {
+  const run = await pool.query('SELECT account_id FROM bulk_revisions WHERE id = $1', [revisionId]);
+  if (run.rows.length === 0) return;
+  const userConfig = await loadAccountConfig(run.rows[0].account_id);
+
+  const items = await pool.query(
+    `SELECT i.*, row_to_json(l.*) AS listing
+     FROM bulk_revision_items i
+     LEFT JOIN listings l ON l.id = i.listing_id
+     WHERE i.revision_id = $1 AND i.status = 'pending'
+     ORDER BY i.id`,
+    [revisionId]
+  );
+
+  for (const item of items.rows) {
+    let status = 'revised';
+    let error = null;
+    try {
+      if (!userConfig) throw new Error('Account not found');
+      if (!item.listing) throw new Error('Listing no longer exists');
+      if (item.listing.status !== 'active') throw new Error('Listing is no longer active');
+      const changes = {};
+      if (parseFloat(item.new_price) !== parseFloat(item.old_price)) changes.price = item.new_price;
+      // Available quantity, as previewed; reviseListing adds the units already sold for Trading listings
+      if (item.new_quantity !== item.old_quantity) changes.quantity = item.new_quantity;
+      if (item.new_auto_accept_price !== null) changes.autoAcceptPrice = item.new_auto_accept_price;
+      if (item.new_min_best_offer_price !== null) changes.minBestOfferPrice = item.new_min_best_offer_price;
+      await reviseListing(userConfig, item.listing, changes);
+    } catch (err) {
+      status = 'failed';
+      error = err.message;
+    }
+    await pool.query(
+      'UPDATE bulk_revision_items SET status = $1, error = $2, processed_at = NOW() WHERE id = $3',
+      [status, error, item.id]
+    );
+    await pool.query(
+      `UPDATE bulk_revisions SET ${status === 'revised' ? 'succeeded = succeeded + 1' : 'failed = failed + 1'} WHERE id = $1`,
+      [revisionId]
+    );
+  }
+
+  await pool.query(
+    `UPDATE bulk_revisions SET status = 'completed', finished_at = NOW() WHERE id = $1`,
+    [revisionId]
+  );
+}
+
+// Re-apply the account's Best Offer rules to its live single-item fixed-price listings that take offers,
+// as a bulk revision run. Market data comes from the draft each listing was published from.
+// Returns { revisionId, queued, belowCost }; revisionId is null when no listing would change.
+async function startBestOfferRevision(accountId, userId) {
+  const listings = await pool.query(
+    `SELECT l.*, d.price_range FROM listings l
+     LEFT JOIN LATERAL (
+       SELECT price_range FROM drafts
+       WHERE account_id = l.account_id AND ebay_item_id = l.ebay_item_id
+       ORDER BY updated_at DESC LIMIT 1
+     ) d ON true
+     WHERE l.account_id = $1 AND l.status = 'active' AND l.listing_format = 'FixedPriceItem'
+       AND l.best_offer_enabled = true AND l.variation_specifics IS NULL
+     ORDER BY l.created_at ASC`,
+    [accountId]
+  );
+  if (listings.rows.length > MAX_BULK_LISTINGS) {
+    throw new Error(`More than ${MAX_BULK_LISTINGS} listings take offers — use bulk revise with filters instead`);
+  }
+
+  const match = await createRuleMatcher(accountId);
+  const planned = [];
+  let belowCost = 0;
+  for (const l of listings.rows) {
+    const thresholds = await match({
+      marketplaceId: l.marketplace_id, categoryId: l.category_id, price: l.price, cost: l.cost, priceRange: l.price_range,
+    });
+    if (!thresholds) continue;
+    if (thresholds.error) { belowCost++; continue; }
+    const same = (a, b) => (a === null ? null : parseFloat(a)) === b;
+    if (same(l.auto_accept_price, thresholds.autoAcceptPrice) && same(l.min_best_offer_price, thresholds.minBestOfferPrice)) continue;
+    if (!thresholds.autoAcceptPrice && !thresholds.minBestOfferPrice) continue;
+    planned.push({
+      ...computeRevision(l, {}),
+      newAutoAcceptPrice: thresholds.autoAcceptPrice,
+      newMinBestOfferPrice: thresholds.minBestOfferPrice,
+    });
+  }
+  if (planned.length === 0) return { revisionId: null, queued: 0, belowCost };
+  const revisionId = await createRun(accountId, userId, {}, { bestOfferRules: true }, planned);
+  return { revisionId, queued: planned.length, belowCost };
+}
+
+// Pick up runs a restart cut short — each item holds an absolute target, so re-running is safe
+async function resumeBulkRevisions() {
+  const running = await pool.query(`SELECT id FROM bulk_revisions WHERE status = 'running'`);
+  for (const { id } of running.rows) {
+    runBulkRevision(id).catch(err => console.error(`[bulk-revise] Run ${id} failed:`, err));
+  }
+}
+
+module.exports = { parseBulkRequest, previewBulkRevision, startBulkRevision, startBestOfferRevision, resumeBulkRevisions };
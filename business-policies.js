@@ -0,0 +1,263 @@
+const { getMarketplace } = require('./marketplaces');
+const { loadListingDefaults } = require('./listing-defaults');
+
+const ACCOUNT_API_URL = 'https://api.ebay.com/sell/account/v1';
+const POLICY_CACHE_TTL = 10 * 60 * 1000; // policy lists rarely change outside the app
+
+// Editable policy types: Account API path and ID field
+const POLICY_TYPES = {
+  shipping: { path: 'fulfillment_policy', idKey: 'fulfillmentPolicyId' },
+  return: { path: 'return_policy', idKey: 'returnPolicyId' },
+};
+const COST_TYPES = ['FLAT_RATE', 'CALCULATED', 'NOT_SPECIFIED'];
+const RETURN_PERIODS = [14, 30, 60];
+const MAX_SHIPPING_SERVICES = 4; // eBay allows up to 4 domestic services per policy
+
+// Policy lists keyed by `${accountId}:${marketplaceId}`
+const policyCache = new Map();
+
+async function accountRequest(token, method, path, body) {
+  const resp = await fetch(`${ACCOUNT_API_URL}${path}`, {
+    method,
+    headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = resp.status === 204 ? {} : await resp.json().catch(() => ({}));
+  if (!resp.ok) {
+    const msg = data.errors?.map(e => e.longMessage || e.message).join(' | ');
+    const err = new Error(msg || `eBay Account API returned ${resp.status}`);
+    err.status = resp.status;
+    throw err;
+  }
+  return data;
+}
+
+function requireOAuth(userConfig) {
+  if (!userConfig.ebayOAuthToken) {
+    const err = new Error('Managing business policies requires a connected eBay account. Connect eBay in Settings.');
+    err.status = 400;
+    throw err;
+  }
+  return userConfig.ebayOAuthToken;
+}
+
+// Manual-key accounts can't list their policies, so they only have the IDs saved in listing defaults
+async function defaultPolicyList(userConfig) {
+  const defaults = await loadListingDefaults(userConfig.accountId);
+  return {
+    shipping: defaults.shipping_policy_id ? [{ id: defaults.shipping_policy_id, name: 'Default shipping policy', default: true }] : [],
+    returnPolicies: defaults.return_policy_id ? [{ id: defaults.return_policy_id, name: 'Default return policy', default: true }] : [],
+    payment: defaults.payment_policy_id || '',
+  };
+}
+
+// Seller business policies for a marketplace: the account's own via the Account API (cached),
+// or the saved defaults for manual-key users. Throws when eBay rejects the request.
+async function fetchSellerPolicies(userConfig, marketplaceId) {
+  const token = userConfig.ebayOAuthToken;
+  if (!token) return defaultPolicyList(userConfig);
+
+  const { id } = getMarketplace(marketplaceId || userConfig.ebayMarketplace);
+  const cacheKey = `${userConfig.accountId}:${id}`;
+  const cached = policyCache.get(cacheKey);
+  if (cached && Date.now() - cached.ts < POLICY_CACHE_TTL) return cached.policies;
+
+  const [fulfillmentData, returnData, paymentData] = await Promise.all([
+    accountRequest(token, 'GET', `/fulfillment_policy?marketplace_id=${id}`),
+    accountRequest(token, 'GET', `/return_policy?marketplace_id=${id}`),
+    accountRequest(token, 'GET', `/payment_policy?marketplace_id=${id}`),
+  ]);
+
+  const policies = {
+    shipping: (fulfillmentData.fulfillmentPolicies || []).map((p, i) => ({
+      id: p.fulfillmentPolicyId,
+      name: p.name || `Shipping Policy ${p.fulfillmentPolicyId}`,
+      default: i === 0,
+    })),
+    returnPolicies: (returnData.returnPolicies || []).map((p, i) => ({
+      id: p.returnPolicyId,
+      name: p.name || `Return Policy ${p.returnPolicyId}`,
+      default: i === 0,
+    })),
+    payment: (paymentData.paymentPolicies || [])[0]?.paymentPolicyId || '',
+  };
+  policyCache.set(cacheKey, { ts: Date.now(), policies });
+  return policies;
+}
+
+function invalidatePolicies(accountId) {
+  for (const key of policyCache.keys()) {
+    if (key.startsWith(`${accountId}:`)) policyCache.delete(key);
+  }
+}
+
+// ── Editing ──
+// The settings form edits a flat subset of each policy; everything else on the eBay object
+// (international options, category types, …) is carried over untouched.
+
+function toShippingForm(p) {
+  const domestic = (p.shippingOptions || []).find(o => o.optionType === 'DOMESTIC');
+  return {
+    id: p.fulfillmentPolicyId,
+    name: p.name || '',
+    description: p.description || '',
+    handlingTime: p.handlingTime?.value ?? 1,
+    costType: domestic?.costType || (p.freightShipping ? 'NOT_SPECIFIED' : 'FLAT_RATE'),
+    freightShipping: !!p.freightShipping,
+    localPickup: !!p.localPickup,
+    services: (domestic?.shippingServices || []).map(s => ({
+      code: s.shippingServiceCode,
+      free: !!s.freeShipping,
+      cost: s.shippingCost?.value || '',
+      additionalCost: s.additionalShippingCost?.value || '',
+    })),
+    hasInternational: (p.shippingOptions || []).some(o => o.optionType === 'INTERNATIONAL'),
+  };
+}
+
+function toReturnForm(p) {
+  return {
+    id: p.returnPolicyId,
+    name: p.name || '',
+    description: p.description || '',
+    returnsAccepted: !!p.returnsAccepted,
+    returnPeriodDays: p.returnPeriod?.value || 30,
+    returnShippingCostPayer: p.returnShippingCostPayer || 'BUYER',
+  };
+}
+
+// Validate a settings form and merge it onto `base` (the existing policy, or {} when creating).
+// Returns { error } or { policy }.
+function fromShippingForm(form, base, marketplace) {
+  const name = String(form.name || '').trim();
+  if (!name) return { error: 'Policy name is required' };
+  if (name.length > 64) return { error: 'Policy name must be 64 characters or fewer' };
+  const handlingTime = parseInt(form.handlingTime);
+  if (!(handlingTime >= 0 && handlingTime <= 30)) return { error: 'Handling time must be 0-30 days' };
+  const freightShipping = !!form.freightShipping;
+  const costType = freightShipping ? 'NOT_SPECIFIED' : form.costType;
+  if (!COST_TYPES.includes(costType)) return { error: `Cost type must be one of: ${COST_TYPES.join(', ')}` };
+
+  const services = Array.isArray(form.services) ? form.services.filter(s => s && s.code) : [];
+  if (!freightShipping && !form.localPickup && services.length === 0) return { error: 'Add at least one shipping service' };
+  if (services.length > MAX_SHIPPING_SERVICES) return { error: `At most ${MAX_SHIPPING_SERVICES} domestic services are allowed` };
+  const money = (value) => ({ value: parseFloat(value).toFixed(2), currency: marketplace.currency });
+  const shippingServices = [];
+  for (const [i, s] of services.entries()) {
+    const service = { sortOrder: i + 1, shippingServiceCode: String(s.code).trim(), freeShipping: !!s.free && i === 0 };
+    if (costType === 'FLAT_RATE' && !service.freeShipping) {
+      if (!(parseFloat(s.cost) >= 0)) return { error: `Enter a cost for ${service.shippingServiceCode}` };
+      service.shippingCost = money(s.cost);
+      if (parseFloat(s.additionalCost) >= 0) service.additionalShippingCost = money(s.additionalCost);
+    }
+    shippingServices.push(service);
+  }
+
+  const international = (base.shippingOptions || []).filter(o => o.optionType === 'INTERNATIONAL');
+  const domestic = freightShipping || shippingServices.length === 0
+    ? []
+    : [{ optionType: 'DOMESTIC', costType, shippingServices }];
+  const policy = {
+    ...base,
+    name,
+    description: String(form.description || '').substring(0, 250) || undefined,
+    marketplaceId: base.marketplaceId || marketplace.id,
+    categoryTypes: base.categoryTypes || [{ name: 'ALL_EXCLUDING_MOTORS_VEHICLES' }],
+    handlingTime: { value: handlingTime, unit: 'DAY' },
+    freightShipping,
+    localPickup: !!form.localPickup,
+    shippingOptions: [...domestic, ...international],
+  };
+  delete policy.fulfillmentPolicyId;
+  return { policy };
+}
+
+function fromReturnForm(form, base, marketplace) {
+  const name = String(form.name || '').trim();
+  if (!name) return { error: 'Policy name is required' };
+  if (name.length > 64) return { error: 'Policy name must be 64 characters or fewer' };
+  const returnsAccepted = !!form.returnsAccepted;
+  const days = parseInt(form.returnPeriodDays);
+  if (returnsAccepted && !RETURN_PERIODS.includes(days)) return { error: `Return period must be one of: ${RETURN_PERIODS.join(', ')} days` };
+  if (returnsAccepted && !['BUYER', 'SELLER'].includes(form.returnShippingCostPayer)) {
+    return { error: 'Return shipping must be paid by BUYER or SELLER' };
+  }
+
+  const policy = {
+    ...base,
+    name,
+    description: String(form.description || '').substring(0, 250) || undefined,
+    marketplaceId: base.marketplaceId || marketplace.id,
+    categoryTypes: base.categoryTypes || [{ name: 'ALL_EXCLUDING_MOTORS_VEHICLES' }],
+    returnsAccepted,
+  };
+  if (returnsAccepted) {
+    policy.returnPeriod = { value: days, unit: 'DAY' };
+    policy.returnShippingCostPayer = form.returnShippingCostPayer;
+    policy.refundMethod = base.refundMethod || 'MONEY_BACK';
+  } else {
+    delete policy.returnPeriod;
+    delete policy.returnShippingCostPayer;
+    delete policy.refundMethod;
+  }
+  delete policy.returnPolicyId;
+  return { policy };
+}
+
+const FORMS = {
+  shipping: { toForm: toShippingForm, fromForm: fromShippingForm },
+  return: { toForm: toReturnForm, fromForm: fromReturnForm },
+};
+
+async function getPolicyForm(userConfig, type, policyId) {
+  const { path } = POLICY_TYPES[type];
+  const policy = await accountRequest(requireOAuth(userConfig), 'GET', `/${path}/${encodeURIComponent(policyId)}`);
+  return FORMS[type].toForm(policy);
+}
+
+// Create a policy from a settings form; returns the new policy's form
+async function createPolicy(userConfig, type, form, marketplaceId) {
+  const token = requireOAuth(userConfig);
+  const { fromForm, toForm } = FORMS[type];
+  const parsed = fromForm(form, {}, getMarketplace(marketplaceId || userConfig.ebayMarketplace));
+  if (parsed.error) throw Object.assign(new Error(parsed.error), { status: 400 });
+  const created = await accountRequest(token, 'POST', `/${POLICY_TYPES[type].path}`, parsed.policy);
+  invalidatePolicies(userConfig.accountId);
+  return toForm(created);
+}
+
+async function updatePolicy(userConfig, type, policyId, form) {
+  const token = requireOAuth(userConfig);
+  const { path } = POLICY_TYPES[type];
+  const { fromForm, toForm } = FORMS[type];
+  const existing = await accountRequest(token, 'GET', `/${path}/${encodeURIComponent(policyId)}`);
+  const parsed = fromForm(form, existing, getMarketplace(existing.marketplaceId));
+  if (parsed.error) throw Object.assign(new Error(parsed.error), { status: 400 });
+  const updated = await accountRequest(token, 'PUT', `/${path}/${encodeURIComponent(policyId)}`, parsed.policy);
+  invalidatePolicies(userConfig.accountId);
+  return toForm(updated);
+}
+
+// Copy an existing policy under a new name — the quickest way to add a tier like "Buyer Pays - Freight"
+async function duplicatePolicy(userConfig, type, policyId, name) {
+  const token = requireOAuth(userConfig);
+  const { path, idKey } = POLICY_TYPES[type];
+  const existing = await accountRequest(token, 'GET', `/${path}/${encodeURIComponent(policyId)}`);
+  const copy = { ...existing, name: String(name || `${existing.name} (copy)`).trim().substring(0, 64) };
+  delete copy[idKey];
+  const created = await accountRequest(token, 'POST', `/${path}`, copy);
+  invalidatePolicies(userConfig.accountId);
+  return FORMS[type].toForm(created);
+}
+
+module.exports = {
+  POLICY_TYPES,
+  COST_TYPES,
+  RETURN_PERIODS,
+  fetchSellerPolicies,
+  invalidatePolicies,
+  getPolicyForm,
+  createPolicy,
+  updatePolicy,
+  duplicatePolicy,
+};
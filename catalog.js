@@ -0,0 +1,53 @@
+// ── eBay product catalog (Catalog API) ──
+// Matching a draft to a catalog product gives it an ePID: the listing attaches to eBay's product page
+// and the product's item specifics (and optionally its stock photo) come with it.
+const CATALOG_API_URL = 'https://api.ebay.com/commerce/catalog/v1_beta';
+const SEARCH_LIMIT = 10;
+
+async function catalogRequest(token, marketplaceId, path) {
+  const resp = await fetch(`${CATALOG_API_URL}${path}`, {
+    headers: { 'Authorization': `Bearer ${token}`, 'X-EBAY-C-MARKETPLACE-ID': marketplaceId },
+  });
+  if (resp.status === 204) return {}; // no matches
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) {
+    throw new Error(data.errors?.[0]?.longMessage || data.errors?.[0]?.message || `Catalog API error ${resp.status}`);
+  }
+  return data;
+}
+
+function toSummary(p) {
+  return {
+    epid: p.epid,
+    title: p.title,
+    brand: p.brand || null,
+    mpn: p.mpn?.[0] || null,
+    gtin: p.gtin?.[0] || null,
+    imageUrl: p.image?.imageUrl || null,
+  };
+}
+
+// Search by any of GTIN (UPC/EAN/ISBN), MPN and free text; eBay ranks products matching all of them first
+async function searchCatalog(token, marketplaceId, { q, gtin, mpn }) {
+  const params = new URLSearchParams({ limit: String(SEARCH_LIMIT) });
+  if (gtin) params.set('gtin', gtin);
+  if (mpn) params.set('mpn', mpn);
+  if (q) params.set('q', q);
+  const data = await catalogRequest(token, marketplaceId, `/product_summary/search?${params}`);
+  return (data.productSummaries || []).map(toSummary);
+}
+
+// One product with its item specifics as { [aspectName]: value | [values] }, the shape drafts store
+async function getCatalogProduct(token, marketplaceId, epid) {
+  const p = await catalogRequest(token, marketplaceId, `/product/${encodeURIComponent(epid)}`);
+  const aspects = {};
+  for (const a of p.aspects || []) {
+    const values = a.localizedValues || [];
+    if (values.length > 0) aspects[a.localizedName] = values.length === 1 ? values[0] : values;
+  }
+  if (p.brand && !aspects.Brand) aspects.Brand = p.brand;
+  if (p.mpn?.[0] && !aspects.MPN) aspects.MPN = p.mpn[0];
+  return { ...toSummary(p), aspects };
+}
+
+module.exports = { searchCatalog, getCatalogProduct };
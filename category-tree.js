@@ -0,0 +1,297 @@
+const pool = require('./db');
+const { getMarketplace } = require('./marketplaces');
+const { getEbayBrowseToken } = require('./ebay-utils');
+const { getCategoryMappings } = require('./ebay-trading');
+
+const TAXONOMY_API_URL = 'https://api.ebay.com/commerce/taxonomy/v1';
+const TREE_CHECK_INTERVAL_MS = 24 * 60 * 60 * 1000; // eBay publishes new tree versions a few times a year
+const INSERT_BATCH_SIZE = 2000;
+const SEARCH_LIMIT = 10;
+const MAX_MAPPING_HOPS = 5; // a category can be remapped more than once
+
+// Trees loaded from the database, keyed by marketplace ID: { version, byId: Map, leaves: [] }
+const treeCache = new Map();
+// Downloads in flight, so requests for a missing tree share one download
+const downloads = new Map();
+
+// Taxonomy API token: the caller's OAuth token, else an application token from the app's own keys
+async function taxonomyToken(token) {
+  if (token) return token;
+  const clientId = process.env.EBAY_APP_CLIENT_ID;
+  const clientSecret = process.env.EBAY_APP_CLIENT_SECRET;
+  if (!clientId || !clientSecret) throw new Error('eBay app credentials are not configured on the server');
+  return getEbayBrowseToken('app', clientId, clientSecret);
+}
+
+async function taxonomyRequest(token, path) {
+  const resp = await fetch(`${TAXONOMY_API_URL}${path}`, {
+    headers: { 'Authorization': `Bearer ${await taxonomyToken(token)}`, 'Accept-Encoding': 'gzip' },
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) {
+    throw new Error(data.errors?.[0]?.longMessage || data.errors?.[0]?.message || `Taxonomy API error ${resp.status}`);
+  }
+  return data;
+}
+
+async function fetchTreeVersion(marketplaceId, token) {
+  const data = await taxonomyRequest(token, `/get_default_category_tree_id?marketplace_id=${marketplaceId}`);
+  return { categoryTreeId: data.categoryTreeId, version: data.categoryTreeVersion };
+}
+
+// Flatten the Taxonomy API tree into rows with breadcrumb paths; the unnamed root node is skipped
+function flattenTree(rootNode) {
+  const rows = [];
+  const stack = (rootNode.childCategoryTreeNodes || []).map(node => ({ node, parentId: null, parentPath: '' }));
+  while (stack.length > 0) {
+    const { node, parentId, parentPath } = stack.pop();
+    const { categoryId, categoryName } = node.category;
+    const path = parentPath ? `${parentPath} > ${categoryName}` : categoryName;
+    rows.push({
+      id: categoryId,
+      parentId,
+      name: categoryName,
+      path,
+      level: node.categoryTreeNodeLevel,
+      leaf: !!node.leafCategoryTreeNode,
+    });
+    for (const child of node.childCategoryTreeNodes || []) {
+      stack.push({ node: child, parentId: categoryId, parentPath: path });
+    }
+  }
+  return rows;
+}
+
+// Download a marketplace's full tree and store it. Categories missing from the new version are kept
+// and marked expired, so drafts still pointing at them can be remapped.
+async function downloadTree(marketplaceId, token) {
+  const { categoryTreeId, version } = await fetchTreeVersion(marketplaceId, token);
+  const data = await taxonomyRequest(token, `/category_tree/${categoryTreeId}`);
+  const rows = flattenTree(data.rootCategoryNode);
+  if (rows.length === 0) throw new Error(`eBay returned an empty category tree for ${marketplaceId}`);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('UPDATE categories SET expired = true WHERE marketplace_id = $1', [marketplaceId]);
+    for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+      const batch = rows.slice(i, i + INSERT_BATCH_SIZE);
+      await client.query(
+        `INSERT INTO categories (marketplace_id, category_id, parent_id, name, path, level, leaf, expired, tree_version)
+         SELECT $1, * , false, $8 FROM unnest($2::varchar[], $3::varchar[], $4::varchar[], $5::text[], $6::int[], $7::bool[])
+         ON CONFLICT (marketplace_id, category_id) DO UPDATE SET
+           parent_id = EXCLUDED.parent_id, name = EXCLUDED.name, path = EXCLUDED.path, level = EXCLUDED.level,
+           leaf = EXCLUDED.leaf, expired = false, tree_version = EXCLUDED.tree_version`,
+        [marketplaceId, batch.map(r => r.id), batch.map(r => r.parentId), batch.map(r => r.name),
+         batch.map(r => r.path), batch.map(r => r.level), batch.map(r => r.leaf), version]
+      );
+    }
+    // A new version brings new remappings, so the stored mappings are refetched on next use
+    await client.query(
+      `INSERT INTO category_trees (marketplace_id, category_tree_id, version, category_count, refreshed_at, checked_at)
+       VALUES ($1, $2, $3, $4, NOW(), NOW())
+       ON CONFLICT (marketplace_id) DO UPDATE SET
+         category_tree_id = EXCLUDED.category_tree_id, version = EXCLUDED.version, category_count = EXCLUDED.category_count,
+         mappings_fetched_at = NULL, refreshed_at = NOW(), checked_at = NOW()`,
+      [marketplaceId, categoryTreeId, version, rows.length]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+  treeCache.delete(marketplaceId);
+  console.log(`[category-tree] ${marketplaceId} version ${version}: ${rows.length} categories`);
+  return { version, count: rows.length };
+}
+
+// Download a marketplace's tree unless one is stored already
+async function ensureTree(marketplaceId, token) {
+  const stored = await pool.query('SELECT version FROM category_trees WHERE marketplace_id = $1', [marketplaceId]);
+  if (stored.rows.length > 0) return stored.rows[0].version;
+  if (!downloads.has(marketplaceId)) {
+    downloads.set(marketplaceId, downloadTree(marketplaceId, token).finally(() => downloads.delete(marketplaceId)));
+  }
+  return (await downloads.get(marketplaceId)).version;
+}
+
+// The stored tree for a marketplace, held in memory until its version changes
+async function loadTree(marketplaceId, token) {
+  const version = await ensureTree(marketplaceId, token);
+  const cached = treeCache.get(marketplaceId);
+  if (cached && cached.version === version) return cached;
+
+  const result = await pool.query(
+    'SELECT category_id, parent_id, name, path, level, leaf, expired FROM categories WHERE marketplace_id = $1',
+    [marketplaceId]
+  );
+  const byId = new Map();
+  const leaves = [];
+  for (const r of result.rows) {
+    const category = {
+      id: r.category_id, parentId: r.parent_id, name: r.name, path: r.path, level: r.level, leaf: r.leaf, expired: r.expired,
+    };
+    byId.set(category.id, category);
+    if (category.leaf && !category.expired) {
+      leaves.push({ ...category, nameWords: words(category.name), pathWords: words(category.path) });
+    }
+  }
+  const tree = { version, byId, leaves };
+  treeCache.set(marketplaceId, tree);
+  return tree;
+}
+
+const words = (text) => text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Leaf categories whose name (or, weighted less, breadcrumb) contains words starting with the query's words
+async function searchCategories(marketplaceId, q, token) {
+  const tree = await loadTree(marketplaceId, token);
+  const terms = [...new Set(words(q).filter(w => w.length >= 2))];
+  if (terms.length === 0) return [];
+  const matches = (list, term) => list.some(w => w.startsWith(term));
+
+  const scored = [];
+  for (const leaf of tree.leaves) {
+    let nameHits = 0;
+    let pathHits = 0;
+    for (const term of terms) {
+      if (matches(leaf.nameWords, term)) nameHits++;
+      else if (matches(leaf.pathWords, term)) pathHits++;
+    }
+    if (nameHits === 0) continue;
+    scored.push({ leaf, score: nameHits * 3 + pathHits });
+  }
+  return scored
+    .sort((a, b) => b.score - a.score || a.leaf.nameWords.length - b.leaf.nameWords.length)
+    .slice(0, SEARCH_LIMIT)
+    .map(({ leaf }) => ({ id: leaf.id, name: leaf.name, path: leaf.path }));
+}
+
+// eBay's category suggestions for a search (Taxonomy API, called with `token`), kept to listable leaves of
+// the local tree and falling back to a local search when none are. Without a local tree the suggestions
+// pass through as eBay sent them. The tree loads with the account's OAuth token when it has one.
+async function suggestCategories(marketplace, q, token, oauthToken) {
+  const data = await taxonomyRequest(token,
+    `/category_tree/${marketplace.categoryTreeId}/get_category_suggestions?q=${encodeURIComponent(q)}`);
+  const rawSuggestions = (data.categorySuggestions || []).map(s => {
+    const ancestors = (s.categoryTreeNodeAncestors || [])
+      .sort((a, b) => a.categoryTreeNodeLevel - b.categoryTreeNodeLevel)
+      .map(a => a.categoryName);
+    const pathStr = [...ancestors, s.category.categoryName].join(' > ');
+    return { id: s.category.categoryId, name: s.category.categoryName, path: pathStr };
+  });
+
+  try {
+    const tree = await loadTree(marketplace.id, oauthToken);
+    const suggestions = rawSuggestions.filter(s => {
+      const category = tree.byId.get(s.id);
+      return category && category.leaf && !category.expired;
+    });
+    return suggestions.length > 0 ? suggestions : await searchCategories(marketplace.id, q, oauthToken);
+  } catch (err) {
+    console.error('Category tree unavailable:', err.message);
+    return rawSuggestions;
+  }
+}
+
+// One category with its breadcrumb, or null when the marketplace's tree has never had it
+async function getCategory(marketplaceId, categoryId, token) {
+  const tree = await loadTree(marketplaceId, token);
+  const category = tree.byId.get(String(categoryId));
+  return category ? { ...category } : null;
+}
+
+// eBay's replacement for an expired or unknown category ID. Mappings come from the Trading API
+// (GetCategoryMappings) and are stored once per tree version, so this needs a Trading token the first time.
+async function findReplacement(marketplaceId, categoryId, tradingToken) {
+  const tree = await pool.query('SELECT mappings_fetched_at FROM category_trees WHERE marketplace_id = $1', [marketplaceId]);
+  if (tree.rows.length > 0 && !tree.rows[0].mappings_fetched_at && tradingToken) {
+    const mappings = await getCategoryMappings(tradingToken, getMarketplace(marketplaceId).siteId);
+    await pool.query('DELETE FROM category_mappings WHERE marketplace_id = $1', [marketplaceId]);
+    for (let i = 0; i < mappings.length; i += INSERT_BATCH_SIZE) {
+      const batch = mappings.slice(i, i + INSERT_BATCH_SIZE);
+      await pool.query(
+        `INSERT INTO category_mappings (marketplace_id, old_id, new_id)
+         SELECT $1, * FROM unnest($2::varchar[], $3::varchar[]) ON CONFLICT DO NOTHING`,
+        [marketplaceId, batch.map(m => m.oldId), batch.map(m => m.newId)]
+      );
+    }
+    await pool.query('UPDATE category_trees SET mappings_fetched_at = NOW() WHERE marketplace_id = $1', [marketplaceId]);
+  }
+
+  let id = String(categoryId);
+  for (let hop = 0; hop < MAX_MAPPING_HOPS; hop++) {
+    const mapped = await pool.query(
+      'SELECT new_id FROM category_mappings WHERE marketplace_id = $1 AND old_id = $2',
+      [marketplaceId, id]
+    );
+    if (mapped.rows.length === 0) break;
+    id = mapped.rows[0].new_id;
+  }
+  return id !== String(categoryId) ? id : null;
+}
+
+// Check a category against the local tree before listing: it must be a current leaf; expired
+// categories move to eBay's replacement. Returns { categoryId, error }. When the tree can't be
+// loaded the category passes unchecked and eBay validates it on AddItem.
+async function resolveCategory(marketplaceId, categoryId, { token, tradingToken } = {}) {
+  const { name: marketplaceName } = getMarketplace(marketplaceId);
+  let category;
+  try {
+    category = await getCategory(marketplaceId, categoryId, token);
+  } catch (err) {
+    console.error(`[category-tree] ${marketplaceId} unavailable:`, err.message);
+    return { categoryId, error: null };
+  }
+
+  if (!category || category.expired) {
+    const replacementId = await findReplacement(marketplaceId, categoryId, tradingToken).catch(() => null);
+    const replacement = replacementId ? await getCategory(marketplaceId, replacementId, token) : null;
+    if (replacement && replacement.leaf && !replacement.expired) {
+      return { categoryId: replacement.id, remappedFrom: String(categoryId), error: null };
+    }
+    return {
+      categoryId,
+      error: category
+        ? `Category ${categoryId} (${category.path}) is no longer used on ${marketplaceName}. Please choose a new category.`
+        : `Category ${categoryId} doesn't exist on ${marketplaceName}. Please choose another category.`,
+    };
+  }
+  if (!category.leaf) {
+    return { categoryId, error: `Category ${categoryId} (${category.path}) is not a leaf category. Please choose a more specific sub-category.` };
+  }
+  return { categoryId, error: null };
+}
+
+// Check every stored tree's version and download the ones eBay has replaced
+async function refreshCategoryTrees() {
+  const trees = await pool.query('SELECT marketplace_id, version FROM category_trees');
+  for (const { marketplace_id: marketplaceId, version } of trees.rows) {
+    try {
+      const latest = await fetchTreeVersion(marketplaceId);
+      if (latest.version !== version) await downloadTree(marketplaceId);
+      else await pool.query('UPDATE category_trees SET checked_at = NOW() WHERE marketplace_id = $1', [marketplaceId]);
+    } catch (err) {
+      console.error(`[category-tree] ${marketplaceId} refresh failed:`, err.message);
+    }
+  }
+}
+
+function startCategoryTreeRefresh() {
+  const run = () => refreshCategoryTrees().catch(err => console.error('[category-tree] Refresh failed:', err));
+  setInterval(run, TREE_CHECK_INTERVAL_MS);
+  run();
+}
+
+module.exports = {
+  taxonomyRequest,
+  loadTree,
+  searchCategories,
+  suggestCategories,
+  getCategory,
+  resolveCategory,
+  refreshCategoryTrees,
+  startCategoryTreeRefresh,
+};
@@ -0,0 +1,148 @@
+const pool = require('./db');
+const { getMarketplace } = require('./marketplaces');
+const { fetchActiveItems } = require('./reconcile');
+
+const TITLE_SIMILARITY = 0.85; // share of title words in common (Jaccard) that counts as near-identical
+const IMAGE_HASH_DISTANCE = 5; // differing bits (of 64) between two difference hashes of the same photo
+const ACTIVE_ITEMS_TTL = 10 * 60 * 1000; // GetMyeBaySelling pages through every listing, so reuse it briefly
+
+// Active eBay listings keyed by account ID: { ts, items: Map }
+const activeItemsCache = new Map();
+
+const titleWords = (title) => new Set(String(title || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+
+function titleSimilarity(a, b) {
+  const wordsA = titleWords(a);
+  const wordsB = titleWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  let shared = 0;
+  for (const w of wordsA) if (wordsB.has(w)) shared++;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+// Bits that differ between two 64-bit image hashes (16 hex characters)
+function hashDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  while (diff) {
+    bits += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return bits;
+}
+
+const sameSku = (a, b) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+async function activeEbayItems(accountId, token) {
+  const cached = activeItemsCache.get(accountId);
+  if (cached && Date.now() - cached.ts < ACTIVE_ITEMS_TTL) return cached.items;
+  const items = await fetchActiveItems(token);
+  activeItemsCache.set(accountId, { ts: Date.now(), items });
+  return items;
+}
+
+// Live listings that look like the same item as a draft: same SKU, near-identical title, same MPN and
+// condition, or a visually identical photo. Checks the account's `listings` rows plus its active eBay
+// listings (so items listed outside the app count too). Returns { duplicates, ebayError }; each
+// duplicate has the reasons it matched and `canMerge` when the draft's quantity can be added to it.
+async function findDuplicates(draft, userConfig) {
+  const accountId = draft.account_id;
+  const marketplace = getMarketplace(draft.marketplace_id || userConfig.ebayMarketplace);
+  const title = draft.generated_title || draft.product_name;
+  const mpn = (draft.item_aspects?.MPN || draft.suggested_mpn || '').trim();
+  const found = new Map(); // ebay item ID → duplicate
+
+  const add = (itemId, details, reason) => {
+    if (!found.has(itemId)) {
+      found.set(itemId, {
+        itemId,
+        url: `https://${getMarketplace(details.marketplaceId || marketplace.id).domain}/itm/${itemId}`,
+        listingId: null,
+        canMerge: false,
+        reasons: [],
+        ...details,
+      });
+    }
+    const duplicate = found.get(itemId);
+    if (!duplicate.reasons.includes(reason)) duplicate.reasons.push(reason);
+  };
+
+  const listings = await pool.query(
+    `SELECT id, ebay_item_id, title, sku, price, quantity, condition_id, listing_format, variation_specifics, marketplace_id
+     FROM listings WHERE account_id = $1 AND status = 'active'`,
+    [accountId]
+  );
+  const byItemId = new Map(listings.rows.map(l => [l.ebay_item_id, l]));
+  const details = (l) => ({
+    title: l.title,
+    sku: l.sku,
+    price: l.price,
+    quantity: l.quantity,
+    marketplaceId: l.marketplace_id,
+    listingId: l.id,
+    // Quantity can only be merged into a single-item fixed-price listing
+    canMerge: !l.variation_specifics && l.listing_format !== 'Chinese',
+  });
+
+  for (const l of listings.rows) {
+    if (sameSku(draft.sku, l.sku)) add(l.ebay_item_id, details(l), 'Same SKU');
+    if (titleSimilarity(title, l.title) >= TITLE_SIMILARITY) add(l.ebay_item_id, details(l), 'Near-identical title');
+  }
+
+  // MPN and photos are only known for listings published from drafts
+  if (mpn) {
+    const sameMpn = await pool.query(
+      `SELECT DISTINCT d.ebay_item_id FROM drafts d
+       WHERE d.account_id = $1 AND d.id <> $2 AND d.status = 'listed' AND d.ebay_item_id IS NOT NULL
+         AND LOWER(COALESCE(NULLIF(d.item_aspects->>'MPN', ''), d.suggested_mpn)) = LOWER($3)
+         AND d.condition_id = $4`,
+      [accountId, draft.id, mpn, draft.condition_id]
+    );
+    for (const { ebay_item_id: itemId } of sameMpn.rows) {
+      if (byItemId.has(itemId)) add(itemId, details(byItemId.get(itemId)), 'Same MPN and condition');
+    }
+  }
+
+  const hashes = await pool.query(
+    'SELECT image_hash FROM draft_images WHERE draft_id = $1 AND image_hash IS NOT NULL',
+    [draft.id]
+  );
+  if (hashes.rows.length > 0) {
+    const listedImages = await pool.query(
+      `SELECT di.image_hash, d.ebay_item_id FROM draft_images di
+       JOIN drafts d ON d.id = di.draft_id
+       WHERE d.account_id = $1 AND d.id <> $2 AND d.status = 'listed' AND d.ebay_item_id IS NOT NULL
+         AND di.image_hash IS NOT NULL`,
+      [accountId, draft.id]
+    );
+    for (const { image_hash: hash, ebay_item_id: itemId } of listedImages.rows) {
+      if (!byItemId.has(itemId)) continue;
+      if (hashes.rows.some(h => hashDistance(h.image_hash, hash) <= IMAGE_HASH_DISTANCE)) {
+        add(itemId, details(byItemId.get(itemId)), 'Same photo');
+      }
+    }
+  }
+
+  // Active eBay listings; a failure here leaves the database checks standing
+  let ebayError = null;
+  const token = userConfig.ebayOAuthToken || userConfig.ebayToken;
+  if (token) {
+    try {
+      for (const item of (await activeEbayItems(accountId, token)).values()) {
+        const listing = byItemId.get(item.itemId);
+        const info = listing
+          ? details(listing)
+          : { title: item.title, sku: item.sku, price: item.price, quantity: item.quantity };
+        const skus = [item.sku, ...item.variations.map(v => v.sku)];
+        if (skus.some(sku => sameSku(draft.sku, sku))) add(item.itemId, info, 'Same SKU');
+        if (titleSimilarity(title, item.title) >= TITLE_SIMILARITY) add(item.itemId, info, 'Near-identical title');
+      }
+    } catch (err) {
+      ebayError = `Couldn't check active eBay listings: ${err.message}`;
+    }
+  }
+
+  return { duplicates: [...found.values()], ebayError };
+}
+
+module.exports = { findDuplicates };
@@ -0,0 +1,1009 @@
+const pool = require('./db');
+const { escapeXml, cdata, buildItemSpecificsXml } = require('./ebay-utils');
+const { TradingError, tradingCall, tradingRequest, parseFees, uploadSiteHostedPicture } = require('./ebay-trading');
+const { resolveCategory } = require('./category-tree');
+const { recordAspectUsage } = require('./item-aspects');
+const { findDuplicates } = require('./duplicates');
+const { getMarketplace } = require('./marketplaces');
+const { PACKAGE_TYPES, packageSize, matchShippingRule } = require('./shipping-rules');
+const { resolveAdRate, promoteListing } = require('./promoted-listings');
+const { loadListingDefaults, applyListingDefaults } = require('./listing-defaults');
+const { bestOfferThresholds } = require('./best-offer-rules');
+const { fetchSellerPolicies } = require('./business-policies');
+
+const INVENTORY_API_URL = 'https://api.ebay.com/sell/inventory/v1';
+const PUBLISH_METHODS = ['trading', 'inventory'];
+
+// Trading ListingType values we publish with; 'Chinese' is eBay's name for an auction
+const LISTING_FORMATS = ['FixedPriceItem', 'Chinese'];
+const AUCTION_DURATIONS = ['Days_1', 'Days_3', 'Days_5', 'Days_7', 'Days_10'];
+const BIN_MIN_MARKUP = 1.3;   // Buy It Now must be at least 30% above the starting bid
+
+// eBay limits for multi-variation listings
+const MAX_VARIATIONS = 250;
+const MAX_VARIATION_NAMES = 5;
+const MAX_VARIATION_PICTURES = 12;
+
+// Trading ConditionID → Inventory API ConditionEnum
+const CONDITION_ENUMS = {
+  '1000': 'NEW',
+  '1500': 'NEW_OTHER',
+  '1750': 'NEW_WITH_DEFECTS',
+  '2000': 'CERTIFIED_REFURBISHED',
+  '2010': 'EXCELLENT_REFURBISHED',
+  '2020': 'VERY_GOOD_REFURBISHED',
+  '2030': 'GOOD_REFURBISHED',
+  '2500': 'SELLER_REFURBISHED',
+  '2750': 'LIKE_NEW',
+  '3000': 'USED_EXCELLENT',
+  '4000': 'USED_VERY_GOOD',
+  '5000': 'USED_GOOD',
+  '6000': 'USED_ACCEPTABLE',
+  '7000': 'FOR_PARTS_OR_NOT_WORKING',
+};
+
+// ── Pictures & policies ──
+
+// Upload one image to eBay Picture Services; returns { success, url } or { success: false, error }
+async function uploadPicture(token, { base64, filename, mimeType }) {
+  try {
+    const url = await uploadSiteHostedPicture(token, { buffer: Buffer.from(base64, 'base64'), filename, mimeType });
+    return { success: true, url };
+  } catch (err) {
+    if (!(err instanceof TradingError)) throw err;
+    return { success: false, error: err.message, transient: err.transient };
+  }
+}
+
+// Shipping policy for an item without one: the first matching package rule, then the account's
+// default from listing defaults, then the first policy on the eBay account
+async function resolveShippingPolicy(item, userConfig, defaults) {
+  if (item.shippingPolicyId) return item.shippingPolicyId;
+  const ruled = await matchShippingRule(userConfig.accountId, item.marketplaceId, item);
+  if (ruled) return ruled;
+  if (defaults.shipping_policy_id && item.marketplaceId === getMarketplace(userConfig.ebayMarketplace).id) {
+    return defaults.shipping_policy_id;
+  }
+  const policies = await fetchSellerPolicies(userConfig, item.marketplaceId);
+  return policies.shipping?.find(s => s.default)?.id || policies.shipping?.[0]?.id || '';
+}
+
+// Blank Best Offer thresholds on a fixed-price item come from the account's Best Offer rules;
+// whatever a rule leaves blank falls through to the listing-default percentages
+async function applyBestOfferRules(item, accountId) {
+  if (!item.bestOfferEnabled || item.listingFormat === 'Chinese' || item.variations?.length) return item;
+  if (item.autoAcceptPrice || item.minBestOfferPrice) return item;
+  const thresholds = await bestOfferThresholds(accountId, {
+    marketplaceId: item.marketplaceId,
+    categoryId: item.categoryId,
+    price: item.price,
+    cost: item.cost,
+    priceRange: item.priceRange,
+  });
+  if (!thresholds || thresholds.error) return item;
+  return {
+    ...item,
+    autoAcceptPrice: thresholds.autoAcceptPrice ?? '',
+    minBestOfferPrice: thresholds.minBestOfferPrice ?? '',
+  };
+}
+
+// <ShippingPackageDetails> for calculated shipping; weight is split into whole lbs + oz as Trading expects
+function buildPackageXml(item) {
+  const { weight } = packageSize(item);
+  const dims = [['PackageLength', item.packageLengthIn], ['PackageWidth', item.packageWidthIn], ['PackageDepth', item.packageDepthIn]]
+    .filter(([, value]) => parseFloat(value) > 0);
+  const packageType = PACKAGE_TYPES[item.packageType] ? item.packageType : null;
+  if (!(weight > 0) && dims.length === 0 && !packageType) return null;
+
+  let lbs = Math.floor(weight > 0 ? weight : 0);
+  let oz = weight > 0 ? Math.round((weight - lbs) * 16) : 0;
+  if (oz === 16) { lbs++; oz = 0; }
+
+  return [
+    '    <ShippingPackageDetails>',
+    '      <MeasurementUnit>English</MeasurementUnit>',
+    packageType ? `      <ShippingPackage>${packageType}</ShippingPackage>` : null,
+    ...dims.map(([tag, value]) => `      <${tag} unit="in" measurementSystem="English">${parseFloat(value)}</${tag}>`),
+    weight > 0 ? `      <WeightMajor unit="lbs" measurementSystem="English">${lbs}</WeightMajor>` : null,
+    weight > 0 ? `      <WeightMinor unit="oz" measurementSystem="English">${oz}</WeightMinor>` : null,
+    '    </ShippingPackageDetails>',
+  ].filter(Boolean).join('\n');
+}
+
+// ── Listing format ──
+
+// Check auction fields against eBay's rules; returns an error message or null
+function validateListingFormat(item) {
+  const format = item.listingFormat || 'FixedPriceItem';
+  if (!LISTING_FORMATS.includes(format)) return `Invalid listing format: ${format}`;
+  if (format !== 'Chinese') return null;
+
+  const marketplace = getMarketplace(item.marketplaceId);
+  const startPrice = parseFloat(item.price);
+  const reservePrice = parseFloat(item.reservePrice);
+  const buyItNowPrice = parseFloat(item.buyItNowPrice);
+
+  if (!AUCTION_DURATIONS.includes(item.listingDuration)) {
+    return 'Auction duration must be 1, 3, 5, 7 or 10 days';
+  }
+  if (!(startPrice > 0)) return 'Auction starting bid must be greater than zero';
+  if ((parseInt(item.quantity) || 1) !== 1) return 'Auctions can only list a quantity of 1';
+  if (reservePrice > 0) {
+    if (marketplace.minReservePrice && reservePrice < marketplace.minReservePrice) {
+      return `Reserve price must be at least ${marketplace.symbol}${marketplace.minReservePrice} on ${marketplace.name}`;
+    }
+    if (reservePrice <= startPrice) return 'Reserve price must be higher than the starting bid';
+  }
+  if (buyItNowPrice > 0) {
+    const minBin = Math.ceil(startPrice * BIN_MIN_MARKUP * 100) / 100;
+    if (buyItNowPrice < minBin) {
+      return `Buy It Now price must be at least 30% above the starting bid (${marketplace.symbol}${minBin.toFixed(2)} or more)`;
+    }
+    if (reservePrice > 0 && buyItNowPrice <= reservePrice) {
+      return 'Buy It Now price must be higher than the reserve price';
+    }
+  }
+  return null;
+}
+
+// ── Multi-variation listings ──
+
+// Check item.variations ([{ sku, price, quantity, specifics: { Name: value }, pictureUrls }]); returns an error message or null
+function validateVariations(item) {
+  const variations = item.variations;
+  if (!Array.isArray(variations) || variations.length === 0) return null;
+  if (variations.length < 2) return 'A multi-variation listing needs at least two variations';
+  if (variations.length > MAX_VARIATIONS) return `eBay allows at most ${MAX_VARIATIONS} variations per listing`;
+  if (item.listingFormat === 'Chinese') return 'Auctions cannot have variations';
+
+  const names = Object.keys(variations[0].specifics || {}).sort();
+  if (names.length === 0) return 'Every variation needs variation specifics (e.g. Color: Red)';
+  if (names.length > MAX_VARIATION_NAMES) return `eBay allows at most ${MAX_VARIATION_NAMES} variation specifics (e.g. Color, Size)`;
+
+  const skus = new Set();
+  const combos = new Set();
+  for (const v of variations) {
+    const label = v.sku || 'a variation';
+    if (!v.sku) return 'Every variation needs its own SKU';
+    if (skus.has(v.sku)) return `Duplicate variation SKU: ${v.sku}`;
+    skus.add(v.sku);
+    if (!(parseFloat(v.price) > 0)) return `Variation ${label} has no price`;
+    if (!((parseInt(v.quantity) || 0) >= 1)) return `Variation ${label} needs a quantity of at least 1`;
+
+    const specifics = v.specifics || {};
+    const vNames = Object.keys(specifics).sort();
+    if (vNames.join('|') !== names.join('|') || vNames.some(n => !String(specifics[n]).trim())) {
+      return `Variation ${label} must set a value for each of: ${names.join(', ')}`;
+    }
+    const combo = names.map(n => String(specifics[n]).trim().toLowerCase()).join('|');
+    if (combos.has(combo)) return `Two variations share the same ${names.join('/')}: ${names.map(n => specifics[n]).join(' / ')}`;
+    combos.add(combo);
+  }
+  return null;
+}
+
+// Build the <Variations> block: specifics set, one <Variation> per SKU, and pictures keyed by the first specific
+function buildVariationsXml(variations, currency) {
+  const names = Object.keys(variations[0].specifics);
+  const valuesByName = {};
+  for (const name of names) {
+    valuesByName[name] = [...new Set(variations.map(v => String(v.specifics[name]).trim()))];
+  }
+
+  const nameValueXml = (name, values, indent) => [
+    `${indent}<NameValueList>`,
+    `${indent}  <Name>${escapeXml(name)}</Name>`,
+    ...values.map(v => `${indent}  <Value>${escapeXml(v)}</Value>`),
+    `${indent}</NameValueList>`,
+  ].join('\n');
+
+  const variationXml = variations.map(v => [
+    '      <Variation>',
+    `        <SKU>${escapeXml(v.sku)}</SKU>`,
+    `        <StartPrice currencyID="${currency}">${parseFloat(v.price).toFixed(2)}</StartPrice>`,
+    `        <Quantity>${parseInt(v.quantity)}</Quantity>`,
+    '        <VariationSpecifics>',
+    names.map(n => nameValueXml(n, [String(v.specifics[n]).trim()], '          ')).join('\n'),
+    '        </VariationSpecifics>',
+    '      </Variation>',
+  ].join('\n'));
+
+  // eBay varies pictures by a single specific; later variations sharing a value add to that value's set
+  const pictureName = names[0];
+  const picturesByValue = new Map();
+  for (const v of variations) {
+    const value = String(v.specifics[pictureName]).trim();
+    const urls = picturesByValue.get(value) || [];
+    for (const u of v.pictureUrls || []) if (!urls.includes(u)) urls.push(u);
+    picturesByValue.set(value, urls);
+  }
+  const pictureSets = [...picturesByValue.entries()].filter(([, urls]) => urls.length > 0).map(([value, urls]) => [
+    '        <VariationSpecificPictureSet>',
+    `          <VariationSpecificValue>${escapeXml(value)}</VariationSpecificValue>`,
+    ...urls.slice(0, MAX_VARIATION_PICTURES).map(u => `          <PictureURL>${escapeXml(u)}</PictureURL>`),
+    '        </VariationSpecificPictureSet>',
+  ].join('\n'));
+
+  return [
+    '    <Variations>',
+    '      <VariationSpecificsSet>',
+    names.map(n => nameValueXml(n, valuesByName[n], '        ')).join('\n'),
+    '      </VariationSpecificsSet>',
+    ...variationXml,
+    pictureSets.length > 0 ? '      <Pictures>' : null,
+    pictureSets.length > 0 ? `        <VariationSpecificName>${escapeXml(pictureName)}</VariationSpecificName>` : null,
+    ...pictureSets,
+    pictureSets.length > 0 ? '      </Pictures>' : null,
+    '    </Variations>',
+  ].filter(Boolean).join('\n');
+}
+
+// ── Trading API (AddItem) ──
+
+// Build the <Item> element for AddItem (and any call that takes the same payload) as request body lines
+function buildItemXml(item) {
+  const {
+    title, description, price, categoryId,
+    conditionId, pictureUrls, quantity, location,
+    sku, itemSpecifics, shippingPolicyId, returnPolicyId, paymentPolicyId,
+    bestOfferEnabled, autoAcceptPrice, minBestOfferPrice, autoPay,
+    listingFormat, listingDuration, reservePrice, buyItNowPrice, variations,
+    handlingTime, postalCode, privateListing, epid, useStockPhoto,
+  } = item;
+  const { currency, country, location: defaultLocation } = getMarketplace(item.marketplaceId);
+
+  // Price, quantity and SKU move into <Variations> for multi-variation listings
+  const hasVariations = Array.isArray(variations) && variations.length > 0;
+
+  // Auctions are single-quantity, can't take Best Offers, and only require immediate payment via Buy It Now
+  const isAuction = listingFormat === 'Chinese';
+  const bestOffer = bestOfferEnabled && !isAuction;
+  const hasBuyItNow = isAuction && parseFloat(buyItNowPrice) > 0;
+
+  const pictureUrlsXml = (pictureUrls || []).map(u => `      <PictureURL>${escapeXml(u)}</PictureURL>`).join('\n');
+  // A specific can't be both item-level and a variation name
+  const sharedSpecifics = { ...(itemSpecifics || {}) };
+  if (hasVariations) {
+    for (const name of Object.keys(variations[0].specifics || {})) delete sharedSpecifics[name];
+  }
+  const itemSpecificsXml = buildItemSpecificsXml(sharedSpecifics);
+
+  // Business policy IDs come from the draft, the account's listing defaults, or its eBay account
+  const shipId = shippingPolicyId || '';
+  const payId = paymentPolicyId || '';
+  const returnProfileXml = returnPolicyId ? [
+    '      <SellerReturnProfile>',
+    `        <ReturnProfileID>${escapeXml(returnPolicyId)}</ReturnProfileID>`,
+    '      </SellerReturnProfile>',
+  ].join('\n') : '';
+  const dispatchTime = handlingTime !== undefined && handlingTime !== '' && handlingTime !== null ? parseInt(handlingTime) : 3;
+
+  return [
+    '  <Item>',
+    `    <Title>${escapeXml(title.substring(0, 80))}</Title>`,
+    (sku && !hasVariations) ? `    <SKU>${escapeXml(sku)}</SKU>` : null,
+    `    <Description>${cdata(description)}</Description>`,
+    '    <PrimaryCategory>',
+    `      <CategoryID>${escapeXml(String(categoryId))}</CategoryID>`,
+    '    </PrimaryCategory>',
+    // Attach the listing to its eBay catalog product page
+    epid ? [
+      '    <ProductListingDetails>',
+      `      <ProductReferenceID>${escapeXml(String(epid))}</ProductReferenceID>`,
+      `      <IncludeStockPhotoURL>${useStockPhoto ? 'true' : 'false'}</IncludeStockPhotoURL>`,
+      `      <UseStockPhotoURLAsGallery>${useStockPhoto ? 'true' : 'false'}</UseStockPhotoURLAsGallery>`,
+      '    </ProductListingDetails>',
+    ].join('\n') : null,
+    !hasVariations ? `    <StartPrice currencyID="${currency}">${parseFloat(price).toFixed(2)}</StartPrice>` : null,
+    (isAuction && parseFloat(reservePrice) > 0) ? `    <ReservePrice currencyID="${currency}">${parseFloat(reservePrice).toFixed(2)}</ReservePrice>` : null,
+    hasBuyItNow ? `    <BuyItNowPrice currencyID="${currency}">${parseFloat(buyItNowPrice).toFixed(2)}</BuyItNowPrice>` : null,
+    `    <ConditionID>${escapeXml(String(conditionId))}</ConditionID>`,
+    `    <Country>${country}</Country>`,
+    `    <Currency>${currency}</Currency>`,
+    `    <Location>${escapeXml(location || defaultLocation)}</Location>`,
+    postalCode ? `    <PostalCode>${escapeXml(postalCode)}</PostalCode>` : null,
+    `    <DispatchTimeMax>${dispatchTime}</DispatchTimeMax>`,
+    privateListing ? '    <PrivateListing>true</PrivateListing>' : null,
+    `    <ListingDuration>${isAuction ? escapeXml(listingDuration) : 'GTC'}</ListingDuration>`,
+    `    <ListingType>${isAuction ? 'Chinese' : 'FixedPriceItem'}</ListingType>`,
+    !hasVariations ? `    <Quantity>${isAuction ? 1 : (parseInt(quantity) || 1)}</Quantity>` : null,
+    (autoPay !== false && (!isAuction || hasBuyItNow)) ? '    <AutoPay>true</AutoPay>' : null,
+    bestOffer ? '    <BestOfferDetails>' : null,
+    bestOffer ? '      <BestOfferEnabled>true</BestOfferEnabled>' : null,
+    bestOffer ? '    </BestOfferDetails>' : null,
+    (bestOffer && (parseFloat(autoAcceptPrice) > 0 || parseFloat(minBestOfferPrice) > 0)) ? '    <ListingDetails>' : null,
+    (bestOffer && parseFloat(autoAcceptPrice) > 0) ? `      <BestOfferAutoAcceptPrice currencyID="${currency}">${parseFloat(autoAcceptPrice).toFixed(2)}</BestOfferAutoAcceptPrice>` : null,
+    (bestOffer && parseFloat(minBestOfferPrice) > 0) ? `      <MinimumBestOfferPrice currencyID="${currency}">${parseFloat(minBestOfferPrice).toFixed(2)}</MinimumBestOfferPrice>` : null,
+    (bestOffer && (parseFloat(autoAcceptPrice) > 0 || parseFloat(minBestOfferPrice) > 0)) ? '    </ListingDetails>' : null,
+    '    <PictureDetails>',
+    pictureUrlsXml,
+    '    </PictureDetails>',
+    itemSpecificsXml,
+    hasVariations ? buildVariationsXml(variations, currency) : null,
+    buildPackageXml(item),
+    '    <SellerProfiles>',
+    '      <SellerShippingProfile>',
+    `        <ShippingProfileID>${escapeXml(shipId)}</ShippingProfileID>`,
+    '      </SellerShippingProfile>',
+    payId ? '      <SellerPaymentProfile>' : null,
+    payId ? `        <PaymentProfileID>${escapeXml(payId)}</PaymentProfileID>` : null,
+    payId ? '      </SellerPaymentProfile>' : null,
+    returnProfileXml,
+    '    </SellerProfiles>',
+    '  </Item>',
+  ];
+}
+
+async function publishWithTrading(item, userConfig) {
+  const token = userConfig.ebayOAuthToken || userConfig.ebayToken;
+  const callName = item.variations?.length ? 'AddFixedPriceItem' : 'AddItem';
+  const { siteId } = getMarketplace(item.marketplaceId);
+  const response = await tradingCall(callName, token, buildItemXml(item), { siteId });
+
+  const itemId = response.text('ItemID');
+  if (response.success && itemId) {
+    const listingFee = parseFees(response).find(f => f.name === 'ListingFee');
+    return { success: true, itemId, fees: listingFee ? listingFee.amount.toFixed(2) : '' };
+  }
+  return {
+    success: false,
+    error: new TradingError(response, 'Listing failed').message,
+    errors: response.errors,
+    transient: response.transient,
+  };
+}
+
+// Dry run: send the AddItem payload to VerifyAddItem and return every error, warning and fee
+async function verifyItem(item, userConfig) {
+  const token = userConfig.ebayOAuthToken || userConfig.ebayToken;
+  if (!token) return { success: false, error: 'eBay token not configured. Go to Settings.' };
+  const marketplace = getMarketplace(item.marketplaceId || userConfig.ebayMarketplace);
+  const defaults = await loadListingDefaults(userConfig.accountId);
+  item = await applyBestOfferRules({ ...item, marketplaceId: marketplace.id }, userConfig.accountId);
+  item = applyListingDefaults(item, defaults, {
+    sameMarketplace: marketplace.id === getMarketplace(userConfig.ebayMarketplace).id,
+  });
+  item.shippingPolicyId = await resolveShippingPolicy(item, userConfig, defaults);
+
+  const formatError = validateListingFormat(item) || validateVariations(item);
+  if (formatError) {
+    return {
+      success: false,
+      errors: [{ code: '', severity: 'Error', shortMessage: 'Invalid listing settings', longMessage: formatError }],
+      warnings: [],
+      fees: [],
+      totalFees: 0,
+    };
+  }
+
+  const category = await resolveCategory(marketplace.id, item.categoryId, { token: userConfig.ebayOAuthToken, tradingToken: token });
+  if (category.error) {
+    return {
+      success: false,
+      errors: [{ code: '', severity: 'Error', shortMessage: 'Invalid category', longMessage: category.error }],
+      warnings: [],
+      fees: [],
+      totalFees: 0,
+    };
+  }
+
+  const resolved = { ...item, categoryId: category.categoryId };
+  const callName = item.variations?.length ? 'VerifyAddFixedPriceItem' : 'VerifyAddItem';
+  const response = await tradingCall(callName, token, buildItemXml(resolved), { siteId: marketplace.siteId });
+  const fees = parseFees(response);
+  // ListingFee is eBay's own total of the other fees; fall back to summing when it's absent
+  const listingFee = fees.find(f => f.name === 'ListingFee');
+  const breakdown = fees.filter(f => f.name !== 'ListingFee' && f.amount > 0);
+  const totalFees = listingFee
+    ? listingFee.amount - listingFee.promotionalDiscount
+    : breakdown.reduce((sum, f) => sum + f.amount - f.promotionalDiscount, 0);
+
+  return {
+    success: response.success,
+    categoryId: category.categoryId,
+    errors: response.errors,
+    warnings: response.warnings,
+    fees: breakdown,
+    totalFees: +totalFees.toFixed(2),
+    currency: fees[0]?.currency || marketplace.currency,
+  };
+}
+
+// ── Inventory API (inventory item → offer → publish) ──
+
+// `language` is the marketplace locale; eBay rejects inventory items whose Content-Language doesn't match the offer's marketplace
+async function inventoryRequest(token, method, path, body, language = 'en-US') {
+  const resp = await fetch(`${INVENTORY_API_URL}${path}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+      'Content-Language': language,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const text = await resp.text();
+  let data = {};
+  if (text) {
+    try { data = JSON.parse(text); } catch { data = {}; }
+  }
+  return { ok: resp.ok, status: resp.status, data };
+}
+
+// Rate limiting and server-side failures are worth retrying; 4xx validation errors are not
+function isTransientStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+function inventoryError(data, fallback) {
+  const errors = (data.errors || []).map(e => e.longMessage || e.message).filter(Boolean);
+  return errors.length > 0 ? errors.join(' | ') : fallback;
+}
+
+// Convert { Name: value | [values] } item specifics into Inventory API aspects
+function toInventoryAspects(itemSpecifics) {
+  const aspects = {};
+  for (const [name, value] of Object.entries(itemSpecifics || {})) {
+    const vals = (Array.isArray(value) ? value : [value]).map(v => String(v).trim()).filter(Boolean);
+    if (vals.length > 0) aspects[name] = vals;
+  }
+  return aspects;
+}
+
+// Inventory API equivalent of <ShippingPackageDetails>
+function buildPackageWeightAndSize(item) {
+  const { weight } = packageSize(item);
+  const [length, width, height] = [item.packageLengthIn, item.packageWidthIn, item.packageDepthIn].map(d => parseFloat(d));
+  const result = {};
+  if (length > 0 && width > 0 && height > 0) result.dimensions = { length, width, height, unit: 'INCH' };
+  if (weight > 0) result.weight = { value: weight, unit: 'POUND' };
+  if (PACKAGE_TYPES[item.packageType]) result.packageType = PACKAGE_TYPES[item.packageType];
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+async function getMerchantLocationKey(token) {
+  const { ok, data } = await inventoryRequest(token, 'GET', '/location?limit=1');
+  if (!ok) throw new Error(inventoryError(data, 'Failed to load inventory locations'));
+  const location = (data.locations || [])[0];
+  if (!location) {
+    throw new Error('No inventory location found on your eBay account. Add a ship-from location in Seller Hub first.');
+  }
+  return location.merchantLocationKey;
+}
+
+function buildOfferBody(item, merchantLocationKey) {
+  const {
+    sku, price, categoryId, quantity, description,
+    shippingPolicyId, returnPolicyId, paymentPolicyId,
+    bestOfferEnabled, autoAcceptPrice, minBestOfferPrice,
+    listingFormat, listingDuration, reservePrice, buyItNowPrice,
+  } = item;
+  const isAuction = listingFormat === 'Chinese';
+  const marketplace = getMarketplace(item.marketplaceId);
+
+  const listingPolicies = {
+    fulfillmentPolicyId: shippingPolicyId,
+    paymentPolicyId,
+    returnPolicyId,
+  };
+  if (bestOfferEnabled && !isAuction) {
+    listingPolicies.bestOfferTerms = { bestOfferEnabled: true };
+    if (parseFloat(autoAcceptPrice) > 0) {
+      listingPolicies.bestOfferTerms.autoAcceptPrice = { value: parseFloat(autoAcceptPrice).toFixed(2), currency: marketplace.currency };
+    }
+    if (parseFloat(minBestOfferPrice) > 0) {
+      listingPolicies.bestOfferTerms.autoDeclinePrice = { value: parseFloat(minBestOfferPrice).toFixed(2), currency: marketplace.currency };
+    }
+  }
+
+  const money = (value) => ({ value: parseFloat(value).toFixed(2), currency: marketplace.currency });
+  let pricingSummary = { price: money(price) };
+  if (isAuction) {
+    pricingSummary = { auctionStartPrice: money(price) };
+    if (parseFloat(reservePrice) > 0) pricingSummary.auctionReservePrice = money(reservePrice);
+    if (parseFloat(buyItNowPrice) > 0) pricingSummary.price = money(buyItNowPrice);
+  }
+
+  return {
+    sku,
+    marketplaceId: marketplace.id,
+    format: isAuction ? 'AUCTION' : 'FIXED_PRICE',
+    availableQuantity: isAuction ? 1 : (parseInt(quantity) || 1),
+    categoryId: String(categoryId),
+    listingDescription: description,
+    listingDuration: isAuction ? listingDuration.toUpperCase() : 'GTC',
+    listingPolicies,
+    pricingSummary,
+    merchantLocationKey,
+    ...(item.privateListing ? { hideBuyerDetails: true } : {}),
+  };
+}
+
+async function publishWithInventory(item, userConfig) {
+  const token = userConfig.ebayOAuthToken;
+  if (!token) {
+    return { success: false, error: 'Inventory API publishing requires a connected eBay account. Connect eBay in Settings.' };
+  }
+  if (!item.sku) {
+    return { success: false, error: 'A SKU (Custom Label) is required when publishing through the Inventory API.' };
+  }
+  if (!item.shippingPolicyId || !item.returnPolicyId || !item.paymentPolicyId) {
+    return { success: false, error: 'Shipping, return and payment policies are required when publishing through the Inventory API.' };
+  }
+
+  const skuPath = encodeURIComponent(item.sku);
+  const { id: marketplaceId, language } = getMarketplace(item.marketplaceId);
+
+  // Step 1: create or replace the inventory item keyed by SKU
+  const inventoryItem = {
+    availability: { shipToLocationAvailability: { quantity: item.listingFormat === 'Chinese' ? 1 : (parseInt(item.quantity) || 1) } },
+    condition: CONDITION_ENUMS[String(item.conditionId)] || 'USED_EXCELLENT',
+    product: {
+      title: item.title.substring(0, 80),
+      description: item.description,
+      aspects: toInventoryAspects(item.itemSpecifics),
+      imageUrls: item.pictureUrls || [],
+      ...(item.epid ? { epid: String(item.epid) } : {}),
+    },
+  };
+  const packageWeightAndSize = buildPackageWeightAndSize(item);
+  if (packageWeightAndSize) inventoryItem.packageWeightAndSize = packageWeightAndSize;
+  const itemResp = await inventoryRequest(token, 'PUT', `/inventory_item/${skuPath}`, inventoryItem, language);
+  if (!itemResp.ok) {
+    return { success: false, error: inventoryError(itemResp.data, 'Failed to create inventory item'), transient: isTransientStatus(itemResp.status) };
+  }
+
+  // Step 2: create the offer, or update the unpublished one already attached to this SKU
+  const merchantLocationKey = await getMerchantLocationKey(token);
+  const offerBody = buildOfferBody(item, merchantLocationKey);
+
+  let offerId;
+  const existing = await inventoryRequest(token, 'GET', `/offer?sku=${skuPath}&marketplace_id=${marketplaceId}`);
+  const existingOffer = existing.ok ? (existing.data.offers || [])[0] : null;
+  if (existingOffer) {
+    if (existingOffer.status === 'PUBLISHED') {
+      return { success: false, error: `SKU ${item.sku} is already live on eBay (listing ${existingOffer.listing?.listingId || 'unknown'}).` };
+    }
+    const updateResp = await inventoryRequest(token, 'PUT', `/offer/${existingOffer.offerId}`, offerBody, language);
+    if (!updateResp.ok) {
+      return { success: false, error: inventoryError(updateResp.data, 'Failed to update offer'), transient: isTransientStatus(updateResp.status) };
+    }
+    offerId = existingOffer.offerId;
+  } else {
+    const offerResp = await inventoryRequest(token, 'POST', '/offer', offerBody, language);
+    if (!offerResp.ok || !offerResp.data.offerId) {
+      return { success: false, error: inventoryError(offerResp.data, 'Failed to create offer'), transient: isTransientStatus(offerResp.status) };
+    }
+    offerId = offerResp.data.offerId;
+  }
+
+  // Step 3: publish the offer
+  const publishResp = await inventoryRequest(token, 'POST', `/offer/${offerId}/publish`);
+  if (!publishResp.ok || !publishResp.data.listingId) {
+    return { success: false, error: inventoryError(publishResp.data, 'Failed to publish offer'), transient: isTransientStatus(publishResp.status) };
+  }
+
+  return { success: true, itemId: publishResp.data.listingId, offerId, fees: '' };
+}
+
+// Update price/quantity/title/description/aspects on an Inventory API listing
+async function reviseInventoryListing(token, listing, changes) {
+  const skuPath = encodeURIComponent(listing.sku);
+  const { title, description, price, quantity, itemSpecifics, autoAcceptPrice, minBestOfferPrice } = changes;
+  const { currency, language } = getMarketplace(listing.marketplace_id);
+  const bestOfferChange = autoAcceptPrice !== undefined || minBestOfferPrice !== undefined;
+
+  if (title || description || quantity !== undefined || itemSpecifics) {
+    const itemResp = await inventoryRequest(token, 'GET', `/inventory_item/${skuPath}`);
+    if (!itemResp.ok) throw new Error(inventoryError(itemResp.data, 'Failed to load inventory item'));
+    const inventoryItem = itemResp.data;
+    delete inventoryItem.sku;
+    delete inventoryItem.locale;
+    inventoryItem.product = inventoryItem.product || {};
+    if (title) inventoryItem.product.title = String(title).substring(0, 80);
+    if (description) inventoryItem.product.description = description;
+    if (itemSpecifics) inventoryItem.product.aspects = toInventoryAspects(itemSpecifics);
+    if (quantity !== undefined) {
+      inventoryItem.availability = { shipToLocationAvailability: { quantity: parseInt(quantity) } };
+    }
+    const putResp = await inventoryRequest(token, 'PUT', `/inventory_item/${skuPath}`, inventoryItem, language);
+    if (!putResp.ok) throw new Error(inventoryError(putResp.data, 'Failed to update inventory item'));
+  }
+
+  if (price !== undefined || quantity !== undefined || description || bestOfferChange) {
+    const offerResp = await inventoryRequest(token, 'GET', `/offer/${listing.offer_id}`);
+    if (!offerResp.ok) throw new Error(inventoryError(offerResp.data, 'Failed to load offer'));
+    const offer = offerResp.data;
+    for (const key of ['offerId', 'status', 'listing', 'sku', 'marketplaceId', 'format']) delete offer[key];
+    if (price !== undefined) offer.pricingSummary = { ...offer.pricingSummary, price: { value: parseFloat(price).toFixed(2), currency } };
+    if (quantity !== undefined) offer.availableQuantity = parseInt(quantity);
+    if (description) offer.listingDescription = description;
+    if (bestOfferChange) {
+      const terms = { ...offer.listingPolicies?.bestOfferTerms, bestOfferEnabled: true };
+      if (autoAcceptPrice) terms.autoAcceptPrice = { value: parseFloat(autoAcceptPrice).toFixed(2), currency };
+      if (minBestOfferPrice) terms.autoDeclinePrice = { value: parseFloat(minBestOfferPrice).toFixed(2), currency };
+      offer.listingPolicies = { ...offer.listingPolicies, bestOfferTerms: terms };
+    }
+    const putResp = await inventoryRequest(token, 'PUT', `/offer/${listing.offer_id}`, offer, language);
+    if (!putResp.ok) throw new Error(inventoryError(putResp.data, 'Failed to update offer'));
+  }
+}
+
+// Revise a live listing through whichever API published it, then mirror the change on the `listings` row.
+// `quantity` is the quantity available to buy. Throws with eBay's error message on failure; returns the updated row.
+async function reviseListing(userConfig, listing, changes) {
+  const { title, description, price, quantity, itemSpecifics, autoAcceptPrice, minBestOfferPrice } = changes;
+  const token = userConfig.ebayOAuthToken || userConfig.ebayToken;
+  if (!token) throw new Error('eBay token not configured. Go to Settings.');
+
+  const isAuction = listing.listing_format === 'Chinese';
+  const { siteId, currency } = getMarketplace(listing.marketplace_id);
+  // Rows with variation_specifics are one variation of a multi-variation listing, keyed by SKU
+  const isVariation = !!listing.variation_specifics;
+
+  if (listing.offer_id) {
+    // Published through the Inventory API — revise the inventory item and offer instead
+    if (!userConfig.ebayOAuthToken) {
+      throw new Error('This listing was published through the Inventory API. Connect eBay in Settings to revise it.');
+    }
+    await reviseInventoryListing(userConfig.ebayOAuthToken, listing, changes);
+  } else {
+    const callName = isAuction ? 'ReviseItem' : 'ReviseFixedPriceItem';
+    // Trading revisions set the total quantity, units already sold included
+    const totalQuantity = quantity !== undefined ? parseInt(quantity) + (listing.quantity_sold || 0) : undefined;
+    const body = [
+      '  <Item>',
+      `    <ItemID>${escapeXml(listing.ebay_item_id)}</ItemID>`,
+      title ? `    <Title>${escapeXml(String(title).substring(0, 80))}</Title>` : null,
+      description ? `    <Description>${cdata(description)}</Description>` : null,
+      (!isVariation && price !== undefined) ? `    <StartPrice currencyID="${currency}">${parseFloat(price).toFixed(2)}</StartPrice>` : null,
+      (!isVariation && quantity !== undefined) ? `    <Quantity>${totalQuantity}</Quantity>` : null,
+      itemSpecifics ? buildItemSpecificsXml(itemSpecifics) : null,
+      (autoAcceptPrice || minBestOfferPrice) ? [
+        '    <ListingDetails>',
+        autoAcceptPrice ? `      <BestOfferAutoAcceptPrice currencyID="${currency}">${parseFloat(autoAcceptPrice).toFixed(2)}</BestOfferAutoAcceptPrice>` : null,
+        minBestOfferPrice ? `      <MinimumBestOfferPrice currencyID="${currency}">${parseFloat(minBestOfferPrice).toFixed(2)}</MinimumBestOfferPrice>` : null,
+        '    </ListingDetails>',
+      ].filter(Boolean).join('\n') : null,
+      (isVariation && (price !== undefined || quantity !== undefined)) ? [
+        '    <Variations>',
+        '      <Variation>',
+        `        <SKU>${escapeXml(listing.sku)}</SKU>`,
+        price !== undefined ? `        <StartPrice currencyID="${currency}">${parseFloat(price).toFixed(2)}</StartPrice>` : null,
+        quantity !== undefined ? `        <Quantity>${totalQuantity}</Quantity>` : null,
+        '      </Variation>',
+        '    </Variations>',
+      ].filter(Boolean).join('\n') : null,
+      '  </Item>',
+    ];
+    await tradingRequest(callName, token, body, { siteId });
+  }
+
+  // Title is shared by every variation of the listing
+  if (isVariation && title) {
+    await pool.query(
+      'UPDATE listings SET title = $1, updated_at = NOW() WHERE account_id = $2 AND ebay_item_id = $3',
+      [String(title).substring(0, 100), listing.account_id, listing.ebay_item_id]
+    );
+  }
+
+  const updated = await pool.query(
+    `UPDATE listings SET
+      title = COALESCE($1, title),
+      price = COALESCE($2, price),
+      quantity = COALESCE($3, quantity),
+      auto_accept_price = COALESCE($4, auto_accept_price),
+      min_best_offer_price = COALESCE($5, min_best_offer_price),
+      updated_at = NOW()
+    WHERE id = $6
+    RETURNING id, ebay_item_id, title, price, quantity, status`,
+    [
+      title ? String(title).substring(0, 100) : null,
+      price !== undefined ? parseFloat(price).toFixed(2) : null,
+      quantity !== undefined ? parseInt(quantity) : null,
+      autoAcceptPrice ? parseFloat(autoAcceptPrice).toFixed(2) : null,
+      minBestOfferPrice ? parseFloat(minBestOfferPrice).toFixed(2) : null,
+      listing.id,
+    ]
+  );
+  return updated.rows[0];
+}
+
+// Add units to a live single-item listing, e.g. a draft found to duplicate it
+function addListingQuantity(userConfig, listing, added) {
+  return reviseListing(userConfig, listing, { quantity: (listing.quantity || 0) + added });
+}
+
+// End an Inventory API listing by withdrawing its offer
+async function withdrawInventoryListing(token, listing) {
+  const resp = await inventoryRequest(token, 'POST', `/offer/${listing.offer_id}/withdraw`);
+  if (!resp.ok) throw new Error(inventoryError(resp.data, 'Failed to withdraw offer'));
+}
+
+// ── Shared publish entry point ──
+
+// Persist listing to DB (one row per variation) and check the 1,000-listing milestone (both best-effort)
+async function recordListing({ userId, accountId }, item, result) {
+  const firstPicture = (urls) => (urls && urls.length > 0 ? urls[0] : null);
+  const rows = item.variations?.length
+    ? item.variations.map(v => ({
+        price: v.price,
+        quantity: parseInt(v.quantity) || 1,
+        sku: v.sku,
+        thumbnail: firstPicture(v.pictureUrls) || firstPicture(item.pictureUrls),
+        specifics: JSON.stringify(v.specifics),
+      }))
+    : [{
+        price: item.price,
+        quantity: item.listingFormat === 'Chinese' ? 1 : (parseInt(item.quantity) || 1),
+        sku: item.sku || null,
+        thumbnail: firstPicture(item.pictureUrls),
+        specifics: null,
+      }];
+  const bestOffer = !!item.bestOfferEnabled && item.listingFormat !== 'Chinese';
+  try {
+    for (const row of rows) {
+      await pool.query(
+        `INSERT INTO listings (user_id, account_id, ebay_item_id, title, price, thumbnail_url, category_id, condition_id, quantity, sku, offer_id, listing_format, variation_specifics, marketplace_id,
+           cost, best_offer_enabled, auto_accept_price, min_best_offer_price)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)`,
+        [
+          userId,
+          accountId,
+          result.itemId,
+          item.title.substring(0, 100),
+          parseFloat(row.price).toFixed(2),
+          row.thumbnail,
+          String(item.categoryId),
+          String(item.conditionId),
+          row.quantity,
+          row.sku,
+          result.offerId || null,
+          item.listingFormat || 'FixedPriceItem',
+          row.specifics,
+          item.marketplaceId,
+          parseFloat(item.cost) > 0 ? parseFloat(item.cost).toFixed(2) : null,
+          bestOffer,
+          bestOffer && parseFloat(item.autoAcceptPrice) > 0 ? parseFloat(item.autoAcceptPrice).toFixed(2) : null,
+          bestOffer && parseFloat(item.minBestOfferPrice) > 0 ? parseFloat(item.minBestOfferPrice).toFixed(2) : null,
+        ]
+      );
+    }
+  } catch (dbErr) {
+    console.error('Failed to save listing to DB:', dbErr);
+  }
+  // Check 1,000-listing milestone for lifetime membership
+  try {
+    const countResult = await pool.query(
+      'SELECT COUNT(*)::int AS total FROM listings WHERE account_id = $1',
+      [accountId]
+    );
+    if (countResult.rows[0].total >= 1000) {
+      await pool.query(
+        'UPDATE users SET lifetime_member = true, updated_at = NOW() WHERE id = $1 AND (lifetime_member IS NULL OR lifetime_member = false)',
+        [accountId]
+      );
+    }
+  } catch (milestoneErr) {
+    console.error('Milestone check failed (non-fatal):', milestoneErr);
+  }
+}
+
+// Publish an item through the account's chosen path and record it in `listings`.
+// `item` has the same shape as the POST /api/ebay/add-item body.
+async function publishItem(item, { userConfig, userId, accountId }) {
+  const token = userConfig.ebayOAuthToken || userConfig.ebayToken;
+  if (!token) return { success: false, error: 'eBay token not configured. Go to Settings.' };
+  // A draft's marketplace override wins over the account default
+  const marketplace = getMarketplace(item.marketplaceId || userConfig.ebayMarketplace);
+  const defaults = await loadListingDefaults(userConfig.accountId);
+  item = await applyBestOfferRules({ ...item, marketplaceId: marketplace.id }, userConfig.accountId);
+  item = applyListingDefaults(item, defaults, {
+    sameMarketplace: marketplace.id === getMarketplace(userConfig.ebayMarketplace).id,
+  });
+  item.shippingPolicyId = await resolveShippingPolicy(item, userConfig, defaults);
+  if (!item.shippingPolicyId) {
+    return { success: false, error: 'No shipping policy. Pick one on the draft or set a default in Settings → Listing Defaults.' };
+  }
+
+  const formatError = validateListingFormat(item) || validateVariations(item);
+  if (formatError) return { success: false, error: formatError };
+
+  const category = await resolveCategory(marketplace.id, item.categoryId, { token: userConfig.ebayOAuthToken, tradingToken: token });
+  if (category.error) return { success: false, error: category.error };
+  const resolved = { ...item, categoryId: category.categoryId };
+
+  // Variation groups always go through the Trading API (Inventory API item groups aren't supported)
+  const result = userConfig.ebayPublishMethod === 'inventory' && !item.variations?.length
+    ? await publishWithInventory(resolved, userConfig)
+    : await publishWithTrading(resolved, userConfig);
+
+  if (result.success) {
+    await recordListing({ userId, accountId }, resolved, result);
+    await recordAspectUsage(accountId, marketplace.id, resolved.categoryId, resolved.itemSpecifics);
+    // Promotion is best-effort: a failed ad leaves the listing live with promote_error set
+    const adRate = resolveAdRate(item, userConfig);
+    if (adRate) result.promotion = await promoteListing(userConfig, result.itemId, adRate);
+  }
+  return result;
+}
+
+// ── Server-side draft publishing (scheduler, background publishing) ──
+
+// Turn a `drafts` row into the add-item payload the browser would build for it
+function draftToItem(draft, policies, pictureUrls) {
+  const itemSpecifics = { ...(draft.item_aspects || {}) };
+  // Backwards compat: ensure Brand/Type/MPN from old fields
+  if (!itemSpecifics['Brand'] && (draft.suggested_brand || draft.brand)) itemSpecifics['Brand'] = draft.suggested_brand || draft.brand;
+  if (!itemSpecifics['Type'] && draft.suggested_type) itemSpecifics['Type'] = draft.suggested_type;
+  if (!itemSpecifics['MPN'] && draft.suggested_mpn) itemSpecifics['MPN'] = draft.suggested_mpn;
+
+  return {
+    title: draft.generated_title,
+    description: draft.generated_html,
+    price: draft.price,
+    categoryId: draft.category_id,
+    conditionId: draft.condition_id || '3000',
+    pictureUrls,
+    quantity: draft.quantity || 1,
+    sku: draft.sku || '',
+    itemSpecifics,
+    // Empty lets publishItem pick the policy from the account's package rules
+    shippingPolicyId: draft.shipping_policy_id || '',
+    returnPolicyId: draft.return_policy_id || (policies.returnPolicies?.find(r => r.default)?.id || policies.returnPolicies?.[0]?.id || ''),
+    paymentPolicyId: draft.payment_policy_id || policies.payment || '',
+    bestOfferEnabled: draft.best_offer_enabled || false,
+    autoAcceptPrice: draft.auto_accept_price || '',
+    minBestOfferPrice: draft.min_best_offer_price || '',
+    cost: draft.cost || '',
+    priceRange: draft.price_range || null,
+    autoPay: draft.auto_pay !== false,
+    listingFormat: draft.listing_format || 'FixedPriceItem',
+    listingDuration: draft.listing_duration || '',
+    reservePrice: draft.reserve_price || '',
+    buyItNowPrice: draft.buy_it_now_price || '',
+    marketplaceId: draft.marketplace_id || '',
+    packageWeightLbs: draft.package_weight_lbs || '',
+    packageLengthIn: draft.package_length_in || '',
+    packageWidthIn: draft.package_width_in || '',
+    packageDepthIn: draft.package_depth_in || '',
+    packageType: draft.package_type || '',
+    handlingTime: draft.handling_time ?? '',
+    location: draft.item_location || '',
+    postalCode: draft.postal_code || '',
+    privateListing: draft.private_listing || false,
+    epid: draft.epid || '',
+    useStockPhoto: draft.use_stock_photo || false,
+    adRate: draft.promoted_ad_rate !== null && draft.promoted_ad_rate !== undefined ? String(draft.promoted_ad_rate) : '',
+  };
+}
+
+function draftToVariation(draft, pictureUrls) {
+  return {
+    sku: draft.sku || '',
+    price: draft.price,
+    quantity: draft.quantity || 1,
+    specifics: draft.variation_specifics || {},
+    pictureUrls,
+  };
+}
+
+function validateDraftForPublish(draft) {
+  if (!draft.generated_title || !draft.generated_html) return 'Draft has no generated title/description yet';
+  if (!(parseFloat(draft.price) > 0)) return 'Draft has no price';
+  if (!draft.category_id || !/^\d+$/.test(draft.category_id)) return 'Draft has no valid category ID';
+  return null;
+}
+
+// Upload every stored image for a draft to eBay Picture Services; throws on the first failure
+async function uploadDraftImages(token, draftId) {
+  const imagesResult = await pool.query(
+    `SELECT base64_data, filename, mime_type FROM draft_images WHERE draft_id = $1 ORDER BY image_index`,
+    [draftId]
+  );
+  const pictureUrls = [];
+  for (const img of imagesResult.rows) {
+    const upload = await uploadPicture(token, {
+      base64: img.base64_data,
+      filename: img.filename,
+      mimeType: img.mime_type,
+    });
+    if (!upload.success) {
+      const err = new Error(`Image upload error: ${upload.error}`);
+      err.transient = upload.transient;
+      throw err;
+    }
+    pictureUrls.push(upload.url);
+  }
+  return pictureUrls;
+}
+
+// Drafts grouped under `parentId` as variations (not including the parent itself)
+async function loadVariationChildren(parentId) {
+  const result = await pool.query(
+    `SELECT * FROM drafts
+     WHERE variation_parent_id = $1 AND status NOT IN ('rejected', 'listed')
+     ORDER BY id`,
+    [parentId]
+  );
+  return result.rows;
+}
+
+// Upload a draft's images, publish it, and move it to `listed` — or back to `ready` with publish_error set.
+// A draft with variation children is published as one multi-variation listing covering the whole group.
+// `userId` is recorded as the listing's creator; `onStage('uploading' | 'publishing')` reports progress.
+// Failures carry `transient: true` when retrying the same draft may succeed.
+async function publishDraft(draft, { userConfig, userId, onStage }) {
+  const accountId = draft.account_id;
+  const token = userConfig.ebayOAuthToken || userConfig.ebayToken;
+
+  const fail = async (error, transient = false) => {
+    await pool.query(
+      `UPDATE drafts SET status = 'ready', publish_error = $1, updated_at = NOW() WHERE id = $2`,
+      [error, draft.id]
+    );
+    return { success: false, error, transient };
+  };
+
+  if (!token) return fail('eBay token not configured. Go to Settings.');
+  if (draft.variation_parent_id) {
+    return fail(`This draft is a variation of draft #${draft.variation_parent_id}. Publish that draft to list the whole group.`);
+  }
+  const invalid = validateDraftForPublish(draft);
+  if (invalid) return fail(invalid);
+
+  try {
+    // Possible duplicates hold the draft back until someone confirms it in the editor
+    if (!draft.duplicates_confirmed) {
+      const { duplicates } = await findDuplicates(draft, userConfig);
+      if (duplicates.length > 0) {
+        const matches = duplicates.map(d => `#${d.itemId} (${d.reasons.join(', ').toLowerCase()})`).join(', ');
+        return fail(`Possible duplicate of ${matches}. Open the draft to publish anyway or add its quantity to that listing.`);
+      }
+    }
+
+    const children = await loadVariationChildren(draft.id);
+    if (onStage) await onStage('uploading');
+    const pictureUrls = await uploadDraftImages(token, draft.id);
+
+    const policies = await fetchSellerPolicies(userConfig, draft.marketplace_id);
+    const item = draftToItem(draft, policies, pictureUrls);
+    if (children.length > 0) {
+      item.variations = [draftToVariation(draft, pictureUrls)];
+      for (const child of children) {
+        item.variations.push(draftToVariation(child, await uploadDraftImages(token, child.id)));
+      }
+    }
+
+    if (onStage) await onStage('publishing');
+    const result = await publishItem(item, { userConfig, userId, accountId });
+    if (!result.success) return fail(result.error, !!result.transient);
+
+    await pool.query(
+      `UPDATE drafts SET status = 'listed', ebay_item_id = $1, publish_error = NULL, updated_at = NOW() WHERE id = ANY($2)`,
+      [result.itemId, [draft.id, ...children.map(c => c.id)]]
+    );
+    return result;
+  } catch (err) {
+    // Network failures surface as fetch errors with a system error code (ECONNRESET, ETIMEDOUT, …)
+    return fail(err.message, !!(err.transient || err.cause?.code));
+  }
+}
+
+module.exports = {
+  PUBLISH_METHODS,
+  CONDITION_IDS: Object.keys(CONDITION_ENUMS),
+  LISTING_FORMATS,
+  AUCTION_DURATIONS,
+  validateListingFormat,
+  validateVariations,
+  uploadPicture,
+  buildItemXml,
+  verifyItem,
+  publishItem,
+  publishDraft,
+  reviseListing,
+  addListingQuantity,
+  withdrawInventoryListing,
+};
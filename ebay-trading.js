@@ -0,0 +1,186 @@
+// ── eBay Trading API client ──
+// Builds Trading XML requests and parses responses with a real XML parser, so callers get
+// structured errors ({ code, severity, shortMessage, longMessage, parameters }) instead of regex matches.
+const cheerio = require('cheerio');
+const { EBAY_API_URL, ebayHeaders, escapeXml } = require('./ebay-utils');
+
+// Trading API error codes worth retrying: internal eBay error, call usage limit
+const TRANSIENT_ERROR_CODES = ['10007', '518'];
+
+// Errors with a known fix, keyed by Trading error code. Each returns the message shown to the user.
+const ACTIONABLE_ERRORS = {
+  '931': () => 'Your eBay token is invalid. Reconnect eBay in Settings.',
+  '932': () => 'Your eBay token has expired. Reconnect eBay in Settings.',
+  '17': () => 'eBay no longer has this listing, or it belongs to another seller.',
+  '1047': () => 'This listing has already ended on eBay.',
+  '21919188': () => 'Your eBay selling limits are reached. Request higher limits in Seller Hub or end some listings first.',
+  '21919303': (e) => e.parameters[0]?.value
+    ? `eBay requires the "${e.parameters[0].value}" item specific for this category. Add it in the draft's Details.`
+    : null,
+};
+
+// One parsed Trading API response
+class TradingResponse {
+  constructor(callName, text) {
+    this.callName = callName;
+    this.raw = text;
+    this.$ = cheerio.load(text, { xml: true });
+    this.root = this.$.root().children().first();
+    this.ack = this.root.children('Ack').text() || null;
+    // Only the response's own <Errors>; per-variation or per-picture errors stay inside their elements
+    const messages = this.root.children('Errors').toArray().map(el => parseError(this.$(el), this.$));
+    this.errors = messages.filter(m => m.severity !== 'Warning');
+    this.warnings = messages.filter(m => m.severity === 'Warning');
+    this.success = this.ack === 'Success' || this.ack === 'Warning';
+    // No Ack at all means a gateway error page rather than a Trading response
+    this.transient = !this.ack || this.errors.some(e => TRANSIENT_ERROR_CODES.includes(e.code));
+  }
+
+  // Trimmed text of the first element matching `selector` under the response root
+  text(selector) {
+    return this.root.find(selector).first().text().trim();
+  }
+
+  hasError(code) {
+    return this.errors.some(e => e.code === String(code));
+  }
+}
+
+// Thrown by tradingRequest when eBay answers with Ack=Failure (or not at all)
+class TradingError extends Error {
+  constructor(response, fallback) {
+    super(describeTradingErrors(response.errors, fallback || `${response.callName} failed`));
+    this.name = 'TradingError';
+    this.callName = response.callName;
+    this.errors = response.errors;
+    this.warnings = response.warnings;
+    this.transient = response.transient;
+  }
+
+  hasError(code) {
+    return this.errors.some(e => e.code === String(code));
+  }
+}
+
+function parseError($error, $) {
+  return {
+    code: $error.children('ErrorCode').text(),
+    severity: $error.children('SeverityCode').text() || 'Error',
+    shortMessage: $error.children('ShortMessage').text(),
+    longMessage: $error.children('LongMessage').text(),
+    parameters: $error.children('ErrorParameters').toArray().map(p => ({
+      id: $(p).attr('ParamID'),
+      value: $(p).children('Value').text(),
+    })),
+  };
+}
+
+// One user-facing message for a set of errors: an actionable message where the code has one,
+// eBay's long message otherwise
+function describeTradingErrors(errors, fallback) {
+  const messages = errors.map(e => ACTIONABLE_ERRORS[e.code]?.(e) || e.longMessage || e.shortMessage).filter(Boolean);
+  return messages.length > 0 ? [...new Set(messages)].join(' | ') : fallback;
+}
+
+// Wrap request body lines in the <CallNameRequest> envelope every call shares
+function buildTradingXml(callName, bodyLines) {
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<${callName}Request xmlns="urn:ebay:apis:eBLBaseComponents">`,
+    '  <ErrorLanguage>en_US</ErrorLanguage>',
+    '  <WarningLevel>High</WarningLevel>',
+    ...bodyLines.filter(Boolean),
+    `</${callName}Request>`,
+  ].join('\n');
+}
+
+// POST a Trading API call and parse the response. Never throws on Ack=Failure — see tradingRequest.
+// `attachment` ({ buffer, filename, mimeType }) sends the call as multipart, as UploadSiteHostedPictures needs.
+async function tradingCall(callName, token, bodyLines, { siteId, attachment } = {}) {
+  const xml = buildTradingXml(callName, bodyLines);
+  let body = xml;
+  let contentType = 'text/xml';
+  if (attachment) {
+    const boundary = 'MIME_boundary_' + Date.now();
+    const head = [
+      `--${boundary}\r\n`,
+      `Content-Disposition: form-data; name="XML Payload"\r\n`,
+      `Content-Type: text/xml\r\n\r\n`,
+      xml,
+      `\r\n--${boundary}\r\n`,
+      `Content-Disposition: form-data; name="image"; filename="${attachment.filename || 'image.jpg'}"\r\n`,
+      `Content-Type: ${attachment.mimeType || 'image/jpeg'}\r\n`,
+      `Content-Transfer-Encoding: binary\r\n\r\n`,
+    ].join('');
+    body = Buffer.concat([Buffer.from(head, 'utf-8'), attachment.buffer, Buffer.from(`\r\n--${boundary}--\r\n`, 'utf-8')]);
+    contentType = `multipart/form-data; boundary=${boundary}`;
+  }
+
+  const response = await fetch(EBAY_API_URL, {
+    method: 'POST',
+    headers: { ...ebayHeaders(callName, token, siteId), 'Content-Type': contentType },
+    body,
+  });
+  return new TradingResponse(callName, await response.text());
+}
+
+// Like tradingCall, but throws a TradingError unless eBay acknowledged the call
+async function tradingRequest(callName, token, bodyLines, options) {
+  const response = await tradingCall(callName, token, bodyLines, options);
+  if (!response.success) throw new TradingError(response);
+  return response;
+}
+
+// Every <Fee> inside <Fees>, with amount and any promotional discount
+function parseFees(response) {
+  const { $ } = response;
+  return response.root.children('Fees').children('Fee').toArray().map(el => {
+    const fee = $(el);
+    const amount = fee.children('Fee');
+    return {
+      name: fee.children('Name').text(),
+      amount: parseFloat(amount.text()) || 0,
+      currency: amount.attr('currencyID') || 'USD',
+      promotionalDiscount: parseFloat(fee.children('PromotionalDiscount').text()) || 0,
+    };
+  });
+}
+
+// ── Calls with their own response shape ──
+
+async function getUser(token) {
+  const response = await tradingRequest('GetUser', token, []);
+  return { userId: response.text('User > UserID') || 'unknown' };
+}
+
+// Upload one image to eBay Picture Services; returns the hosted URL
+async function uploadSiteHostedPicture(token, { buffer, filename, mimeType }) {
+  const response = await tradingRequest('UploadSiteHostedPictures', token, [
+    `  <PictureName>${escapeXml(filename || 'image')}</PictureName>`,
+    '  <PictureSet>Supersize</PictureSet>',
+  ], { attachment: { buffer, filename, mimeType } });
+  const url = response.text('SiteHostedPictureDetails > FullURL');
+  if (!url) throw new TradingError(response, 'Upload failed');
+  return url;
+}
+
+// Old → new category IDs for a site (categories eBay has merged or split); a large response, so callers store it
+async function getCategoryMappings(token, siteId) {
+  const response = await tradingRequest('GetCategoryMappings', token, [
+    '  <DetailLevel>ReturnAll</DetailLevel>',
+  ], { siteId });
+  return response.root.children('CategoryMapping').toArray().map(el => ({ oldId: el.attribs.oldID, newId: el.attribs.id }));
+}
+
+module.exports = {
+  TradingResponse,
+  TradingError,
+  describeTradingErrors,
+  buildTradingXml,
+  tradingCall,
+  tradingRequest,
+  parseFees,
+  getUser,
+  uploadSiteHostedPicture,
+  getCategoryMappings,
+};
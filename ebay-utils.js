@@ -0,0 +1,79 @@
+// ── Shared eBay API helpers ──
+const EBAY_API_URL = 'https://api.ebay.com/ws/api.dll';
+
+// siteId selects the eBay marketplace (see marketplaces.js); defaults to eBay US
+const ebayHeaders = (callName, token, siteId = '0') => ({
+  'X-EBAY-API-SITEID': siteId,
+  'X-EBAY-API-COMPATIBILITY-LEVEL': '1421',
+  'X-EBAY-API-IAF-TOKEN': token,
+  'X-EBAY-API-CALL-NAME': callName,
+});
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Wrap HTML in a CDATA section, splitting any "]]>" inside it so it can't end the section early
+function cdata(str) {
+  return `<![CDATA[${String(str).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+// Build <ItemSpecifics> from { Name: value | [values] }, skipping empty values
+function buildItemSpecificsXml(itemSpecifics) {
+  if (!itemSpecifics || Object.keys(itemSpecifics).length === 0) return '';
+  const pairs = Object.entries(itemSpecifics)
+    .filter(([, v]) => v && (Array.isArray(v) ? v.length > 0 : String(v).trim()))
+    .map(([name, value]) => {
+      const vals = Array.isArray(value) ? value : [value];
+      const valueXml = vals.map(v => `        <Value>${escapeXml(String(v))}</Value>`).join('\n');
+      return [
+        '      <NameValueList>',
+        `        <Name>${escapeXml(name)}</Name>`,
+        valueXml,
+        '      </NameValueList>',
+      ].join('\n');
+    });
+  if (pairs.length === 0) return '';
+  return `    <ItemSpecifics>\n${pairs.join('\n')}\n    </ItemSpecifics>`;
+}
+
+// ── Application tokens (client credentials, cached per account) ──
+const browseTokenCache = new Map();
+
+async function getEbayBrowseToken(accountId, clientId, clientSecret) {
+  const cached = browseTokenCache.get(accountId);
+  if (cached && Date.now() < cached.expiry) return cached.token;
+
+  const credentials = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+  const resp = await fetch('https://api.ebay.com/identity/v1/oauth2/token', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Authorization': `Basic ${credentials}`,
+    },
+    body: 'grant_type=client_credentials&scope=https%3A%2F%2Fapi.ebay.com%2Foauth%2Fapi_scope',
+  });
+  const data = await resp.json();
+  if (!resp.ok || !data.access_token) {
+    throw new Error(data.error_description || data.error || 'OAuth token request failed');
+  }
+  browseTokenCache.set(accountId, {
+    token: data.access_token,
+    expiry: Date.now() + (data.expires_in - 300) * 1000,
+  });
+  return data.access_token;
+}
+
+module.exports = {
+  EBAY_API_URL,
+  ebayHeaders,
+  escapeXml,
+  cdata,
+  buildItemSpecificsXml,
+  getEbayBrowseToken,
+};
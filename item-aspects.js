@@ -0,0 +1,179 @@
+const pool = require('./db');
+const { getMarketplace } = require('./marketplaces');
+const { taxonomyRequest } = require('./category-tree');
+
+const ASPECT_TTL_DAYS = 30; // aspects also expire whenever the marketplace's category tree changes version
+const PREWARM_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const PREWARM_CATEGORY_LIMIT = 50;
+const PREWARM_WINDOW_DAYS = 90;
+const USED_VALUES_LIMIT = 10; // per aspect
+
+function toAspect(a) {
+  return {
+    name: a.localizedAspectName,
+    required: a.aspectConstraint?.aspectRequired || false,
+    usage: a.aspectConstraint?.aspectUsage || 'OPTIONAL',
+    mode: a.aspectConstraint?.aspectMode || 'FREE_TEXT',
+    multi: a.aspectConstraint?.itemToAspectCardinality === 'MULTI',
+    values: (a.aspectValues || []).map(v => v.localizedValue),
+  };
+}
+
+// Version of the marketplace's stored category tree, or null before one has been downloaded
+async function treeVersion(marketplaceId) {
+  const result = await pool.query('SELECT version FROM category_trees WHERE marketplace_id = $1', [marketplaceId]);
+  return result.rows[0]?.version || null;
+}
+
+async function fetchAndStore(marketplaceId, categoryId, token, version) {
+  const { categoryTreeId } = getMarketplace(marketplaceId);
+  const data = await taxonomyRequest(
+    token,
+    `/category_tree/${categoryTreeId}/get_item_aspects_for_category?category_id=${encodeURIComponent(categoryId)}`
+  );
+  const aspects = (data.aspects || []).map(toAspect);
+  await pool.query(
+    `INSERT INTO category_aspects (marketplace_id, category_id, tree_version, aspects, fetched_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (marketplace_id, category_id) DO UPDATE SET
+       tree_version = EXCLUDED.tree_version, aspects = EXCLUDED.aspects, fetched_at = NOW()`,
+    [marketplaceId, String(categoryId), version, JSON.stringify(aspects)]
+  );
+  return aspects;
+}
+
+// Stored aspects unless they're past their TTL or from an older tree version
+async function storedAspects(marketplaceId, categoryId, version) {
+  const result = await pool.query(
+    `SELECT aspects, tree_version FROM category_aspects
+     WHERE marketplace_id = $1 AND category_id = $2 AND fetched_at > NOW() - make_interval(days => $3)`,
+    [marketplaceId, String(categoryId), ASPECT_TTL_DAYS]
+  );
+  const row = result.rows[0];
+  if (!row || (version && row.tree_version !== version)) return null;
+  return row.aspects;
+}
+
+// Aspect metadata for a category, from the database cache or the Taxonomy API. A stale copy is
+// served when eBay can't be reached, since aspects rarely change between versions.
+async function getItemAspects(marketplaceId, categoryId, token) {
+  const version = await treeVersion(marketplaceId);
+  const cached = await storedAspects(marketplaceId, categoryId, version);
+  if (cached) return cached;
+  try {
+    return await fetchAndStore(marketplaceId, categoryId, token, version);
+  } catch (err) {
+    const stale = await pool.query(
+      'SELECT aspects FROM category_aspects WHERE marketplace_id = $1 AND category_id = $2',
+      [marketplaceId, String(categoryId)]
+    );
+    if (stale.rows.length > 0) return stale.rows[0].aspects;
+    throw err;
+  }
+}
+
+// ── Values the team has used ──
+
+// Count each item-specific value on a published listing toward its category's suggestions (best-effort)
+async function recordAspectUsage(accountId, marketplaceId, categoryId, itemSpecifics) {
+  const names = [];
+  const values = [];
+  const seen = new Set(); // one row per (name, value): the upsert can't touch a row twice
+  for (const [name, value] of Object.entries(itemSpecifics || {})) {
+    for (const v of Array.isArray(value) ? value : [value]) {
+      const text = String(v ?? '').trim();
+      if (!text || text.length > 255 || name.length > 255 || seen.has(`${name}\n${text}`)) continue;
+      seen.add(`${name}\n${text}`);
+      names.push(name);
+      values.push(text);
+    }
+  }
+  if (names.length === 0) return;
+  try {
+    await pool.query(
+      `INSERT INTO aspect_value_usage (account_id, marketplace_id, category_id, aspect_name, value, use_count, last_used_at)
+       SELECT $1, $2, $3, name, value, 1, NOW() FROM unnest($4::varchar[], $5::varchar[]) AS u(name, value)
+       ON CONFLICT (account_id, marketplace_id, category_id, aspect_name, value) DO UPDATE SET
+         use_count = aspect_value_usage.use_count + 1, last_used_at = NOW()`,
+      [accountId, marketplaceId, String(categoryId), names, values]
+    );
+  } catch (err) {
+    console.error('Failed to record aspect usage:', err.message);
+  }
+}
+
+// The account's most-used values per aspect name for a category: { [aspectName]: [value, ...] }
+async function getUsedValues(accountId, marketplaceId, categoryId) {
+  const result = await pool.query(
+    `SELECT aspect_name, value FROM (
+       SELECT aspect_name, value, ROW_NUMBER() OVER (
+         PARTITION BY aspect_name ORDER BY use_count DESC, last_used_at DESC
+       ) AS rank
+       FROM aspect_value_usage
+       WHERE account_id = $1 AND marketplace_id = $2 AND category_id = $3
+     ) ranked
+     WHERE rank <= $4
+     ORDER BY aspect_name, rank`,
+    [accountId, marketplaceId, String(categoryId), USED_VALUES_LIMIT]
+  );
+  const used = {};
+  for (const { aspect_name: name, value } of result.rows) {
+    (used[name] = used[name] || []).push(value);
+  }
+  return used;
+}
+
+// ── Pre-warming ──
+
+// Fetch aspects for the categories listed or drafted most recently, across all accounts, so editors
+// opening those drafts never wait on eBay. Uses the app's own Taxonomy token.
+async function prewarmAspects({ limit = PREWARM_CATEGORY_LIMIT } = {}) {
+  const result = await pool.query(
+    `SELECT marketplace_id, category_id, COUNT(*) AS uses FROM (
+       SELECT marketplace_id, category_id FROM listings
+       WHERE category_id IS NOT NULL AND created_at > NOW() - make_interval(days => $1)
+       UNION ALL
+       SELECT COALESCE(d.marketplace_id, u.ebay_marketplace), d.category_id FROM drafts d
+       JOIN users u ON u.id = d.account_id
+       WHERE d.category_id IS NOT NULL AND d.created_at > NOW() - make_interval(days => $1)
+     ) used
+     GROUP BY marketplace_id, category_id
+     ORDER BY uses DESC
+     LIMIT $2`,
+    [PREWARM_WINDOW_DAYS, limit]
+  );
+
+  const report = { checked: result.rows.length, fetched: 0, failed: 0 };
+  const versions = new Map();
+  for (const { marketplace_id: marketplaceId, category_id: categoryId } of result.rows) {
+    if (!versions.has(marketplaceId)) versions.set(marketplaceId, await treeVersion(marketplaceId));
+    const version = versions.get(marketplaceId);
+    if (await storedAspects(marketplaceId, categoryId, version)) continue;
+    try {
+      await fetchAndStore(marketplaceId, categoryId, null, version);
+      report.fetched++;
+    } catch (err) {
+      report.failed++;
+      console.error(`[item-aspects] ${marketplaceId} category ${categoryId} failed:`, err.message);
+    }
+  }
+  return report;
+}
+
+// Pre-warming runs on the app's own Taxonomy credentials, so it only starts when they're configured
+function startAspectPrewarm() {
+  if (!process.env.EBAY_APP_CLIENT_ID || !process.env.EBAY_APP_CLIENT_SECRET) return;
+  const run = () => prewarmAspects()
+    .then(r => { if (r.fetched || r.failed) console.log(`[item-aspects] Pre-warmed ${r.fetched} categories (${r.failed} failed)`); })
+    .catch(err => console.error('[item-aspects] Pre-warm failed:', err));
+  setInterval(run, PREWARM_INTERVAL_MS);
+  run();
+}
+
+module.exports = {
+  getItemAspects,
+  recordAspectUsage,
+  getUsedValues,
+  prewarmAspects,
+  startAspectPrewarm,
+};
@@ -0,0 +1,168 @@
+const pool = require('./db');
+
+// eBay's accepted DispatchTimeMax values (business days)
+const HANDLING_TIMES = [0, 1, 2, 3, 4, 5, 10, 15, 20, 30];
+
+// Used for accounts that haven't saved listing defaults yet
+const FALLBACK_DEFAULTS = {
+  handling_time: 3,
+  item_location: null,
+  postal_code: null,
+  condition_id: '3000',
+  shipping_policy_id: null,
+  return_policy_id: null,
+  payment_policy_id: null,
+  best_offer_enabled: false,
+  auto_accept_percent: null,
+  auto_decline_percent: null,
+  auto_pay: true,
+  private_listing: false,
+};
+
+async function loadListingDefaults(accountId) {
+  if (!accountId) return { ...FALLBACK_DEFAULTS };
+  const result = await pool.query('SELECT * FROM listing_defaults WHERE account_id = $1', [accountId]);
+  return { ...FALLBACK_DEFAULTS, ...(result.rows[0] || {}) };
+}
+
+// Validate PUT /api/config/listing-defaults; returns { error } or { defaults }
+function parseListingDefaults(body, validConditionIds) {
+  const defaults = { ...FALLBACK_DEFAULTS };
+  const handlingTime = parseInt(body.handling_time);
+  if (!HANDLING_TIMES.includes(handlingTime)) {
+    return { error: `Handling time must be one of: ${HANDLING_TIMES.join(', ')} days` };
+  }
+  defaults.handling_time = handlingTime;
+  if (body.condition_id) {
+    if (!validConditionIds.includes(String(body.condition_id))) return { error: 'Invalid default condition' };
+    defaults.condition_id = String(body.condition_id);
+  }
+  for (const key of ['item_location', 'postal_code', 'shipping_policy_id', 'return_policy_id', 'payment_policy_id']) {
+    defaults[key] = body[key] ? String(body[key]).trim() || null : null;
+  }
+  if (defaults.item_location && defaults.item_location.length > 255) return { error: 'Item location is too long' };
+  if (defaults.postal_code && defaults.postal_code.length > 20) return { error: 'Postal code is too long' };
+  for (const key of ['auto_accept_percent', 'auto_decline_percent']) {
+    if (body[key] === undefined || body[key] === null || body[key] === '') continue;
+    const pct = parseFloat(body[key]);
+    if (!(pct > 0 && pct < 100)) return { error: 'Best offer percentages must be above 0 and below 100' };
+    defaults[key] = pct;
+  }
+  if (defaults.auto_accept_percent && defaults.auto_decline_percent
+      && defaults.auto_decline_percent >= defaults.auto_accept_percent) {
+    return { error: 'Auto-decline percentage must be below the auto-accept percentage' };
+  }
+  defaults.best_offer_enabled = !!body.best_offer_enabled;
+  defaults.auto_pay = body.auto_pay !== false;
+  defaults.private_listing = !!body.private_listing;
+  return { defaults };
+}
+
+async function saveListingDefaults(accountId, d) {
+  await pool.query(
+    `INSERT INTO listing_defaults (account_id, handling_time, item_location, postal_code, condition_id,
+       shipping_policy_id, return_policy_id, payment_policy_id, best_offer_enabled,
+       auto_accept_percent, auto_decline_percent, auto_pay, private_listing, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())
+     ON CONFLICT (account_id) DO UPDATE SET
+       handling_time = EXCLUDED.handling_time, item_location = EXCLUDED.item_location,
+       postal_code = EXCLUDED.postal_code, condition_id = EXCLUDED.condition_id,
+       shipping_policy_id = EXCLUDED.shipping_policy_id, return_policy_id = EXCLUDED.return_policy_id,
+       payment_policy_id = EXCLUDED.payment_policy_id, best_offer_enabled = EXCLUDED.best_offer_enabled,
+       auto_accept_percent = EXCLUDED.auto_accept_percent, auto_decline_percent = EXCLUDED.auto_decline_percent,
+       auto_pay = EXCLUDED.auto_pay, private_listing = EXCLUDED.private_listing, updated_at = NOW()`,
+    [accountId, d.handling_time, d.item_location, d.postal_code, d.condition_id,
+     d.shipping_policy_id, d.return_policy_id, d.payment_policy_id, d.best_offer_enabled,
+     d.auto_accept_percent, d.auto_decline_percent, d.auto_pay, d.private_listing]
+  );
+}
+
+// Column values a new draft starts with. The shipping policy is left empty so package rules
+// still apply; the default shipping policy is the publish-time fallback instead.
+function draftDefaults(defaults) {
+  return {
+    condition_id: defaults.condition_id,
+    return_policy_id: defaults.return_policy_id,
+    payment_policy_id: defaults.payment_policy_id,
+    best_offer_enabled: defaults.best_offer_enabled,
+    auto_pay: defaults.auto_pay,
+    handling_time: defaults.handling_time,
+    item_location: defaults.item_location,
+    postal_code: defaults.postal_code,
+    private_listing: defaults.private_listing,
+  };
+}
+
+// Create drafts with their photos, each starting from the account's listing defaults. Drafts are
+// { productName, brand, confidence, images: [{ base64, filename, mimeType, hash }] }; `db` may be a
+// transaction client. Returns { ids, defaults }.
+async function createDrafts(accountId, userId, drafts, db = pool) {
+  const defaults = draftDefaults(await loadListingDefaults(accountId));
+  const ids = [];
+  for (const draft of drafts) {
+    const result = await db.query(
+      `INSERT INTO drafts (account_id, created_by, product_name, brand, confidence, status,
+         condition_id, return_policy_id, payment_policy_id, best_offer_enabled, auto_pay,
+         handling_time, item_location, postal_code, private_listing)
+       VALUES ($1, $2, $3, $4, $5, 'pending', $6, $7, $8, $9, $10, $11, $12, $13, $14)
+       RETURNING id`,
+      [
+        accountId, userId, draft.productName, draft.brand || null, draft.confidence || 0,
+        defaults.condition_id, defaults.return_policy_id, defaults.payment_policy_id,
+        defaults.best_offer_enabled, defaults.auto_pay, defaults.handling_time,
+        defaults.item_location, defaults.postal_code, defaults.private_listing,
+      ]
+    );
+    const draftId = result.rows[0].id;
+    ids.push(draftId);
+
+    for (const [i, img] of (draft.images || []).entries()) {
+      // `hash` is the browser's 64-bit difference hash of the photo, used to spot duplicate listings
+      await db.query(
+        `INSERT INTO draft_images (draft_id, image_index, base64_data, filename, mime_type, image_hash)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [draftId, i, img.base64, img.filename || 'image.jpg', img.mimeType || 'image/jpeg',
+         /^[0-9a-f]{16}$/.test(img.hash || '') ? img.hash : null]
+      );
+    }
+  }
+  return { ids, defaults };
+}
+
+// Fill whatever an add-item payload left blank. Policy IDs belong to one eBay site,
+// so the default policies only apply on the account's default marketplace.
+function applyListingDefaults(item, defaults, { sameMarketplace }) {
+  const filled = { ...item };
+  if (filled.handlingTime === undefined || filled.handlingTime === '' || filled.handlingTime === null) {
+    filled.handlingTime = defaults.handling_time;
+  }
+  if (!filled.location) filled.location = defaults.item_location || '';
+  if (!filled.postalCode) filled.postalCode = defaults.postal_code || '';
+  if (filled.privateListing === undefined) filled.privateListing = defaults.private_listing;
+  if (filled.autoPay === undefined) filled.autoPay = defaults.auto_pay;
+  if (sameMarketplace) {
+    if (!filled.returnPolicyId) filled.returnPolicyId = defaults.return_policy_id || '';
+    if (!filled.paymentPolicyId) filled.paymentPolicyId = defaults.payment_policy_id || '';
+  }
+  // Best-offer thresholds default to a share of the price
+  const price = parseFloat(filled.price);
+  if (filled.bestOfferEnabled && price > 0) {
+    if (!filled.autoAcceptPrice && defaults.auto_accept_percent) {
+      filled.autoAcceptPrice = (price * defaults.auto_accept_percent / 100).toFixed(2);
+    }
+    if (!filled.minBestOfferPrice && defaults.auto_decline_percent) {
+      filled.minBestOfferPrice = (price * defaults.auto_decline_percent / 100).toFixed(2);
+    }
+  }
+  return filled;
+}
+
+module.exports = {
+  HANDLING_TIMES,
+  loadListingDefaults,
+  parseListingDefaults,
+  saveListingDefaults,
+  draftDefaults,
+  createDrafts,
+  applyListingDefaults,
+};
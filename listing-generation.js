@@ -0,0 +1,294 @@
+// ── Listing generation ──
+// Writes a draft's title, description, category and suggested item specifics with the account's
+// "generate" model, and verifies an existing listing with its "verify" model. Runs on the server so
+// the editor, scripts and background jobs all generate the same way.
+const pool = require('./db');
+const { completeJson } = require('./ai-validation');
+const { getMarketplace } = require('./marketplaces');
+const { getEbayBrowseToken } = require('./ebay-utils');
+const { suggestCategories } = require('./category-tree');
+const { PACKAGE_TYPES } = require('./shipping-rules');
+
+const MAX_PROMPT_IMAGES = 4; // photos sent along with the prompt; the first few show the item best
+
+// Drafts that are published, being published or rejected keep the listing they have
+const LOCKED_DRAFT_STATUSES = ['listing', 'listed', 'rejected'];
+
+// The draft was queued, published or rejected while its listing was being written
+class DraftLockedError extends Error {
+  constructor(draftId) {
+    super('Draft was locked while its listing was being written');
+    this.name = 'DraftLockedError';
+    this.draftId = draftId;
+  }
+}
+
+// Condition names as the editor shows them; the prompt asks for this at the end of the title
+const CONDITION_NAMES = {
+  '1000': 'New',
+  '1500': 'New other',
+  '1750': 'New w/ defects',
+  '2500': 'Refurbished',
+  '3000': 'Used',
+  '5000': 'Good',
+  '7000': 'For parts',
+};
+
+const DEFAULT_EXAMPLE_HTML = `<div style="max-width:900px;margin:0 auto;font-family:Arial,Helvetica,sans-serif;color:#222;"><div style="background:#003366;padding:20px 30px;text-align:center;border-radius:8px 8px 0 0;"><h1 style="color:#ffffff;font-size:22px;margin:0;">Cisco SG350-28P 28-Port Gigabit PoE Managed Switch</h1></div><div style="padding:25px 30px;background:#f9f9f9;"><p style="font-size:15px;line-height:1.6;color:#333;">The <strong>Cisco SG350-28P</strong> is a high-performance <strong>28-port Gigabit PoE managed network switch</strong> designed for small to medium businesses.</p><h2 style="color:#003366;font-size:17px;border-bottom:2px solid #003366;padding-bottom:6px;">Key Features</h2><ul style="font-size:14px;line-height:1.8;color:#444;"><li><strong>28 Gigabit Ethernet Ports</strong> — 24x PoE+ ports, 2x combo mini-GBIC, 2x SFP</li><li><strong>195W PoE Budget</strong> — Power IP cameras, phones, access points</li><li><strong>Advanced L3 Managed</strong> — Static routing, ACLs, VLAN, QoS</li></ul><h2 style="color:#003366;font-size:17px;border-bottom:2px solid #003366;padding-bottom:6px;">Ideal For</h2><ul style="font-size:14px;line-height:1.8;color:#444;"><li>Small &amp; medium business networks</li><li>VoIP &amp; IP surveillance</li></ul></div><div style="background:#003366;padding:15px 30px;text-align:center;border-radius:0 0 8px 8px;"><p style="color:#ffffff;font-size:13px;margin:0;">Fast Shipping &bull; Professional Packaging &bull; Trusted Seller</p></div></div>`;
+
+const GENERATE_SYSTEM = 'You are an expert eBay listing copywriter. You output only the requested content, no commentary.';
+const VERIFY_SYSTEM = 'You are a senior eBay listing quality reviewer. You verify and enrich existing listings — you do not rewrite them from scratch. Only change what genuinely needs improvement. Output only the requested content, no commentary.';
+
+// Replies are JSON checked against these schemas (see ai-validation.js)
+const LISTING_SCHEMA = {
+  type: 'object',
+  required: ['title', 'categoryId', 'categoryName', 'brand', 'type', 'mpn', 'html'],
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 80 },
+    categoryId: { type: 'string', pattern: '^\\d+$' },
+    categoryName: { type: 'string' },
+    brand: { type: 'string', minLength: 1, maxLength: 65 },
+    type: { type: 'string', maxLength: 65 },
+    mpn: { type: 'string', maxLength: 65 },
+    packageWeight: { type: ['number', 'null'], exclusiveMinimum: 0 },
+    packageDimensions: {
+      type: ['object', 'null'],
+      required: ['length', 'width', 'depth'],
+      properties: {
+        length: { type: 'number', exclusiveMinimum: 0 },
+        width: { type: 'number', exclusiveMinimum: 0 },
+        depth: { type: 'number', exclusiveMinimum: 0 },
+      },
+    },
+    packageType: { type: ['string', 'null'], enum: [...Object.keys(PACKAGE_TYPES), null] },
+    html: { type: 'string', minLength: 1 },
+  },
+};
+
+const VERIFY_SCHEMA = {
+  type: 'object',
+  required: ['title', 'brand', 'type', 'mpn', 'html'],
+  properties: {
+    title: LISTING_SCHEMA.properties.title,
+    brand: LISTING_SCHEMA.properties.brand,
+    type: LISTING_SCHEMA.properties.type,
+    mpn: LISTING_SCHEMA.properties.mpn,
+    html: LISTING_SCHEMA.properties.html,
+  },
+};
+
+const conditionName = (draft) => CONDITION_NAMES[draft.condition_id] || 'Used';
+
+// Everything a prompt needs about a draft: the account's saved HTML template and the draft's first photos
+async function loadContext(draft) {
+  const owner = await pool.query('SELECT example_template FROM users WHERE id = $1', [draft.account_id]);
+  const images = await pool.query(
+    `SELECT base64_data, mime_type FROM draft_images WHERE draft_id = $1 ORDER BY image_index LIMIT $2`,
+    [draft.id, MAX_PROMPT_IMAGES]
+  );
+  return {
+    template: owner.rows[0]?.example_template || '',
+    images: images.rows.map(img => ({ type: 'image', data: img.base64_data, mimeType: img.mime_type || 'image/jpeg' })),
+  };
+}
+
+function buildGeneratePrompt(draft, { template, labels, webEntities }) {
+  const condition = conditionName(draft);
+  const exampleHtml = template || DEFAULT_EXAMPLE_HTML;
+  const templateNote = template
+    ? `The user has provided their own custom HTML template below. You MUST closely follow its structure, styling, colors, layout, and overall look. Replicate the same design pattern — adapt the content for the new product but keep the template's visual style intact.`
+    : `Use the same HTML color structure and styling as the example provided below.`;
+
+  return `Create a Cassini-optimized eBay product description (score 10/10) for the specified item. ${templateNote}
+
+Follow these detailed instructions:
+- Match the structure and styling of the provided template as closely as possible.
+- Do NOT include any image placeholders, image tags, or image sections in the HTML. eBay handles product images separately.
+- Do not mention any warranty (express or implied).
+- Use flawless English, clear formatting, and no grammatical errors.
+- Add relevant high-ranking eBay keywords (research and include extra keyword variations and synonyms naturally within the text).
+- Emphasize features, compatibility, and typical use cases.
+- Target both enterprise and individual buyers if applicable.
+- Output should be ready for eBay, HTML included, without placeholder text.
+- Make sure the listing description is 100% unique, well-written, and optimized for visibility and relevance in eBay Cassini search.
+- Never change footer.
+- Description must be copy-paste ready for eBay.
+- Avoid extra \\n in the code.
+
+Here is the HTML template to follow:
+${exampleHtml}
+
+Now create the same thing for this item: ${draft.product_name}
+Brand: ${draft.brand || 'Unknown'}
+Condition: ${condition}
+Detected features/labels: ${labels.join(', ')}
+Related web entities: ${webEntities.join(', ')}
+
+IMPORTANT: Reply with ONLY a JSON object (no markdown, no commentary) with these fields:
+- "title": an eBay-optimized title, max 80 characters, keyword-rich. It MUST end with the item condition "${condition}" as the last word(s), never in the middle or beginning.
+- "categoryId": the most appropriate eBay leaf category ID as a string of digits, e.g. "31388" for Digital Cameras, "175673" for Network Switches, "171485" for Laptops. Use a real eBay category ID.
+- "categoryName": the eBay category name for that ID
+- "brand": the brand/manufacturer name, e.g. Cisco, Apple, Dell. Use "Unbranded" if truly generic.
+- "type": the specific product type as used in eBay item specifics for this category, e.g. "Managed Switch", "Laptop", "Router". Be specific.
+- "mpn": the model/part number if identifiable from the product info, otherwise "Does Not Apply"
+- "packageWeight": estimated shipping weight in pounds including packaging, as a number, e.g. 3.5
+- "packageDimensions": estimated shipped box size in inches, e.g. { "length": 18, "width": 12, "depth": 6 }
+- "packageType": one of ${Object.keys(PACKAGE_TYPES).join(', ')}
+- "html": the full HTML description code`;
+}
+
+function buildVerifyPrompt(draft, { template, labels, webEntities }) {
+  const condition = conditionName(draft);
+  const productInfo = [
+    draft.product_name || '',
+    draft.brand ? `Brand: ${draft.brand}` : '',
+    `Condition: ${condition}`,
+    draft.suggested_mpn ? `MPN: ${draft.suggested_mpn}` : '',
+    labels.length ? `Labels: ${labels.join(', ')}` : '',
+    webEntities.length ? `Web entities: ${webEntities.join(', ')}` : '',
+  ].filter(Boolean).join('\n');
+  const templateContext = template
+    ? `\nIMPORTANT — USER TEMPLATE REFERENCE:\nThe user has a custom HTML template saved for their listings. When reviewing and enriching, ensure the listing still follows the structure, styling, and visual design of this template. Do NOT deviate from the template layout. Here is the template:\n${template}\n`
+    : '';
+
+  return `You are a senior eBay listing quality reviewer and SEO specialist. You have been given an existing eBay listing that was generated by another AI. Your job is to VERIFY and ENRICH it — not rewrite it from scratch.
+
+PRODUCT: ${productInfo}
+CATEGORY: ${draft.category_name || 'Unknown'} (ID: ${draft.category_id || 'Unknown'})
+${templateContext}
+EXISTING TITLE:
+${draft.generated_title}
+
+EXISTING HTML DESCRIPTION:
+${draft.generated_html}
+
+YOUR TASKS:
+1. TITLE: Review the title. Fix any factual errors about the product. Improve keyword optimization for eBay Cassini search if possible. Keep it under 80 characters. The item condition "${condition}" MUST appear at the very END of the title as the last word(s), never in the middle or beginning. If the title is already good, keep it as-is or make minor improvements only.
+2. DESCRIPTION: Review the HTML description. Fix any factual inaccuracies about this specific product (specs, features, compatibility). Add any missing important details or keywords. Improve readability and buyer appeal if needed. Keep the same HTML structure and styling — do not change the layout, colors, or CSS.${template ? ' The listing must continue to match the user\'s saved HTML template design.' : ''} Only modify the text content where it genuinely needs improvement.
+3. If something is already accurate and well-written, KEEP IT. Do not change things just to change them.
+
+CURRENT BRAND: ${draft.suggested_brand || draft.brand || ''}
+CURRENT TYPE: ${draft.suggested_type || ''}
+CURRENT MPN: ${draft.suggested_mpn || ''}
+
+IMPORTANT: Reply with ONLY a JSON object (no markdown, no commentary) with these fields:
+- "title": the verified/enriched title, max 80 characters
+- "brand", "type", "mpn": the item's brand, product type and model/part number. Keep the current values above unless they are wrong or missing.
+- "html": the verified/enriched HTML description`;
+}
+
+// A validated generate reply → draft values; package estimates are optional
+function toListing(value) {
+  const dims = value.packageDimensions;
+  return {
+    title: value.title.trim(),
+    html: value.html.replace(/^```html?\s*\n?/i, '').replace(/\n?```\s*$/i, '').trim(),
+    categoryId: value.categoryId,
+    categoryName: value.categoryName.trim(),
+    brand: value.brand.trim(),
+    type: value.type.trim(),
+    mpn: value.mpn.trim(),
+    pkg: {
+      weight: value.packageWeight ?? null,
+      length: dims ? dims.length : null,
+      width: dims ? dims.width : null,
+      depth: dims ? dims.depth : null,
+      type: value.packageType ?? null,
+    },
+  };
+}
+
+// eBay's best leaf category for the new title, or null when the account has no eBay keys or the
+// Taxonomy API has nothing (the model's own pick stands then)
+async function bestCategory(draft, userConfig, title) {
+  const { ebayClientId, ebayClientSecret, ebayOAuthToken } = userConfig;
+  if (!ebayOAuthToken && (!ebayClientId || !ebayClientSecret)) return null;
+  try {
+    const token = ebayOAuthToken || await getEbayBrowseToken(draft.account_id, ebayClientId, ebayClientSecret);
+    const marketplace = getMarketplace(draft.marketplace_id || userConfig.ebayMarketplace);
+    const [suggestion] = await suggestCategories(marketplace, title, token, ebayOAuthToken);
+    return suggestion || null;
+  } catch (err) {
+    console.error(`Category suggestion failed for draft ${draft.id}:`, err.message);
+    return null;
+  }
+}
+
+const hintList = (value) => (Array.isArray(value) ? value.map(String).filter(Boolean).slice(0, 10) : []);
+
+// Verify the draft's current listing and save the result. `hints.labels` / `hints.webEntities` are the
+// image recognition results when the caller has them. Returns { draft, validationErrors }: the saved
+// draft and what was wrong with replies that had to be repaired.
+async function verifyListing(draft, userConfig, hints = {}) {
+  const context = await loadContext(draft);
+  const prompt = buildVerifyPrompt(draft, {
+    template: context.template, labels: hintList(hints.labels), webEntities: hintList(hints.webEntities),
+  });
+  const { value, repairedErrors } = await completeJson(userConfig, 'verify', {
+    messages: [
+      { role: 'system', content: VERIFY_SYSTEM },
+      { role: 'user', content: prompt },
+    ],
+    temperature: 0.4,
+    maxTokens: 4096,
+  }, { schema: VERIFY_SCHEMA });
+  const parsed = toListing({ ...value, categoryId: null, categoryName: '' });
+  const result = await pool.query(
+    `UPDATE drafts SET generated_title = $1, generated_html = $2,
+       suggested_brand = COALESCE(NULLIF($3, ''), suggested_brand),
+       suggested_type = COALESCE(NULLIF($4, ''), suggested_type),
+       suggested_mpn = COALESCE(NULLIF($5, ''), suggested_mpn),
+       claude_verified = true, status = 'ready', updated_at = NOW()
+     WHERE id = $6 AND status <> ALL($7) RETURNING *`,
+    [parsed.title, parsed.html, parsed.brand, parsed.type, parsed.mpn, draft.id, LOCKED_DRAFT_STATUSES]
+  );
+  if (result.rows.length === 0) throw new DraftLockedError(draft.id);
+  return { draft: result.rows[0], validationErrors: repairedErrors };
+}
+
+// Generate the draft's listing from its name, brand, condition and photos, pick its eBay category and
+// save it all; with `verify`, verify the result straight after. Package estimates only fill
+// measurements nobody has entered. Returns { draft, validationErrors } like verifyListing.
+async function generateListing(draft, userConfig, { verify = false, labels, webEntities } = {}) {
+  const context = await loadContext(draft);
+  const hints = { labels: hintList(labels), webEntities: hintList(webEntities) };
+  const prompt = buildGeneratePrompt(draft, { template: context.template, ...hints });
+  const { value, repairedErrors } = await completeJson(userConfig, 'generate', {
+    messages: [
+      { role: 'system', content: GENERATE_SYSTEM },
+      { role: 'user', content: [{ type: 'text', text: prompt }, ...context.images] },
+    ],
+    temperature: 0.7,
+    maxTokens: 4000,
+  }, { schema: LISTING_SCHEMA });
+  const parsed = toListing(value);
+  const category = await bestCategory(draft, userConfig, parsed.title);
+  const measured = draft.package_length_in || draft.package_width_in || draft.package_depth_in;
+
+  const result = await pool.query(
+    `UPDATE drafts SET generated_title = $1, generated_html = $2, category_id = $3, category_name = $4,
+       suggested_brand = $5, suggested_type = $6, suggested_mpn = $7,
+       package_weight_lbs = COALESCE(package_weight_lbs, $8),
+       package_length_in = $9, package_width_in = $10, package_depth_in = $11,
+       package_type = COALESCE(package_type, $12),
+       claude_verified = false, status = 'ready', updated_at = NOW()
+     WHERE id = $13 AND status <> ALL($14) RETURNING *`,
+    [
+      parsed.title, parsed.html,
+      category ? category.id : parsed.categoryId,
+      category ? category.name : parsed.categoryName || null,
+      parsed.brand, parsed.type || null, parsed.mpn || null,
+      parsed.pkg.weight,
+      measured ? draft.package_length_in : parsed.pkg.length,
+      measured ? draft.package_width_in : parsed.pkg.width,
+      measured ? draft.package_depth_in : parsed.pkg.depth,
+      parsed.pkg.type, draft.id, LOCKED_DRAFT_STATUSES,
+    ]
+  );
+  if (result.rows.length === 0) throw new DraftLockedError(draft.id);
+  if (!verify) return { draft: result.rows[0], validationErrors: repairedErrors };
+  const verified = await verifyListing(result.rows[0], userConfig, hints);
+  return { draft: verified.draft, validationErrors: [...repairedErrors, ...verified.validationErrors] };
+}
+
+module.exports = { CONDITION_NAMES, LOCKED_DRAFT_STATUSES, DraftLockedError, generateListing, verifyListing };
@@ -0,0 +1,57 @@
+// ── eBay marketplaces ──
+// Everything that differs per eBay site lives here, so a listing's site ID, marketplace header,
+// currency, country and category tree always change together.
+const MARKETPLACES = {
+  EBAY_US: {
+    id: 'EBAY_US',
+    name: 'eBay US',
+    siteId: '0',
+    currency: 'USD',
+    symbol: '$',
+    country: 'US',
+    categoryTreeId: '0',
+    language: 'en-US',
+    location: 'United States',
+    domain: 'www.ebay.com',
+    minReservePrice: 99,
+  },
+  EBAY_GB: {
+    id: 'EBAY_GB',
+    name: 'eBay UK',
+    siteId: '3',
+    currency: 'GBP',
+    symbol: '£',
+    country: 'GB',
+    categoryTreeId: '3',
+    language: 'en-GB',
+    location: 'United Kingdom',
+    domain: 'www.ebay.co.uk',
+    minReservePrice: 50,
+  },
+  EBAY_DE: {
+    id: 'EBAY_DE',
+    name: 'eBay Germany',
+    siteId: '77',
+    currency: 'EUR',
+    symbol: '€',
+    country: 'DE',
+    categoryTreeId: '77',
+    language: 'de-DE',
+    location: 'Deutschland',
+    domain: 'www.ebay.de',
+    minReservePrice: null,
+  },
+};
+
+const DEFAULT_MARKETPLACE = 'EBAY_US';
+
+// Look up a marketplace by ID, falling back to eBay US for unknown/empty IDs
+function getMarketplace(marketplaceId) {
+  return MARKETPLACES[marketplaceId] || MARKETPLACES[DEFAULT_MARKETPLACE];
+}
+
+function isMarketplace(marketplaceId) {
+  return Object.prototype.hasOwnProperty.call(MARKETPLACES, marketplaceId);
+}
+
+module.exports = { MARKETPLACES, DEFAULT_MARKETPLACE, getMarketplace, isMarketplace };
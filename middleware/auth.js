@@ -1,6 +1,24 @@
 const pool = require('../db');
 const { encrypt, decrypt } = require('../crypto-utils');
 
+// Scopes requested when an account connects eBay; sell.marketing is for Promoted Listings
+const EBAY_OAUTH_SCOPES = [
+  'https://api.ebay.com/oauth/api_scope',
+  'https://api.ebay.com/oauth/api_scope/sell.inventory',
+  'https://api.ebay.com/oauth/api_scope/sell.account',
+  'https://api.ebay.com/oauth/api_scope/sell.fulfillment',
+  'https://api.ebay.com/oauth/api_scope/sell.marketing',
+  'https://api.ebay.com/oauth/api_scope/commerce.identity.readonly',
+];
+// Grants made before ebay_oauth_scopes was recorded have everything but sell.marketing
+const LEGACY_OAUTH_SCOPES = EBAY_OAUTH_SCOPES.filter(s => !s.endsWith('/sell.marketing')).join(' ');
+
+// A refresh can't widen a grant, so an account missing any scope has to connect eBay again
+function needsOAuthReconnect(grantedScopes) {
+  const granted = (grantedScopes || LEGACY_OAUTH_SCOPES).split(' ');
+  return EBAY_OAUTH_SCOPES.some(scope => !granted.includes(scope));
+}
+
 function requireAuth(req, res, next) {
   if (req.session && req.session.userId) return next();
   if (req.path.startsWith('/api/')) {
@@ -19,14 +37,73 @@ function requireRole(...roles) {
   };
 }
 
+const OWNER_CONFIG_COLUMNS = `owner.ebay_token, owner.ebay_client_id, owner.ebay_client_secret,
+              owner.ebay_oauth_access_token, owner.ebay_oauth_refresh_token,
+              owner.ebay_oauth_token_expiry, owner.ebay_oauth_username, owner.ebay_oauth_scopes,
+              owner.ebay_publish_method, owner.ebay_marketplace,
+              owner.promoted_campaign_id, owner.promoted_ad_rate, owner.ai_settings`;
+
+// Decrypt the account owner's eBay credentials, refreshing the OAuth token if it has expired
+async function buildEbayConfig(row, accountId) {
+  const config = {
+    accountId,
+    ebayToken:        decrypt(row.ebay_token) || '',
+    ebayClientId:     decrypt(row.ebay_client_id) || '',
+    ebayClientSecret: decrypt(row.ebay_client_secret) || '',
+    ebayOAuthToken:   null,
+    ebayOAuthConnected: false,
+    ebayOAuthUsername: row.ebay_oauth_username || null,
+    ebayPublishMethod: row.ebay_publish_method || 'trading',
+    ebayMarketplace:   row.ebay_marketplace || 'EBAY_US',
+    promotedCampaignId: row.promoted_campaign_id || null,
+    promotedAdRate:    row.promoted_ad_rate,
+    aiSettings:        row.ai_settings || {},
+  };
+
+  // Try to use OAuth token if available
+  if (row.ebay_oauth_access_token) {
+    const expiry = row.ebay_oauth_token_expiry ? new Date(row.ebay_oauth_token_expiry) : null;
+    const EXPIRY_BUFFER_MS = 5 * 60 * 1000; // refresh 5 minutes early
+    const isExpired = !expiry || Date.now() > (expiry.getTime() - EXPIRY_BUFFER_MS);
+
+    if (!isExpired) {
+      config.ebayOAuthToken = decrypt(row.ebay_oauth_access_token);
+      config.ebayOAuthConnected = true;
+    } else if (row.ebay_oauth_refresh_token) {
+      try {
+        const refreshed = await refreshEbayOAuthToken(
+          decrypt(row.ebay_oauth_refresh_token),
+          accountId,
+          row.ebay_oauth_scopes || LEGACY_OAUTH_SCOPES
+        );
+        if (refreshed) {
+          config.ebayOAuthToken = refreshed;
+          config.ebayOAuthConnected = true;
+        }
+      } catch (refreshErr) {
+        console.error('eBay OAuth auto-refresh failed:', refreshErr.message);
+      }
+    }
+  }
+  return config;
+}
+
+// Load eBay config for an account outside of a request (scheduler, background jobs)
+async function loadAccountConfig(accountId) {
+  const result = await pool.query(
+    `SELECT ${OWNER_CONFIG_COLUMNS} FROM users owner WHERE owner.id = $1`,
+    [accountId]
+  );
+  if (result.rows.length === 0) return null;
+  return buildEbayConfig(result.rows[0], accountId);
+}
+
 async function loadUserConfig(req, res, next) {
   if (!req.session || !req.session.userId) return next();
   try {
     const result = await pool.query(
       `SELECT u.role, u.account_id,
-              owner.ebay_token, owner.ebay_client_id, owner.ebay_client_secret,
-              owner.ebay_oauth_access_token, owner.ebay_oauth_refresh_token,
-              owner.ebay_oauth_token_expiry, owner.ebay_oauth_username
+              ${OWNER_CONFIG_COLUMNS}
        FROM users u
        JOIN users owner ON owner.id = u.account_id
        WHERE u.id = $1`,
@@ -37,39 +114,7 @@ async function loadUserConfig(req, res, next) {
       return res.status(401).json({ error: 'User not found' });
     }
     const row = result.rows[0];
-    req.userConfig = {
-      ebayToken:        decrypt(row.ebay_token) || '',
-      ebayClientId:     decrypt(row.ebay_client_id) || '',
-      ebayClientSecret: decrypt(row.ebay_client_secret) || '',
-      ebayOAuthToken:   null,
-      ebayOAuthConnected: false,
-      ebayOAuthUsername: row.ebay_oauth_username || null,
-    };
-
-    // Try to use OAuth token if available
-    if (row.ebay_oauth_access_token) {
-      const expiry = row.ebay_oauth_token_expiry ? new Date(row.ebay_oauth_token_expiry) : null;
-      const EXPIRY_BUFFER_MS = 5 * 60 * 1000; // refresh 5 minutes early
-      const isExpired = !expiry || Date.now() > (expiry.getTime() - EXPIRY_BUFFER_MS);
-
-      if (!isExpired) {
-        req.userConfig.ebayOAuthToken = decrypt(row.ebay_oauth_access_token);
-        req.userConfig.ebayOAuthConnected = true;
-      } else if (row.ebay_oauth_refresh_token) {
-        try {
-          const refreshed = await refreshEbayOAuthToken(
-            decrypt(row.ebay_oauth_refresh_token),
-            row.account_id
-          );
-          if (refreshed) {
-            req.userConfig.ebayOAuthToken = refreshed;
-            req.userConfig.ebayOAuthConnected = true;
-          }
-        } catch (refreshErr) {
-          console.error('eBay OAuth auto-refresh failed:', refreshErr.message);
-        }
-      }
-    }
+    req.userConfig = await buildEbayConfig(row, row.account_id);
 
     // Refresh session role/accountId from DB in case admin changed it
     if (row.role !== req.session.role) {
@@ -85,7 +130,8 @@ async function loadUserConfig(req, res, next) {
   }
 }
 
-async function refreshEbayOAuthToken(refreshToken, accountId) {
+// `scopes` must be those of the original grant: eBay rejects a refresh asking for more
+async function refreshEbayOAuthToken(refreshToken, accountId, scopes) {
   const clientId = process.env.EBAY_APP_CLIENT_ID;
   const clientSecret = process.env.EBAY_APP_CLIENT_SECRET;
   if (!clientId || !clientSecret || !refreshToken) return null;
@@ -100,13 +146,7 @@ async function refreshEbayOAuthToken(refreshToken, accountId) {
     body: new URLSearchParams({
       grant_type: 'refresh_token',
       refresh_token: refreshToken,
-      scope: [
-        'https://api.ebay.com/oauth/api_scope',
-        'https://api.ebay.com/oauth/api_scope/sell.inventory',
-        'https://api.ebay.com/oauth/api_scope/sell.account',
-        'https://api.ebay.com/oauth/api_scope/sell.fulfillment',
-        'https://api.ebay.com/oauth/api_scope/commerce.identity.readonly',
-      ].join(' '),
+      scope: scopes,
     }).toString(),
   });
 
@@ -132,4 +172,4 @@ async function refreshEbayOAuthToken(refreshToken, accountId) {
   return data.access_token;
 }
 
-module.exports = { requireAuth, requireRole, loadUserConfig };
+module.exports = { EBAY_OAUTH_SCOPES, needsOAuthReconnect, requireAuth, requireRole, loadUserConfig, loadAccountConfig };
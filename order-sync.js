@@ -0,0 +1,158 @@
+const pool = require('./db');
+const { loadAccountConfig } = require('./middleware/auth');
+
+const FULFILLMENT_API_URL = 'https://api.ebay.com/sell/fulfillment/v1/order';
+const ORDER_SYNC_INTERVAL_MS = 15 * 60 * 1000; // pull new orders every 15 minutes
+const INITIAL_LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000; // first sync covers the last 30 days
+const PAGE_SIZE = 200; // Fulfillment API maximum
+
+let running = false;
+
+// Fetch every order modified since `since`, following the Fulfillment API's offset paging
+async function fetchOrdersSince(token, since) {
+  const orders = [];
+  const filter = `lastmodifieddate:[${since.toISOString()}..]`;
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const url = `${FULFILLMENT_API_URL}?filter=${encodeURIComponent(filter)}&limit=${PAGE_SIZE}&offset=${offset}`;
+    const resp = await fetch(url, {
+      headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      const msg = data.errors?.map(e => e.longMessage || e.message).join(' | ');
+      throw new Error(msg || `Fulfillment API returned ${resp.status}`);
+    }
+    orders.push(...(data.orders || []));
+    if (!data.next || orders.length >= (data.total || 0)) break;
+  }
+  return orders;
+}
+
+// Local listing row for a sold line item — variation rows match on SKU as well as item ID
+async function findListingForLineItem(accountId, lineItem) {
+  const result = await pool.query(
+    `SELECT id FROM listings
+     WHERE account_id = $1 AND ebay_item_id = $2
+       AND (variation_specifics IS NULL OR sku = $3)
+     ORDER BY id DESC LIMIT 1`,
+    [accountId, lineItem.legacyItemId, lineItem.sku || null]
+  );
+  return result.rows[0]?.id || null;
+}
+
+// Upsert one line item; stock is only decremented the first time a line item is seen
+async function saveLineItem(accountId, order, lineItem) {
+  const listingId = await findListingForLineItem(accountId, lineItem);
+  const shipTo = order.fulfillmentStartInstructions?.[0]?.shippingStep?.shipTo;
+  const cancelled = order.cancelStatus?.cancelState === 'CANCELED';
+  const quantity = parseInt(lineItem.quantity) || 1;
+
+  const result = await pool.query(
+    `INSERT INTO orders (account_id, listing_id, ebay_order_id, line_item_id, ebay_item_id, sku, title,
+       quantity, buyer_username, buyer_name, total, currency, fulfillment_status, payment_status,
+       cancelled, ship_by_date, ordered_at, synced_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, NOW())
+     ON CONFLICT (account_id, line_item_id) DO UPDATE SET
+       listing_id = COALESCE(orders.listing_id, EXCLUDED.listing_id),
+       fulfillment_status = EXCLUDED.fulfillment_status,
+       payment_status = EXCLUDED.payment_status,
+       cancelled = EXCLUDED.cancelled,
+       ship_by_date = EXCLUDED.ship_by_date,
+       synced_at = NOW()
+     RETURNING (xmax = 0) AS inserted`,
+    [
+      accountId,
+      listingId,
+      order.orderId,
+      lineItem.lineItemId,
+      lineItem.legacyItemId,
+      lineItem.sku || null,
+      (lineItem.title || '').substring(0, 255),
+      quantity,
+      order.buyer?.username || null,
+      shipTo?.fullName || order.buyer?.buyerRegistrationAddress?.fullName || null,
+      lineItem.total?.value || order.pricingSummary?.total?.value || 0,
+      lineItem.total?.currency || order.pricingSummary?.total?.currency || 'USD',
+      lineItem.lineItemFulfillmentStatus || order.orderFulfillmentStatus || 'NOT_STARTED',
+      order.orderPaymentStatus || null,
+      cancelled,
+      lineItem.lineItemFulfillmentInstructions?.shipByDate || null,
+      order.creationDate,
+    ]
+  );
+
+  if (!result.rows[0].inserted || !listingId || cancelled) return false;
+
+  // Mirror eBay's stock change locally; the last unit sold ends the listing as Sold
+  await pool.query(
+    `UPDATE listings SET
+       quantity = GREATEST(COALESCE(quantity, 1) - $1, 0),
+       quantity_sold = COALESCE(quantity_sold, 0) + $1,
+       status = CASE WHEN GREATEST(COALESCE(quantity, 1) - $1, 0) = 0 THEN 'ended' ELSE status END,
+       end_reason = CASE WHEN GREATEST(COALESCE(quantity, 1) - $1, 0) = 0 THEN 'Sold' ELSE end_reason END,
+       ended_at = CASE WHEN GREATEST(COALESCE(quantity, 1) - $1, 0) = 0 THEN NOW() ELSE ended_at END,
+       updated_at = NOW()
+     WHERE id = $2`,
+    [quantity, listingId]
+  );
+  return true;
+}
+
+// Pull new/changed orders for one account and record them against its listings
+async function syncAccountOrders(accountId) {
+  const userConfig = await loadAccountConfig(accountId);
+  if (!userConfig) throw new Error('Account not found');
+  if (!userConfig.ebayOAuthToken) {
+    throw new Error('Order sync requires an eBay OAuth connection. Connect eBay in Settings.');
+  }
+
+  const accountResult = await pool.query('SELECT orders_synced_at FROM users WHERE id = $1', [accountId]);
+  const lastSync = accountResult.rows[0]?.orders_synced_at;
+  const since = lastSync ? new Date(lastSync) : new Date(Date.now() - INITIAL_LOOKBACK_MS);
+  const startedAt = new Date();
+
+  const orders = await fetchOrdersSince(userConfig.ebayOAuthToken, since);
+  let lineItems = 0;
+  let sold = 0;
+  for (const order of orders) {
+    for (const lineItem of order.lineItems || []) {
+      lineItems++;
+      if (await saveLineItem(accountId, order, lineItem)) sold++;
+    }
+  }
+
+  await pool.query('UPDATE users SET orders_synced_at = $1 WHERE id = $2', [startedAt, accountId]);
+  return { orders: orders.length, lineItems, sold };
+}
+
+// Sync every account that has connected eBay OAuth
+async function syncAllOrders() {
+  if (running) return; // previous sync still paging through orders
+  running = true;
+  try {
+    const accounts = await pool.query(
+      'SELECT id FROM users WHERE id = account_id AND ebay_oauth_refresh_token IS NOT NULL'
+    );
+    for (const { id } of accounts.rows) {
+      try {
+        const result = await syncAccountOrders(id);
+        if (result.lineItems > 0) {
+          console.log(`[orders] Account ${id}: ${result.lineItems} line item(s), ${result.sold} new sale(s)`);
+        }
+      } catch (err) {
+        console.error(`[orders] Account ${id} sync failed:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error('[orders] Sync failed:', err);
+  } finally {
+    running = false;
+  }
+}
+
+function startOrderSync() {
+  setInterval(syncAllOrders, ORDER_SYNC_INTERVAL_MS);
+  syncAllOrders();
+}
+
+module.exports = { startOrderSync, syncAllOrders, syncAccountOrders };
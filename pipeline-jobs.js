@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const pool = require('./db');
+const { loadAccountConfig } = require('./middleware/auth');
+const { AiError } = require('./ai-providers');
+const { identifyProducts, identifyLot } = require('./product-identification');
+const { LOCKED_DRAFT_STATUSES, DraftLockedError, generateListing, verifyListing } = require('./listing-generation');
+const { createDrafts } = require('./listing-defaults');
+
+const PIPELINE_POLL_MS = 3 * 1000; // look for queued jobs every few seconds
+const PIPELINE_CONCURRENCY = 2; // AI jobs running at once across all accounts
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_S = 30; // 30s, then 60s between attempts
+const BUNDLE_CONFIDENCE = 80; // suggested bundles merged without anyone reviewing them
+
+// An upload runs as jobs that share its upload ID: `identify` groups the photos into drafts and
+// queues a `generate` job per draft, which queues `verify` when the upload asked for verification
+const UPLOAD_MODES = ['single', 'lot'];
+const ACTIVE_STATES = ['queued', 'running'];
+
+let inFlight = 0;
+
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Queue an upload's photos ([{ base64, filename, mimeType, hash }]) for the background pipeline;
+// `mode` is single (group by product) or lot (every item in the photos). Returns the upload ID.
+async function enqueueUpload(images, { accountId, userId, mode, verify }) {
+  const uploadId = crypto.randomUUID();
+  await withTransaction(async (db) => {
+    const job = await db.query(
+      `INSERT INTO pipeline_jobs (account_id, upload_id, type, created_by, options)
+       VALUES ($1, $2, 'identify', $3, $4) RETURNING id`,
+      [accountId, uploadId, userId, JSON.stringify({ mode, verify, imageCount: images.length })]
+    );
+    for (const [i, img] of images.entries()) {
+      await db.query(
+        `INSERT INTO pipeline_images (job_id, image_index, base64_data, filename, mime_type, image_hash)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [job.rows[0].id, i, img.base64, img.filename || 'image.jpg', img.mimeType || 'image/jpeg',
+         /^[0-9a-f]{16}$/.test(img.hash || '') ? img.hash : null]
+      );
+    }
+  });
+  return uploadId;
+}
+
+// Follow-up jobs for an upload, one per draft
+function queueJobs(db, parent, type, draftIds) {
+  return db.query(
+    `INSERT INTO pipeline_jobs (account_id, upload_id, type, draft_id, created_by, options)
+     SELECT $1, $2, $3, id, $4, $5 FROM unnest($6::int[]) AS id`,
+    [parent.account_id, parent.upload_id, type, parent.created_by, JSON.stringify(parent.options), draftIds]
+  );
+}
+
+function finishJob(job, status, { error = null, result = null } = {}, db = pool) {
+  return db.query(
+    `UPDATE pipeline_jobs SET status = $1, last_error = $2, result = $3, finished_at = NOW() WHERE id = $4`,
+    [status, error, result ? JSON.stringify(result) : null, job.id]
+  );
+}
+
+// Groups → drafts, merging confidently suggested bundles into their main product like the upload
+// screen does when someone accepts them. A group joins at most one bundle.
+function groupDrafts({ groups, suggestedBundles }, images) {
+  const merged = groups.map(g => ({ ...g, imageIndices: [...(g.imageIndices || [])] }));
+  const used = new Set();
+  const removed = new Set();
+  for (const bundle of suggestedBundles) {
+    const members = [bundle.mainGroupId, ...bundle.accessoryGroupIds];
+    if (bundle.bundleConfidence < BUNDLE_CONFIDENCE || members.some(id => !merged[id] || used.has(id))) continue;
+    for (const id of bundle.accessoryGroupIds) {
+      merged[bundle.mainGroupId].imageIndices.push(...merged[id].imageIndices);
+      removed.add(id);
+    }
+    members.forEach(id => used.add(id));
+  }
+  return merged
+    .filter((_, i) => !removed.has(i))
+    .map(g => ({
+      productName: g.productName || 'Unknown product',
+      brand: g.productName?.match(/^(\S+)/)?.[1] || '',
+      confidence: g.confidence || 0,
+      images: g.imageIndices.filter(i => images[i]).map(i => images[i]),
+    }))
+    .filter(d => d.images.length > 0);
+}
+
+// Lot items → drafts; every item shares all the photos, as nothing can be cropped out of a lot shot
+function lotDrafts({ items }, images) {
+  return items.map(item => {
+    const title = item.details ? `${item.title} (${item.details})` : item.title;
+    return { productName: title, brand: title.match(/^(\S+)/)?.[1] || '', confidence: 70, images };
+  });
+}
+
+// Move the job's draft to `status` unless it is locked, checking and claiming in one statement so a
+// draft queued or published meanwhile stays locked
+async function claimDraft(job, status) {
+  const result = await pool.query(
+    `UPDATE drafts SET status = $1, updated_at = NOW()
+     WHERE id = $2 AND account_id = $3 AND status <> ALL($4) RETURNING *`,
+    [status, job.draft_id, job.account_id, LOCKED_DRAFT_STATUSES]
+  );
+  if (result.rows.length > 0) return { draft: result.rows[0] };
+  const current = await pool.query('SELECT status FROM drafts WHERE id = $1', [job.draft_id]);
+  return { skipped: current.rows.length > 0 ? `Draft is ${current.rows[0].status}` : 'Draft was deleted' };
+}
+
+// Each handler does its job's work and finishes it; errors fall through to runJob
+const HANDLERS = {
+  async identify(job, userConfig) {
+    const stored = await pool.query(
+      'SELECT base64_data, filename, mime_type, image_hash FROM pipeline_images WHERE job_id = $1 ORDER BY image_index',
+      [job.id]
+    );
+    if (stored.rows.length === 0) return finishJob(job, 'failed', { error: 'Upload has no photos' });
+    const images = stored.rows.map(img => ({
+      base64: img.base64_data, filename: img.filename, mimeType: img.mime_type, hash: img.image_hash,
+    }));
+    const parts = images.map(img => ({ type: 'image', data: img.base64, mimeType: img.mimeType }));
+    const identified = job.options.mode === 'lot'
+      ? await identifyLot(userConfig, parts)
+      : await identifyProducts(userConfig, parts);
+    const drafts = job.options.mode === 'lot' ? lotDrafts(identified, images) : groupDrafts(identified, images);
+    if (drafts.length === 0) return finishJob(job, 'failed', { error: 'No products identified in the photos' });
+
+    // Drafts, their follow-up jobs and the finished identify job commit together, so a retry after
+    // a crash never creates the drafts twice
+    await withTransaction(async (db) => {
+      const { ids } = await createDrafts(job.account_id, job.created_by, drafts, db);
+      await queueJobs(db, job, 'generate', ids);
+      await db.query('DELETE FROM pipeline_images WHERE job_id = $1', [job.id]);
+      await finishJob(job, 'done', { result: { draftIds: ids, validationErrors: identified.validationErrors } }, db);
+    });
+  },
+
+  async generate(job, userConfig) {
+    const { draft, skipped } = await claimDraft(job, 'generating');
+    if (!draft) return finishJob(job, 'done', { result: { skipped } });
+    const { draft: saved, validationErrors } = await generateListing(draft, userConfig);
+    await withTransaction(async (db) => {
+      if (job.options.verify) await queueJobs(db, job, 'verify', [draft.id]);
+      await finishJob(job, 'done', { result: { title: saved.generated_title, validationErrors } }, db);
+    });
+  },
+
+  async verify(job, userConfig) {
+    const { draft, skipped } = await claimDraft(job, 'verifying');
+    if (!draft) return finishJob(job, 'done', { result: { skipped } });
+    if (!draft.generated_title || !draft.generated_html) {
+      await pool.query(`UPDATE drafts SET status = 'pending', updated_at = NOW() WHERE id = $1 AND status = 'verifying'`, [draft.id]);
+      return finishJob(job, 'done', { result: { skipped: 'Draft has no generated listing' } });
+    }
+    const { draft: saved, validationErrors } = await verifyListing(draft, userConfig);
+    await finishJob(job, 'done', { result: { title: saved.generated_title, validationErrors } });
+  },
+};
+
+// Where a failed job leaves its draft: back to pending when generation failed, ready when verification did
+async function releaseDraft(job) {
+  if (job.type === 'generate') {
+    await pool.query(`UPDATE drafts SET status = 'pending', updated_at = NOW() WHERE id = $1 AND status = 'generating'`, [job.draft_id]);
+  } else if (job.type === 'verify') {
+    await pool.query(`UPDATE drafts SET status = 'ready', updated_at = NOW() WHERE id = $1 AND status = 'verifying'`, [job.draft_id]);
+  }
+}
+
+async function runJob(job) {
+  try {
+    const userConfig = await loadAccountConfig(job.account_id);
+    if (!userConfig) return await finishJob(job, 'failed', { error: 'Account not found' });
+    await HANDLERS[job.type](job, userConfig);
+  } catch (err) {
+    if (err instanceof DraftLockedError) {
+      return await finishJob(job, 'done', { result: { skipped: err.message } }).catch(() => {});
+    }
+    if (err instanceof AiError && err.transient && job.attempts < MAX_ATTEMPTS) {
+      // Rate limits and provider outages usually pass; back off and try again
+      const delay = RETRY_BASE_DELAY_S * 2 ** (job.attempts - 1);
+      await pool.query(
+        `UPDATE pipeline_jobs SET status = 'queued', last_error = $1, next_attempt_at = NOW() + make_interval(secs => $2)
+         WHERE id = $3`,
+        [err.message, delay, job.id]
+      ).catch(() => {});
+      console.log(`[pipeline] ${job.type} job ${job.id} attempt ${job.attempts} failed, retrying in ${delay}s: ${err.message}`);
+      return;
+    }
+    if (!(err instanceof AiError)) console.error(`[pipeline] ${job.type} job ${job.id} error:`, err);
+    await finishJob(job, 'failed', { error: err.message }).catch(() => {});
+    await releaseDraft(job).catch(() => {});
+  }
+}
+
+// Claim up to `limit` due jobs so no other worker picks them up
+async function claimJobs(limit) {
+  const result = await pool.query(
+    `UPDATE pipeline_jobs SET status = 'running', attempts = attempts + 1, started_at = NOW()
+     WHERE id IN (
+       SELECT id FROM pipeline_jobs
+       WHERE status = 'queued' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at ASC, id ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit]
+  );
+  return result.rows;
+}
+
+// Fill free worker slots with due jobs; each job releases its slot when done
+async function processPipeline() {
+  const free = PIPELINE_CONCURRENCY - inFlight;
+  if (free <= 0) return;
+  try {
+    const jobs = await claimJobs(free);
+    for (const job of jobs) {
+      inFlight++;
+      runJob(job).finally(() => { inFlight--; });
+    }
+  } catch (err) {
+    console.error('[pipeline] Poll failed:', err);
+  }
+}
+
+// Jobs caught running by a restart are safe to run again: identify commits its drafts in one go,
+// and generate/verify only rewrite the draft they belong to. A job that has used its attempts fails
+// instead, so one that takes the process down (say, an upload too big for memory) can't loop forever.
+async function requeueInterruptedJobs() {
+  const failed = await pool.query(
+    `UPDATE pipeline_jobs SET status = 'failed', last_error = 'Interrupted by a server restart', finished_at = NOW()
+     WHERE status = 'running' AND attempts >= $1 RETURNING *`,
+    [MAX_ATTEMPTS]
+  );
+  for (const job of failed.rows) await releaseDraft(job);
+  const result = await pool.query(
+    `UPDATE pipeline_jobs SET status = 'queued', next_attempt_at = NOW() WHERE status = 'running' RETURNING id`
+  );
+  if (failed.rows.length > 0) console.error(`[pipeline] Failed ${failed.rows.length} interrupted jobs out of attempts`);
+  if (result.rows.length > 0) console.log(`[pipeline] Requeued ${result.rows.length} interrupted jobs`);
+}
+
+function startPipelineWorkers() {
+  requeueInterruptedJobs()
+    .catch(err => console.error('[pipeline] Failed to requeue interrupted jobs:', err))
+    .finally(() => {
+      setInterval(processPipeline, PIPELINE_POLL_MS);
+      processPipeline();
+    });
+}
+
+module.exports = { UPLOAD_MODES, ACTIVE_STATES, enqueueUpload, startPipelineWorkers };
@@ -0,0 +1,180 @@
+// ── Product identification ──
+// Names and groups the products in a batch of photos (identify), or lists every item in photos of a
+// lot (lot). Used by the upload screen and by background upload jobs. `images` are image parts of the
+// AI provider contract. Replies are checked against the schemas below (see ai-validation.js).
+const { completeJson } = require('./ai-validation');
+
+const IDENTIFY_SCHEMA = {
+  type: 'object',
+  required: ['groups', 'suggestedBundles'],
+  properties: {
+    groups: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['groupId', 'productName', 'confidence', 'imageIndices'],
+        properties: {
+          groupId: { type: 'integer', minimum: 0 },
+          productName: { type: 'string', minLength: 1, maxLength: 255 },
+          confidence: { type: 'number', minimum: 0, maximum: 100 },
+          imageIndices: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 0 } },
+        },
+      },
+    },
+    suggestedBundles: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['mainGroupId', 'accessoryGroupIds', 'reason', 'bundleConfidence'],
+        properties: {
+          mainGroupId: { type: 'integer', minimum: 0 },
+          accessoryGroupIds: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 0 } },
+          reason: { type: 'string' },
+          bundleConfidence: { type: 'number', minimum: 0, maximum: 100 },
+        },
+      },
+    },
+  },
+};
+
+const LOT_SCHEMA = {
+  type: 'object',
+  required: ['items'],
+  properties: {
+    itemCount: { type: 'integer', minimum: 0 },
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title'],
+        properties: {
+          index: { type: 'integer', minimum: 1 },
+          title: { type: 'string', minLength: 1, maxLength: 255 },
+          details: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+// What the identify schema can't say: every photo sits in exactly one group, bundles point at real groups
+function checkGroups(imageCount) {
+  return ({ groups, suggestedBundles }) => {
+    const errors = [];
+    const seen = new Map(); // image index → group position
+    groups.forEach((g, gi) => g.imageIndices.forEach((index, ii) => {
+      const path = `groups[${gi}].imageIndices[${ii}]`;
+      if (index >= imageCount) errors.push({ path, message: `image ${index} does not exist (images are 0-${imageCount - 1})` });
+      else if (seen.has(index) && seen.get(index) !== gi) errors.push({ path, message: `image ${index} is already in groups[${seen.get(index)}]` });
+      else seen.set(index, gi);
+    }));
+    for (let index = 0; index < imageCount; index++) {
+      if (!seen.has(index)) errors.push({ path: 'groups', message: `image ${index} is not in any group` });
+    }
+    suggestedBundles.forEach((b, bi) => {
+      [b.mainGroupId, ...b.accessoryGroupIds].forEach(id => {
+        if (id >= groups.length) errors.push({ path: `suggestedBundles[${bi}]`, message: `group ${id} does not exist` });
+      });
+      if (b.accessoryGroupIds.includes(b.mainGroupId)) {
+        errors.push({ path: `suggestedBundles[${bi}].accessoryGroupIds`, message: 'must not include the main group' });
+      }
+    });
+    return errors;
+  };
+}
+
+// → { groups: [{ groupId, productName, confidence, imageIndices }], suggestedBundles, validationErrors },
+// validationErrors being what was wrong with replies that had to be repaired
+async function identifyProducts(userConfig, images) {
+  const prompt = `You are a product identification expert. I'm sending you ${images.length} numbered images (image 0 through image ${images.length - 1}).
+
+For each image, identify the product shown (brand + model/type if visible).
+
+Then GROUP images that show the SAME product together — even if the names aren't exactly identical. For example "Logitech Brio Webcam" and "Logitech Brio 4K Webcam" are the same product and must be in the same group. Use your best judgment to normalize product names.
+
+After grouping, check if any groups are ACCESSORIES or COMPANIONS of each other. For example: a phone case is an accessory for a phone, a charger is an accessory for a laptop, a remote is an accessory for a TV. Also consider PACKAGING: if you see a generic brown/cardboard shipping box, it is almost certainly the packaging for one of the other items — treat it as an accessory of the most likely product it belongs to. Boxes are not sold separately. Think about whether a buyer would reasonably want to list these items together as a bundle.
+
+Return ONLY valid JSON, no markdown, no explanation. Use this exact format:
+{
+  "groups": [
+    { "groupId": 0, "productName": "Brand Model Product", "confidence": 95, "imageIndices": [0, 2, 3] },
+    { "groupId": 1, "productName": "Brand Model Product", "confidence": 60, "imageIndices": [1] }
+  ],
+  "suggestedBundles": [
+    { "mainGroupId": 0, "accessoryGroupIds": [1], "reason": "Short explanation of why these go together", "bundleConfidence": 85 }
+  ]
+}
+
+Rules:
+- Every image index (0 to ${images.length - 1}) must appear in exactly one group
+- groupId must be the index of the group in the array (0, 1, 2, ...)
+- Use the most specific and complete product name for each group
+- If you truly cannot identify a product, use "Unknown product" as the name
+- confidence is 0-100: how certain you are that you correctly identified the exact product (brand, model, variant). 90-100 = exact match with brand+model clearly visible, 60-89 = likely correct but some details uncertain, 30-59 = rough guess, 0-29 = unable to identify
+- suggestedBundles: only include if you detect genuine accessory/companion relationships. Leave as empty array [] if no items are related
+- mainGroupId: the group index of the PRIMARY product (not the accessory)
+- accessoryGroupIds: array of group indices that are accessories OF the main product
+- bundleConfidence: 0-100, how confident you are these items belong together as a bundle
+- A group can only appear in ONE bundle (either as main or accessory, not both)`;
+
+  const { value, repairedErrors } = await completeJson(userConfig, 'identify', {
+    messages: [{ role: 'user', content: [{ type: 'text', text: prompt }, ...images] }],
+    temperature: 0.1,
+    maxTokens: Math.max(1500, images.length * 150),
+  }, { schema: IDENTIFY_SCHEMA, check: checkGroups(images.length) });
+
+  // groupId is the group's position, whatever number the model gave it
+  const groups = value.groups.map((g, i) => ({ ...g, groupId: i, productName: g.productName.trim() }));
+  return { groups, suggestedBundles: value.suggestedBundles, validationErrors: repairedErrors };
+}
+
+// → { itemCount, items: [{ index, title, details }], validationErrors }
+async function identifyLot(userConfig, images) {
+  const prompt = `You will be analyzing ${images.length > 1 ? images.length + ' images that together show' : 'an image that contains'} multiple items (such as books on a shelf, products in a display, trading cards, or any collection of items visible in a photograph). Your task is to identify each individual item as accurately as possible and provide a descriptive title for each one.
+
+Your goal is to:
+1. Carefully examine all visible items in the image${images.length > 1 ? 's' : ''}
+2. Identify each distinct item individually
+3. Provide an accurate, descriptive title for each item
+
+Carefully scan the image${images.length > 1 ? 's' : ''} systematically from left to right, top to bottom. Note any visible text, labels, titles, or identifying features on each item. Count all distinct items.
+
+When identifying items, follow these guidelines:
+- For books: Include the full title as visible on the spine or cover, and author name if visible
+- For products: Include brand name, product name, and any distinguishing features (size, flavor, color, etc.)
+- For cards: Include the card name, set name, or any identifying numbers/text visible
+- For unlabeled items: Provide a clear descriptive title based on what the item appears to be
+- If an item is partially obscured but you can make a reasonable identification, note this with phrases like "appears to be" or "partially visible"
+- If an item cannot be identified at all, note it as "Unidentifiable item" with a brief description of what's visible
+
+Your final answer MUST be ONLY valid JSON, no markdown, no explanation outside the JSON. Use this exact format:
+{
+  "itemCount": <number>,
+  "items": [
+    { "index": 1, "title": "<descriptive title>", "details": "<additional details or empty string>" },
+    { "index": 2, "title": "<descriptive title>", "details": "<additional details or empty string>" }
+  ]
+}
+
+Rules:
+- Every distinct item visible in the image${images.length > 1 ? 's' : ''} must be listed
+- "title" should be the most specific, descriptive name you can determine (brand + product name + distinguishing features)
+- "details" should include author, condition notes, or any extra info in parenthetical style — leave as "" if nothing extra to note
+- Be thorough: scan every part of the image${images.length > 1 ? 's' : ''}, do not skip items just because they are small or partially visible`;
+
+  const { value, repairedErrors } = await completeJson(userConfig, 'lot', {
+    messages: [{ role: 'user', content: [{ type: 'text', text: prompt }, ...images] }],
+    temperature: 0.1,
+    maxTokens: Math.max(2000, images.length * 1500),
+  }, { schema: LOT_SCHEMA });
+
+  const items = value.items.map((item, i) => ({
+    index: item.index || i + 1,
+    title: item.title.trim(),
+    details: item.details || '',
+  }));
+  return { itemCount: items.length, items, validationErrors: repairedErrors };
+}
+
+module.exports = { identifyProducts, identifyLot };
@@ -0,0 +1,116 @@
+const pool = require('./db');
+const { getMarketplace } = require('./marketplaces');
+
+const MARKETING_API_URL = 'https://api.ebay.com/sell/marketing/v1';
+const MIN_AD_RATE = 2;   // eBay's floor for general (cost-per-sale) campaigns
+const MAX_AD_RATE = 100;
+const ADS_PAGE_SIZE = 500; // getAds maximum
+
+async function marketingRequest(token, method, path, body) {
+  const resp = await fetch(`${MARKETING_API_URL}${path}`, {
+    method,
+    headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = resp.status === 204 ? {} : await resp.json().catch(() => ({}));
+  return { ok: resp.ok, status: resp.status, data, location: resp.headers.get('location') };
+}
+
+function marketingError(data, fallback) {
+  const msg = data.errors?.map(e => e.longMessage || e.message).join(' | ');
+  return msg || fallback;
+}
+
+// Ad rate as a number, null for "not set", or NaN when out of range. 0 means "don't promote".
+function parseAdRate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const rate = Math.round(parseFloat(value) * 10) / 10;
+  if (rate === 0) return 0;
+  return rate >= MIN_AD_RATE && rate <= MAX_AD_RATE ? rate : NaN;
+}
+
+// Ad rate to promote a new listing at: the draft's override, else the account default; null = don't promote
+function resolveAdRate(item, userConfig) {
+  if (!userConfig.promotedCampaignId || !userConfig.ebayOAuthToken) return null;
+  const override = parseAdRate(item.adRate);
+  const rate = override !== null && !isNaN(override) ? override : parseAdRate(userConfig.promotedAdRate);
+  return rate > 0 ? rate : null;
+}
+
+// General (cost-per-sale) campaigns a listing on this marketplace can be added to
+async function fetchCampaigns(token, marketplaceId) {
+  const { ok, data } = await marketingRequest(token, 'GET', '/ad_campaign?campaign_status=RUNNING,SCHEDULED,PAUSED&limit=100');
+  if (!ok) throw new Error(marketingError(data, 'Failed to load Promoted Listings campaigns'));
+  const { id } = getMarketplace(marketplaceId);
+  return (data.campaigns || [])
+    .filter(c => c.fundingStrategy?.fundingModel === 'COST_PER_SALE' && c.marketplaceId === id)
+    .map(c => ({ id: c.campaignId, name: c.campaignName, status: c.campaignStatus }));
+}
+
+// Add a live listing to the account's default campaign and record the ad on its listing rows.
+// Returns { success, adId, adRate } or { success: false, error }; never throws.
+async function promoteListing(userConfig, ebayItemId, adRate) {
+  const campaignId = userConfig.promotedCampaignId;
+  try {
+    const { ok, data, location } = await marketingRequest(
+      userConfig.ebayOAuthToken, 'POST', `/ad_campaign/${encodeURIComponent(campaignId)}/ad`,
+      { listingId: ebayItemId, bidPercentage: adRate.toFixed(1) }
+    );
+    if (!ok) throw new Error(marketingError(data, 'Failed to add listing to campaign'));
+    const adId = data.adId || (location ? location.split('/').pop() : null);
+    await pool.query(
+      `UPDATE listings SET promoted_campaign_id = $1, promoted_ad_id = $2, promoted_ad_rate = $3, promote_error = NULL
+       WHERE account_id = $4 AND ebay_item_id = $5`,
+      [campaignId, adId, adRate, userConfig.accountId, ebayItemId]
+    );
+    return { success: true, adId, adRate };
+  } catch (err) {
+    await pool.query(
+      'UPDATE listings SET promote_error = $1 WHERE account_id = $2 AND ebay_item_id = $3',
+      [err.message, userConfig.accountId, ebayItemId]
+    ).catch(() => {});
+    return { success: false, error: err.message };
+  }
+}
+
+// Refresh which listings are in the default campaign, so ads added or removed in Seller Hub show up here
+async function syncCampaignAds(userConfig) {
+  const campaignId = userConfig.promotedCampaignId;
+  if (!campaignId || !userConfig.ebayOAuthToken) return null;
+
+  const ads = [];
+  for (let offset = 0; ; offset += ADS_PAGE_SIZE) {
+    const { ok, data } = await marketingRequest(
+      userConfig.ebayOAuthToken, 'GET',
+      `/ad_campaign/${encodeURIComponent(campaignId)}/ad?limit=${ADS_PAGE_SIZE}&offset=${offset}`
+    );
+    if (!ok) throw new Error(marketingError(data, 'Failed to load campaign ads'));
+    ads.push(...(data.ads || []));
+    if (!data.next) break;
+  }
+
+  const accountId = userConfig.accountId;
+  for (const ad of ads) {
+    await pool.query(
+      `UPDATE listings SET promoted_campaign_id = $1, promoted_ad_id = $2, promoted_ad_rate = $3, promote_error = NULL
+       WHERE account_id = $4 AND ebay_item_id = $5`,
+      [campaignId, ad.adId, parseFloat(ad.bidPercentage) || null, accountId, ad.listingId]
+    );
+  }
+  const cleared = await pool.query(
+    `UPDATE listings SET promoted_campaign_id = NULL, promoted_ad_id = NULL, promoted_ad_rate = NULL
+     WHERE account_id = $1 AND promoted_campaign_id = $2 AND NOT (ebay_item_id = ANY($3))`,
+    [accountId, campaignId, ads.map(a => a.listingId)]
+  );
+  return { promoted: ads.length, removed: cleared.rowCount };
+}
+
+module.exports = {
+  MIN_AD_RATE,
+  MAX_AD_RATE,
+  parseAdRate,
+  resolveAdRate,
+  fetchCampaigns,
+  promoteListing,
+  syncCampaignAds,
+};
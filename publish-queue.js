@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const pool = require('./db');
+const { loadAccountConfig } = require('./middleware/auth');
+const { publishDraft } = require('./ebay-publish');
+
+const QUEUE_POLL_MS = 3 * 1000; // look for queued drafts every few seconds
+const PUBLISH_CONCURRENCY = 3; // drafts uploading/publishing at once across all accounts
+const MAX_ATTEMPTS = 4;
+const RETRY_BASE_DELAY_S = 30; // 30s, 60s, 120s between attempts
+
+// Job states a draft moves through; the first three count as "in progress"
+const ACTIVE_STATES = ['queued', 'uploading', 'publishing'];
+
+let inFlight = 0;
+
+// Queue drafts for server-side publishing; returns the batch ID every job shares
+async function enqueueDrafts(draftIds, { accountId, userId }) {
+  const batchId = crypto.randomUUID();
+  await pool.query(
+    `INSERT INTO publish_queue (account_id, batch_id, draft_id, queued_by)
+     SELECT $1, $2, id, $3 FROM unnest($4::int[]) AS id`,
+    [accountId, batchId, userId, draftIds]
+  );
+  // Drafts show as listing from the moment they're queued so nobody publishes them twice
+  await pool.query(
+    `UPDATE drafts SET status = 'listing', publish_error = NULL, scheduled_at = NULL, updated_at = NOW()
+     WHERE id = ANY($1)`,
+    [draftIds]
+  );
+  return batchId;
+}
+
+// Claim up to `limit` due jobs so no other worker picks them up
+async function claimJobs(limit) {
+  const result = await pool.query(
+    `UPDATE publish_queue SET status = 'uploading', attempts = attempts + 1, started_at = NOW()
+     WHERE id IN (
+       SELECT id FROM publish_queue
+       WHERE status = 'queued' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at ASC, id ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit]
+  );
+  return result.rows;
+}
+
+async function runJob(job) {
+  const finish = (status, fields = {}) => pool.query(
+    `UPDATE publish_queue SET status = $1, last_error = $2, ebay_item_id = $3, finished_at = NOW() WHERE id = $4`,
+    [status, fields.error || null, fields.itemId || null, job.id]
+  );
+
+  try {
+    const draftResult = await pool.query('SELECT * FROM drafts WHERE id = $1 AND account_id = $2', [job.draft_id, job.account_id]);
+    const draft = draftResult.rows[0];
+    if (!draft) return finish('failed', { error: 'Draft was deleted' });
+    if (draft.status === 'listed') return finish('listed', { itemId: draft.ebay_item_id });
+
+    const userConfig = await loadAccountConfig(job.account_id);
+    if (!userConfig) return finish('failed', { error: 'Account not found' });
+
+    const result = await publishDraft(draft, {
+      userConfig,
+      userId: job.queued_by || draft.created_by,
+      onStage: (stage) => pool.query('UPDATE publish_queue SET status = $1 WHERE id = $2', [stage, job.id]),
+    });
+
+    if (result.success) return finish('listed', { itemId: result.itemId });
+
+    if (result.transient && job.attempts < MAX_ATTEMPTS) {
+      // Exponential backoff; the draft stays in `listing` until the retry runs
+      const delay = RETRY_BASE_DELAY_S * 2 ** (job.attempts - 1);
+      await pool.query(
+        `UPDATE publish_queue SET status = 'queued', last_error = $1,
+           next_attempt_at = NOW() + make_interval(secs => $2)
+         WHERE id = $3`,
+        [result.error, delay, job.id]
+      );
+      await pool.query(
+        `UPDATE drafts SET status = 'listing', publish_error = $1, updated_at = NOW() WHERE id = $2`,
+        [`Retrying: ${result.error}`, job.draft_id]
+      );
+      console.log(`[publish-queue] Draft ${job.draft_id} attempt ${job.attempts} failed, retrying in ${delay}s: ${result.error}`);
+      return;
+    }
+    return finish('failed', { error: result.error });
+  } catch (err) {
+    console.error(`[publish-queue] Job ${job.id} error:`, err);
+    await finish('failed', { error: err.message }).catch(() => {});
+    await pool.query(
+      `UPDATE drafts SET status = 'ready', publish_error = $1, updated_at = NOW() WHERE id = $2 AND status = 'listing'`,
+      [err.message, job.draft_id]
+    ).catch(() => {});
+  }
+}
+
+// Fill free worker slots with due jobs; each job releases its slot when done
+async function processQueue() {
+  const free = PUBLISH_CONCURRENCY - inFlight;
+  if (free <= 0) return;
+  try {
+    const jobs = await claimJobs(free);
+    for (const job of jobs) {
+      inFlight++;
+      runJob(job).finally(() => { inFlight--; });
+    }
+  } catch (err) {
+    console.error('[publish-queue] Poll failed:', err);
+  }
+}
+
+// Jobs caught mid-publish by a restart may or may not have reached eBay — fail them rather than risk a duplicate
+async function failInterruptedJobs() {
+  const interrupted = await pool.query(
+    `UPDATE publish_queue SET status = 'failed', finished_at = NOW(),
+       last_error = 'Interrupted by a server restart. Check eBay before publishing again.'
+     WHERE status IN ('uploading', 'publishing')
+     RETURNING draft_id, last_error`
+  );
+  for (const job of interrupted.rows) {
+    await pool.query(
+      `UPDATE drafts SET status = 'ready', publish_error = $1, updated_at = NOW() WHERE id = $2 AND status = 'listing'`,
+      [job.last_error, job.draft_id]
+    );
+  }
+}
+
+function startPublishQueue() {
+  failInterruptedJobs()
+    .catch(err => console.error('[publish-queue] Failed to clean up interrupted jobs:', err))
+    .finally(() => {
+      setInterval(processQueue, QUEUE_POLL_MS);
+      processQueue();
+    });
+}
+
+module.exports = { ACTIVE_STATES, enqueueDrafts, startPublishQueue };
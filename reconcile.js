@@ -0,0 +1,226 @@
+const pool = require('./db');
+const { loadAccountConfig } = require('./middleware/auth');
+const { tradingRequest } = require('./ebay-trading');
+const { syncCampaignAds } = require('./promoted-listings');
+
+const RECONCILE_INTERVAL_MS = 60 * 60 * 1000; // refresh listing state every hour
+const ENDED_LOOKBACK_DAYS = 60; // GetMyeBaySelling keeps sold/unsold lists for 60 days
+const ENTRIES_PER_PAGE = 200; // GetMyeBaySelling maximum
+
+let running = false;
+
+// Page through one GetMyeBaySelling list (ActiveList, SoldList, UnsoldList) and return each page's list element
+async function fetchSellingList(token, listName) {
+  const pages = [];
+  for (let page = 1; ; page++) {
+    const response = await tradingRequest('GetMyeBaySelling', token, [
+      '  <DetailLevel>ReturnAll</DetailLevel>',
+      `  <${listName}>`,
+      '    <Include>true</Include>',
+      listName !== 'ActiveList' ? `    <DurationInDays>${ENDED_LOOKBACK_DAYS}</DurationInDays>` : null,
+      '    <Pagination>',
+      `      <EntriesPerPage>${ENTRIES_PER_PAGE}</EntriesPerPage>`,
+      `      <PageNumber>${page}</PageNumber>`,
+      '    </Pagination>',
+      `  </${listName}>`,
+    ]);
+
+    const list = response.root.children(listName);
+    pages.push({ $: response.$, list });
+    const totalPages = parseInt(list.find('PaginationResult > TotalNumberOfPages').first().text()) || 1;
+    if (page >= totalPages) break;
+  }
+  return pages;
+}
+
+// Text of the first `selector` match inside an element
+const field = (el, selector) => el.find(selector).first().text();
+
+// Active items keyed by item ID, with per-SKU state for multi-variation listings
+function parseActiveItems(pages) {
+  const items = new Map();
+  for (const { $, list } of pages) {
+    for (const el of list.find('ItemArray > Item').toArray()) {
+      const item = $(el);
+      const variations = item.children('Variations').children('Variation').toArray().map(v => $(v));
+      const quantity = parseInt(item.children('Quantity').text()) || 0;
+      const quantitySold = parseInt(field(item, 'SellingStatus > QuantitySold')) || 0;
+      const available = item.children('QuantityAvailable').text();
+      const itemId = item.children('ItemID').text();
+      items.set(itemId, {
+        itemId,
+        title: item.children('Title').text(),
+        sku: item.children('SKU').text() || null,
+        price: parseFloat(field(item, 'SellingStatus > CurrentPrice')) || null,
+        quantity: available !== '' ? parseInt(available) : Math.max(quantity - quantitySold, 0),
+        quantitySold,
+        watchCount: parseInt(item.children('WatchCount').text()) || 0,
+        variations: variations.map(v => {
+          const vQuantity = parseInt(v.children('Quantity').text()) || 0;
+          const vSold = parseInt(field(v, 'SellingStatus > QuantitySold')) || 0;
+          return {
+            sku: v.children('SKU').text(),
+            price: parseFloat(v.children('StartPrice').text()) || null,
+            quantity: Math.max(vQuantity - vSold, 0),
+            quantitySold: vSold,
+          };
+        }),
+      });
+    }
+  }
+  return items;
+}
+
+// The account's active eBay listings (including ones not created through the app), keyed by item ID
+async function fetchActiveItems(token) {
+  return parseActiveItems(await fetchSellingList(token, 'ActiveList'));
+}
+
+// Every item ID mentioned in a sold/unsold list
+function collectItemIds(pages) {
+  const ids = new Set();
+  for (const { $, list } of pages) {
+    for (const el of list.find('ItemID').toArray()) ids.add($(el).text());
+  }
+  return ids;
+}
+
+// Bring every listing row for the account in line with eBay and record a report of the run
+async function reconcileAccount(accountId) {
+  const userConfig = await loadAccountConfig(accountId);
+  if (!userConfig) throw new Error('Account not found');
+  const token = userConfig.ebayOAuthToken || userConfig.ebayToken;
+  if (!token) throw new Error('eBay token not configured. Go to Settings.');
+
+  const run = await pool.query(
+    'INSERT INTO listing_reconciliations (account_id) VALUES ($1) RETURNING id',
+    [accountId]
+  );
+  const runId = run.rows[0].id;
+
+  try {
+    const active = await fetchActiveItems(token);
+    const soldIds = collectItemIds(await fetchSellingList(token, 'SoldList'));
+    const unsoldIds = collectItemIds(await fetchSellingList(token, 'UnsoldList'));
+
+    const listings = await pool.query(
+      `SELECT id, ebay_item_id, sku, title, price, quantity, quantity_sold, watch_count, status, variation_specifics
+       FROM listings
+       WHERE account_id = $1
+         AND created_at < NOW() - INTERVAL '10 minutes'`, // brand-new listings can lag behind ActiveList
+      [accountId]
+    );
+
+    const report = { checked: listings.rows.length, updated: 0, ended: 0, reactivated: 0, unknown: [] };
+    const knownItemIds = new Set(
+      (await pool.query('SELECT DISTINCT ebay_item_id FROM listings WHERE account_id = $1', [accountId]))
+        .rows.map(r => r.ebay_item_id)
+    );
+
+    for (const listing of listings.rows) {
+      const item = active.get(listing.ebay_item_id);
+
+      if (!item) {
+        if (listing.status === 'ended') continue;
+        // Gone from the active list — sold out, ended in Seller Hub, or expired
+        const endReason = soldIds.has(listing.ebay_item_id) ? 'Sold'
+          : unsoldIds.has(listing.ebay_item_id) ? 'Unsold'
+          : 'EndedOnEbay';
+        await pool.query(
+          `UPDATE listings SET status = 'ended', end_reason = $1, ended_at = NOW(),
+             quantity = CASE WHEN $2 THEN 0 ELSE quantity END,
+             reconciled_at = NOW(), updated_at = NOW()
+           WHERE id = $3`,
+          [endReason, endReason === 'Sold', listing.id]
+        );
+        report.ended++;
+        continue;
+      }
+
+      const state = listing.variation_specifics
+        ? item.variations.find(v => v.sku === listing.sku)
+        : item;
+      if (!state) continue; // variation removed in Seller Hub — leave the row as it was
+
+      const title = item.title.substring(0, 100);
+      const price = state.price ?? parseFloat(listing.price);
+      const changed = listing.status === 'ended'
+        || listing.title !== title
+        || parseFloat(listing.price) !== price
+        || listing.quantity !== state.quantity
+        || listing.quantity_sold !== state.quantitySold
+        || listing.watch_count !== item.watchCount;
+
+      await pool.query(
+        `UPDATE listings SET
+           title = $1, price = $2, quantity = $3, quantity_sold = $4, watch_count = $5,
+           status = 'active', end_reason = NULL, ended_at = NULL,
+           reconciled_at = NOW(),
+           updated_at = CASE WHEN $6 THEN NOW() ELSE updated_at END
+         WHERE id = $7`,
+        [title, price, state.quantity, state.quantitySold, item.watchCount, changed, listing.id]
+      );
+      if (listing.status === 'ended') report.reactivated++;
+      else if (changed) report.updated++;
+    }
+
+    // Active on eBay but never created through the app
+    for (const item of active.values()) {
+      if (knownItemIds.has(item.itemId)) continue;
+      report.unknown.push({ itemId: item.itemId, title: item.title, sku: item.sku, price: item.price, quantity: item.quantity });
+    }
+
+    // Promoted state is refreshed alongside; a Marketing API failure shouldn't fail the whole run
+    try {
+      await syncCampaignAds(userConfig);
+    } catch (err) {
+      console.error(`[reconcile] Account ${accountId} campaign sync failed:`, err.message);
+    }
+
+    await pool.query(
+      `UPDATE listing_reconciliations SET finished_at = NOW(), checked = $1, updated = $2, ended = $3,
+         reactivated = $4, unknown_listings = $5 WHERE id = $6`,
+      [report.checked, report.updated, report.ended, report.reactivated, JSON.stringify(report.unknown), runId]
+    );
+    return report;
+  } catch (err) {
+    await pool.query(
+      'UPDATE listing_reconciliations SET finished_at = NOW(), error = $1 WHERE id = $2',
+      [err.message, runId]
+    ).catch(() => {});
+    throw err;
+  }
+}
+
+// Reconcile every account with eBay credentials
+async function reconcileAllAccounts() {
+  if (running) return; // previous run still paging through GetMyeBaySelling
+  running = true;
+  try {
+    const accounts = await pool.query(
+      `SELECT id FROM users WHERE id = account_id
+         AND (ebay_oauth_refresh_token IS NOT NULL OR ebay_token IS NOT NULL)`
+    );
+    for (const { id } of accounts.rows) {
+      try {
+        const report = await reconcileAccount(id);
+        if (report.updated || report.ended || report.reactivated || report.unknown.length) {
+          console.log(`[reconcile] Account ${id}: ${report.updated} updated, ${report.ended} ended, ${report.reactivated} reactivated, ${report.unknown.length} not created here`);
+        }
+      } catch (err) {
+        console.error(`[reconcile] Account ${id} failed:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error('[reconcile] Run failed:', err);
+  } finally {
+    running = false;
+  }
+}
+
+function startReconciler() {
+  setInterval(reconcileAllAccounts, RECONCILE_INTERVAL_MS);
+  reconcileAllAccounts();
+}
+
+module.exports = { startReconciler, reconcileAllAccounts, reconcileAccount, fetchActiveItems };
@@ -0,0 +1,88 @@
+const express = require('express');
+const pool = require('../db');
+const { requireRole } = require('../middleware/auth');
+const { AiError, complete, annotateImages } = require('../ai-providers');
+const { identifyProducts, identifyLot } = require('../product-identification');
+const router = express.Router();
+
+// Tasks the browser may prompt directly. Identify, lot, generate and verify run on the server, where
+// their replies are checked against a schema before anything uses them.
+const CHAT_TASKS = ['aspects'];
+
+// AI routes answer errors as { error: { message, fields } } with the provider's status; `fields` lists
+// per-field problems when a reply never matched its schema
+function sendAiError(res, err) {
+  if (!(err instanceof AiError)) console.error('AI request error:', err);
+  res.status(err instanceof AiError ? err.status : 500).json({ error: { message: err.message, fields: err.fieldErrors || [] } });
+}
+
+// base64 JPEGs from the browser → image parts of the provider contract
+const imageParts = (images) => images.map(data => ({ type: 'image', data, mimeType: 'image/jpeg' }));
+
+// POST /api/ai/identify — identify & group products from images
+router.post('/identify', async (req, res) => {
+  const { images } = req.body; // array of base64 strings
+  if (!images || images.length === 0) return res.status(400).json({ error: { message: 'No images provided' } });
+
+  try {
+    res.json(await identifyProducts(req.userConfig, imageParts(images)));
+  } catch (err) {
+    sendAiError(res, err);
+  }
+});
+
+// POST /api/ai/identify-lot — LOT mode: identify individual items within lot image(s)
+router.post('/identify-lot', async (req, res) => {
+  const { images } = req.body;
+  if (!images || images.length === 0) return res.status(400).json({ error: { message: 'No images provided' } });
+
+  try {
+    res.json(await identifyLot(req.userConfig, imageParts(images)));
+  } catch (err) {
+    sendAiError(res, err);
+  }
+});
+
+// POST /api/ai/chat — { task, messages, temperature, maxTokens } → { success, text, provider, model }
+// for the text tasks the browser prompts itself (item specifics)
+router.post('/chat', async (req, res) => {
+  const { task, messages, temperature, maxTokens } = req.body;
+  if (!CHAT_TASKS.includes(task)) {
+    return res.status(400).json({ error: { message: 'Unknown AI task' } });
+  }
+  if (!Array.isArray(messages) || messages.length === 0) return res.status(400).json({ error: { message: 'No messages provided' } });
+
+  try {
+    const result = await complete(req.userConfig, task, { messages, temperature, maxTokens });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendAiError(res, err);
+  }
+});
+
+// POST /api/ai/vision/annotate — Google Vision label/web detection proxy
+router.post('/vision/annotate', async (req, res) => {
+  try {
+    res.json(await annotateImages(req.body.requests));
+  } catch (err) {
+    sendAiError(res, err);
+  }
+});
+
+// GET /api/ai/errors — the account's latest AI replies that failed validation, with their per-field errors
+router.get('/errors', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, task, provider, model, attempt, stage, errors, response, created_at
+       FROM ai_response_errors WHERE account_id = $1
+       ORDER BY created_at DESC LIMIT 100`,
+      [req.session.accountId]
+    );
+    res.json({ success: true, errors: result.rows });
+  } catch (err) {
+    console.error('Fetch AI response errors error:', err);
+    res.status(500).json({ error: { message: 'Failed to load AI response errors' } });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const { getMarketplace } = require('../marketplaces');
+const { getEbayBrowseToken } = require('../ebay-utils');
+const { searchCatalog, getCatalogProduct } = require('../catalog');
+const router = express.Router();
+
+// Marketplace for a request: ?marketplace= (a draft's override) or the account default
+const requestMarketplace = (req) => getMarketplace(req.query.marketplace || req.userConfig.ebayMarketplace);
+
+// An application token from the account's API keys, else the app's own. The account's OAuth token
+// won't do: its grant doesn't include the Catalog API's commerce.catalog.readonly scope.
+async function catalogToken(req) {
+  const clientId = req.userConfig.ebayClientId || process.env.EBAY_APP_CLIENT_ID;
+  const clientSecret = req.userConfig.ebayClientSecret || process.env.EBAY_APP_CLIENT_SECRET;
+  if (!clientId || !clientSecret) return null;
+  return getEbayBrowseToken(req.session.accountId, clientId, clientSecret);
+}
+
+// GET /api/ebay/catalog/search?q=&gtin=&mpn=&marketplace= — catalog products matching a draft
+router.get('/search', async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  const gtin = String(req.query.gtin || '').replace(/\D/g, '');
+  const mpn = String(req.query.mpn || '').trim();
+  if (!q && !gtin && !mpn) return res.json({ success: false, error: 'Enter a UPC, MPN or title to search' });
+  if (req.query.gtin && !/^\d{8,14}$/.test(gtin)) return res.json({ success: false, error: 'UPC/EAN must be 8-14 digits' });
+
+  try {
+    const token = await catalogToken(req);
+    if (!token) return res.json({ success: false, error: 'eBay credentials not configured. Go to Settings.' });
+    const products = await searchCatalog(token, requestMarketplace(req).id, { q: q.substring(0, 100), gtin, mpn });
+    res.json({ success: true, products });
+  } catch (err) {
+    res.json({ success: false, error: err.message });
+  }
+});
+
+// GET /api/ebay/catalog/product/:epid — one product with its item specifics, for confirming a match
+router.get('/product/:epid', async (req, res) => {
+  if (!/^\d+$/.test(req.params.epid)) return res.status(400).json({ success: false, error: 'Invalid ePID' });
+  try {
+    const token = await catalogToken(req);
+    if (!token) return res.json({ success: false, error: 'eBay credentials not configured. Go to Settings.' });
+    res.json({ success: true, product: await getCatalogProduct(token, requestMarketplace(req).id, req.params.epid) });
+  } catch (err) {
+    res.json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,15 @@
 const express = require('express');
 const pool = require('../db');
 const { encrypt, decrypt } = require('../crypto-utils');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireRole, needsOAuthReconnect } = require('../middleware/auth');
+const { PUBLISH_METHODS, CONDITION_IDS } = require('../ebay-publish');
+const { MARKETPLACES, isMarketplace } = require('../marketplaces');
+const { parseRules, listRules, replaceRules } = require('../shipping-rules');
+const bestOfferRules = require('../best-offer-rules');
+const { startBestOfferRevision } = require('../bulk-revise');
+const { parseAiSettings, describeAiSettings } = require('../ai-providers');
+const { MIN_AD_RATE, MAX_AD_RATE, parseAdRate } = require('../promoted-listings');
+const { loadListingDefaults, parseListingDefaults, saveListingDefaults } = require('../listing-defaults');
 const router = express.Router();
 
 // GET /api/config — returns masked key previews (role-aware)
@@ -21,7 +29,7 @@ router.get('/', requireAuth, async (req, res) => {
 
     // Load account owner's config (eBay keys + template)
     const ownerResult = await pool.query(
-      'SELECT ebay_token, ebay_client_id, ebay_client_secret, example_template, ebay_oauth_username, (ebay_oauth_access_token IS NOT NULL) AS ebay_oauth_connected FROM users WHERE id = $1',
+      'SELECT ebay_token, ebay_client_id, ebay_client_secret, example_template, ebay_oauth_username, ebay_oauth_scopes, ebay_publish_method, ebay_marketplace, promoted_campaign_id, promoted_campaign_name, promoted_ad_rate, (ebay_oauth_access_token IS NOT NULL) AS ebay_oauth_connected FROM users WHERE id = $1',
       [accountId]
     );
     const owner = ownerResult.rows[0] || {};
@@ -40,6 +48,12 @@ router.get('/', requireAuth, async (req, res) => {
       email:            profile.email || '',
       example_template: owner.example_template || '',
       role:             role,
+      // Everyone sees the promotion defaults so the draft ad-rate field can show them
+      promoted: {
+        campaign_id:   owner.promoted_campaign_id || null,
+        campaign_name: owner.promoted_campaign_name || null,
+        ad_rate:       owner.promoted_ad_rate !== null && owner.promoted_ad_rate !== undefined ? parseFloat(owner.promoted_ad_rate) : null,
+      },
     };
 
     // Only admins see eBay key info
@@ -50,7 +64,11 @@ router.get('/', requireAuth, async (req, res) => {
       response.ebay_oauth = {
         connected: !!owner.ebay_oauth_connected,
         username: owner.ebay_oauth_username || null,
+        // Connected before Promoted Listings needed sell.marketing
+        needs_reconnect: !!owner.ebay_oauth_connected && needsOAuthReconnect(owner.ebay_oauth_scopes),
       };
+      response.ebay_publish_method = owner.ebay_publish_method || 'trading';
+      response.ebay_marketplace = owner.ebay_marketplace || 'EBAY_US';
     }
 
     res.json(response);
@@ -66,7 +84,9 @@ router.put('/', requireAuth, async (req, res) => {
   const userId = req.session.userId;
   const accountId = req.session.accountId;
   const { first_name, last_name, company_name, email,
-          ebay_token, ebay_client_id, ebay_client_secret, example_template } = req.body;
+          ebay_token, ebay_client_id, ebay_client_secret, example_template,
+          ebay_publish_method, ebay_marketplace,
+          promoted_campaign_id, promoted_campaign_name, promoted_ad_rate } = req.body;
 
   try {
     // 1. Profile fields — any user can update their own profile
@@ -123,7 +143,63 @@ router.put('/', requireAuth, async (req, res) => {
       }
     }
 
-    // 3. Template — admin and publisher only, written to account owner's record
+    // 3. Publishing path (Trading AddItem vs Inventory API) — admin only
+    if (ebay_publish_method !== undefined) {
+      if (role !== 'admin') {
+        return res.status(403).json({ error: 'Only admins can change the publishing method' });
+      }
+      if (!PUBLISH_METHODS.includes(ebay_publish_method)) {
+        return res.status(400).json({ error: 'Invalid publishing method. Must be trading or inventory' });
+      }
+      if (ebay_publish_method === 'inventory') {
+        const oauthCheck = await pool.query(
+          'SELECT (ebay_oauth_access_token IS NOT NULL) AS connected FROM users WHERE id = $1',
+          [accountId]
+        );
+        if (!oauthCheck.rows[0]?.connected) {
+          return res.status(400).json({ error: 'Connect your eBay account before switching to Inventory API publishing' });
+        }
+      }
+      await pool.query(
+        'UPDATE users SET ebay_publish_method = $1, updated_at = NOW() WHERE id = $2',
+        [ebay_publish_method, accountId]
+      );
+    }
+
+    // 4. Default marketplace (site, currency, category tree, policies) — admin only
+    if (ebay_marketplace !== undefined) {
+      if (role !== 'admin') {
+        return res.status(403).json({ error: 'Only admins can change the default marketplace' });
+      }
+      if (!isMarketplace(ebay_marketplace)) {
+        return res.status(400).json({ error: `Invalid marketplace. Must be one of: ${Object.keys(MARKETPLACES).join(', ')}` });
+      }
+      await pool.query(
+        'UPDATE users SET ebay_marketplace = $1, updated_at = NOW() WHERE id = $2',
+        [ebay_marketplace, accountId]
+      );
+    }
+
+    // 5. Promoted Listings campaign + default ad rate — admin only; an empty campaign turns promotion off
+    if (promoted_campaign_id !== undefined || promoted_ad_rate !== undefined) {
+      if (role !== 'admin') {
+        return res.status(403).json({ error: 'Only admins can change Promoted Listings settings' });
+      }
+      const adRate = parseAdRate(promoted_ad_rate);
+      if (Number.isNaN(adRate)) {
+        return res.status(400).json({ error: `Ad rate must be 0 or between ${MIN_AD_RATE} and ${MAX_AD_RATE}` });
+      }
+      if (promoted_campaign_id && !adRate) {
+        return res.status(400).json({ error: 'Set a default ad rate for the Promoted Listings campaign' });
+      }
+      await pool.query(
+        `UPDATE users SET promoted_campaign_id = $1, promoted_campaign_name = $2, promoted_ad_rate = $3, updated_at = NOW()
+         WHERE id = $4`,
+        [promoted_campaign_id || null, promoted_campaign_id ? (promoted_campaign_name || null) : null, adRate, accountId]
+      );
+    }
+
+    // 6. Template — admin and publisher only, written to account owner's record
     if (example_template !== undefined) {
       if (role === 'operator') {
         return res.status(403).json({ error: 'Operators cannot update the listing template' });
@@ -141,4 +217,121 @@ router.put('/', requireAuth, async (req, res) => {
   }
 });
 
+// GET /api/config/listing-defaults — handling time, location, condition, policies and offer settings new drafts start with
+router.get('/listing-defaults', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, defaults: await loadListingDefaults(req.session.accountId) });
+  } catch (err) {
+    console.error('Get listing defaults error:', err);
+    res.status(500).json({ error: 'Failed to load listing defaults' });
+  }
+});
+
+// PUT /api/config/listing-defaults — admin only; applies to drafts created afterwards
+router.put('/listing-defaults', requireRole('admin'), async (req, res) => {
+  const parsed = parseListingDefaults(req.body, CONDITION_IDS);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  try {
+    await saveListingDefaults(req.session.accountId, parsed.defaults);
+    res.json({ success: true, defaults: await loadListingDefaults(req.session.accountId) });
+  } catch (err) {
+    console.error('Save listing defaults error:', err);
+    res.status(500).json({ error: 'Failed to save listing defaults' });
+  }
+});
+
+// GET /api/config/shipping-rules — weight/size bands that pick a shipping policy when a draft has none
+router.get('/shipping-rules', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, rules: await listRules(req.session.accountId) });
+  } catch (err) {
+    console.error('Get shipping rules error:', err);
+    res.status(500).json({ error: 'Failed to load shipping rules' });
+  }
+});
+
+// PUT /api/config/shipping-rules — replace the whole rule list (admin only); first match wins
+router.put('/shipping-rules', requireRole('admin'), async (req, res) => {
+  const parsed = parseRules(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  try {
+    await replaceRules(req.session.accountId, parsed.rules);
+    res.json({ success: true, rules: await listRules(req.session.accountId) });
+  } catch (err) {
+    console.error('Save shipping rules error:', err);
+    res.status(500).json({ error: 'Failed to save shipping rules' });
+  }
+});
+
+// GET /api/config/best-offer-rules — percentages and cost floors that fill Best Offer thresholds
+router.get('/best-offer-rules', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, rules: await bestOfferRules.listRules(req.session.accountId) });
+  } catch (err) {
+    console.error('Get Best Offer rules error:', err);
+    res.status(500).json({ error: 'Failed to load Best Offer rules' });
+  }
+});
+
+// PUT /api/config/best-offer-rules — replace the whole rule list (admin only); first match wins
+router.put('/best-offer-rules', requireRole('admin'), async (req, res) => {
+  const parsed = bestOfferRules.parseRules(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  try {
+    await bestOfferRules.replaceRules(req.session.accountId, parsed.rules);
+    res.json({ success: true, rules: await bestOfferRules.listRules(req.session.accountId) });
+  } catch (err) {
+    console.error('Save Best Offer rules error:', err);
+    res.status(500).json({ error: 'Failed to save Best Offer rules' });
+  }
+});
+
+// POST /api/config/best-offer-rules/evaluate — thresholds for a draft's price { price, cost, categoryId,
+// marketplaceId, priceRange }; `thresholds` is null when no rule matches
+router.post('/best-offer-rules/evaluate', requireAuth, async (req, res) => {
+  const { price, cost, categoryId, priceRange } = req.body;
+  const marketplaceId = isMarketplace(req.body.marketplaceId) ? req.body.marketplaceId : req.userConfig.ebayMarketplace;
+  try {
+    const thresholds = await bestOfferRules.bestOfferThresholds(req.session.accountId, {
+      marketplaceId, categoryId, price, cost, priceRange,
+    });
+    if (thresholds?.error) return res.json({ success: false, error: thresholds.error });
+    res.json({ success: true, thresholds });
+  } catch (err) {
+    console.error('Evaluate Best Offer rules error:', err);
+    res.status(500).json({ error: 'Failed to evaluate Best Offer rules' });
+  }
+});
+
+// POST /api/config/best-offer-rules/apply — re-apply the rules to unlisted drafts and live listings that
+// take offers. Drafts update right away; listings are revised on eBay as a background bulk revision.
+router.post('/best-offer-rules/apply', requireRole('admin', 'publisher'), async (req, res) => {
+  try {
+    const drafts = await bestOfferRules.applyRulesToDrafts(req.session.accountId);
+    const listings = await startBestOfferRevision(req.session.accountId, req.session.userId);
+    res.json({ success: true, drafts, listings });
+  } catch (err) {
+    console.error('Apply Best Offer rules error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/config/ai — AI tasks with the provider and model each uses for this account
+router.get('/ai', requireAuth, (req, res) => {
+  res.json({ success: true, ...describeAiSettings(req.userConfig.aiSettings) });
+});
+
+// PUT /api/config/ai — assign providers/models to tasks (admin only); a task left out uses the default
+router.put('/ai', requireRole('admin'), async (req, res) => {
+  const parsed = parseAiSettings(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  try {
+    await pool.query('UPDATE users SET ai_settings = $1, updated_at = NOW() WHERE id = $2', [JSON.stringify(parsed.settings), req.session.accountId]);
+    res.json({ success: true, ...describeAiSettings(parsed.settings) });
+  } catch (err) {
+    console.error('Save AI settings error:', err);
+    res.status(500).json({ error: 'Failed to save AI settings' });
+  }
+});
+
 module.exports = router;
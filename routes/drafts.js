@@ -1,6 +1,15 @@
 const express = require('express');
 const pool = require('../db');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { LISTING_FORMATS, AUCTION_DURATIONS, addListingQuantity } = require('../ebay-publish');
+const { findDuplicates } = require('../duplicates');
+const { ACTIVE_STATES, enqueueDrafts } = require('../publish-queue');
+const { isMarketplace } = require('../marketplaces');
+const { PACKAGE_TYPES } = require('../shipping-rules');
+const { MIN_AD_RATE, MAX_AD_RATE, parseAdRate } = require('../promoted-listings');
+const { HANDLING_TIMES, createDrafts } = require('../listing-defaults');
+const { LOCKED_DRAFT_STATUSES, DraftLockedError, generateListing, verifyListing } = require('../listing-generation');
+const { AiError } = require('../ai-providers');
 const router = express.Router();
 
 // POST /api/drafts — batch create drafts after product identification
@@ -20,32 +29,8 @@ router.post('/', requireAuth, async (req, res) => {
   }
 
   try {
-    const createdIds = [];
-
-    for (const draft of drafts) {
-      const result = await pool.query(
-        `INSERT INTO drafts (account_id, created_by, product_name, brand, confidence, status)
-         VALUES ($1, $2, $3, $4, $5, 'pending')
-         RETURNING id`,
-        [accountId, userId, draft.productName, draft.brand || null, draft.confidence || 0]
-      );
-      const draftId = result.rows[0].id;
-      createdIds.push(draftId);
-
-      // Insert images
-      if (draft.images && draft.images.length > 0) {
-        for (let i = 0; i < draft.images.length; i++) {
-          const img = draft.images[i];
-          await pool.query(
-            `INSERT INTO draft_images (draft_id, image_index, base64_data, filename, mime_type)
-             VALUES ($1, $2, $3, $4, $5)`,
-            [draftId, i, img.base64, img.filename || 'image.jpg', img.mimeType || 'image/jpeg']
-          );
-        }
-      }
-    }
-
-    res.json({ success: true, ids: createdIds });
+    const { ids, defaults } = await createDrafts(accountId, userId, drafts);
+    res.json({ success: true, ids, defaults });
   } catch (err) {
     console.error('Create drafts error:', err);
     res.status(500).json({ error: 'Failed to create drafts' });
@@ -153,6 +138,70 @@ router.get('/images/:imageId/base64', requireAuth, async (req, res) => {
   }
 });
 
+// POST /api/drafts/publish — queue many drafts for server-side publishing
+router.post('/publish', requireAuth, requireRole('admin', 'publisher'), async (req, res) => {
+  const accountId = req.session.accountId;
+  const draftIds = [...new Set((Array.isArray(req.body.draftIds) ? req.body.draftIds : []).map(id => parseInt(id)).filter(Boolean))];
+  if (draftIds.length === 0) {
+    return res.status(400).json({ error: 'No drafts provided' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT d.id, d.status, d.variation_parent_id,
+              EXISTS (SELECT 1 FROM publish_queue q WHERE q.draft_id = d.id AND q.status = ANY($3)) AS queued
+       FROM drafts d
+       WHERE d.id = ANY($1) AND d.account_id = $2`,
+      [draftIds, accountId, ACTIVE_STATES]
+    );
+
+    // Queue what can be published and report why the rest was skipped
+    const skipped = [];
+    const queueable = [];
+    for (const id of draftIds) {
+      const draft = result.rows.find(r => r.id === id);
+      if (!draft) skipped.push({ draftId: id, reason: 'Draft not found' });
+      else if (draft.queued) skipped.push({ draftId: id, reason: 'Already queued' });
+      else if (draft.status !== 'ready') skipped.push({ draftId: id, reason: `Draft is ${draft.status}, not ready` });
+      else if (draft.variation_parent_id) skipped.push({ draftId: id, reason: `Variation of draft #${draft.variation_parent_id} — publish that draft instead` });
+      else queueable.push(id);
+    }
+    if (queueable.length === 0) {
+      return res.status(400).json({ success: false, error: 'None of the drafts can be queued', skipped });
+    }
+
+    const batchId = await enqueueDrafts(queueable, { accountId, userId: req.session.userId });
+    res.json({ success: true, batchId, queued: queueable, skipped });
+  } catch (err) {
+    console.error('Queue publish error:', err);
+    res.status(500).json({ error: 'Failed to queue drafts' });
+  }
+});
+
+// GET /api/drafts/publish — per-draft progress of the account's publish queue (active jobs plus the last hour)
+router.get('/publish', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT q.id, q.batch_id, q.draft_id, q.status, q.attempts, q.next_attempt_at, q.last_error,
+              q.ebay_item_id, q.created_at, q.finished_at,
+              COALESCE(d.generated_title, d.product_name) AS title,
+              u.first_name AS queued_by_first_name
+       FROM publish_queue q
+       JOIN drafts d ON d.id = q.draft_id
+       LEFT JOIN users u ON u.id = q.queued_by
+       WHERE q.account_id = $1
+         AND (q.status = ANY($2) OR q.finished_at > NOW() - INTERVAL '1 hour')
+       ORDER BY q.created_at DESC, q.id ASC
+       LIMIT 500`,
+      [req.session.accountId, ACTIVE_STATES]
+    );
+    res.json({ success: true, jobs: result.rows });
+  } catch (err) {
+    console.error('Fetch publish queue error:', err);
+    res.status(500).json({ error: 'Failed to load publish queue' });
+  }
+});
+
 // PUT /api/drafts/:id — update a draft
 router.put('/:id', requireAuth, async (req, res) => {
   const draftId = parseInt(req.params.id);
@@ -161,13 +210,69 @@ router.put('/:id', requireAuth, async (req, res) => {
   try {
     // Verify draft belongs to same account
     const check = await pool.query(
-      'SELECT id FROM drafts WHERE id = $1 AND account_id = $2',
+      'SELECT id, status FROM drafts WHERE id = $1 AND account_id = $2',
       [draftId, accountId]
     );
     if (check.rows.length === 0) {
       return res.status(404).json({ error: 'Draft not found' });
     }
 
+    // Scheduling a publish — admin and publisher only
+    const { scheduled_at } = req.body;
+    if (scheduled_at !== undefined && scheduled_at !== null) {
+      if (req.session.role === 'operator') {
+        return res.status(403).json({ error: 'Operators cannot schedule publishing' });
+      }
+      if (isNaN(new Date(scheduled_at).getTime())) {
+        return res.status(400).json({ error: 'Invalid scheduled_at date' });
+      }
+    }
+
+    const { listing_format, listing_duration } = req.body;
+    if (listing_format !== undefined && !LISTING_FORMATS.includes(listing_format)) {
+      return res.status(400).json({ error: `Invalid listing_format. Must be one of: ${LISTING_FORMATS.join(', ')}` });
+    }
+    if (listing_duration && !AUCTION_DURATIONS.includes(listing_duration)) {
+      return res.status(400).json({ error: `Invalid listing_duration. Must be one of: ${AUCTION_DURATIONS.join(', ')}` });
+    }
+    // marketplace_id overrides the account default; empty means "use the default"
+    if (req.body.marketplace_id && !isMarketplace(req.body.marketplace_id)) {
+      return res.status(400).json({ error: 'Invalid marketplace_id' });
+    }
+    // promoted_ad_rate overrides the account's default ad rate; 0 keeps the listing out of the campaign
+    if (Number.isNaN(parseAdRate(req.body.promoted_ad_rate))) {
+      return res.status(400).json({ error: `promoted_ad_rate must be 0 or between ${MIN_AD_RATE} and ${MAX_AD_RATE}` });
+    }
+    if (req.body.handling_time !== undefined && req.body.handling_time !== null && req.body.handling_time !== ''
+        && !HANDLING_TIMES.includes(parseInt(req.body.handling_time))) {
+      return res.status(400).json({ error: `Invalid handling_time. Must be one of: ${HANDLING_TIMES.join(', ')}` });
+    }
+    if (req.body.epid && !/^\d{1,20}$/.test(req.body.epid)) {
+      return res.status(400).json({ error: 'Invalid epid' });
+    }
+    if (req.body.package_type && !PACKAGE_TYPES[req.body.package_type]) {
+      return res.status(400).json({ error: `Invalid package_type. Must be one of: ${Object.keys(PACKAGE_TYPES).join(', ')}` });
+    }
+
+    // A draft the scheduler already listed stays listed, even if an open tab still thinks it's ready
+    if (check.rows[0].status === 'listed') {
+      delete req.body.status;
+      delete req.body.ebay_item_id;
+      delete req.body.scheduled_at;
+    }
+    // Likewise, the publish queue owns the status of a draft it is working on
+    if (check.rows[0].status === 'listing') {
+      const queued = await pool.query(
+        'SELECT 1 FROM publish_queue WHERE draft_id = $1 AND status = ANY($2)',
+        [draftId, ACTIVE_STATES]
+      );
+      if (queued.rows.length > 0) {
+        delete req.body.status;
+        delete req.body.ebay_item_id;
+        delete req.body.publish_error;
+      }
+    }
+
     const allowedFields = [
       ['status', 'status'],
       ['generated_title', 'generated_title'],
@@ -187,12 +292,35 @@ router.put('/:id', requireAuth, async (req, res) => {
       ['best_offer_enabled', 'best_offer_enabled'],
       ['auto_accept_price', 'auto_accept_price'],
       ['min_best_offer_price', 'min_best_offer_price'],
+      ['cost', 'cost'],
       ['auto_pay', 'auto_pay'],
       ['claude_verified', 'claude_verified'],
       ['ebay_item_id', 'ebay_item_id'],
       ['price_range', 'price_range'],
       ['product_name', 'product_name'],
       ['brand', 'brand'],
+      ['scheduled_at', 'scheduled_at'],
+      ['publish_error', 'publish_error'],
+      ['listing_format', 'listing_format'],
+      ['listing_duration', 'listing_duration'],
+      ['reserve_price', 'reserve_price'],
+      ['buy_it_now_price', 'buy_it_now_price'],
+      ['variation_specifics', 'variation_specifics'],
+      ['marketplace_id', 'marketplace_id'],
+      ['package_weight_lbs', 'package_weight_lbs'],
+      ['package_length_in', 'package_length_in'],
+      ['package_width_in', 'package_width_in'],
+      ['package_depth_in', 'package_depth_in'],
+      ['package_type', 'package_type'],
+      ['promoted_ad_rate', 'promoted_ad_rate'],
+      ['payment_policy_id', 'payment_policy_id'],
+      ['handling_time', 'handling_time'],
+      ['item_location', 'item_location'],
+      ['postal_code', 'postal_code'],
+      ['private_listing', 'private_listing'],
+      ['epid', 'epid'],
+      ['catalog_product', 'catalog_product'],
+      ['use_stock_photo', 'use_stock_photo'],
     ];
 
     const updates = [];
@@ -204,11 +332,16 @@ router.put('/:id', requireAuth, async (req, res) => {
         updates.push(`"${col}" = $${idx}`);
         let val = req.body[bodyKey];
         // Handle JSONB fields
-        if ((col === 'item_aspects' || col === 'price_range') && val && typeof val === 'object') {
+        if ((col === 'item_aspects' || col === 'price_range' || col === 'variation_specifics' || col === 'catalog_product') && val && typeof val === 'object') {
           val = JSON.stringify(val);
         }
         // Handle null-ish numeric fields
-        if ((col === 'price' || col === 'auto_accept_price' || col === 'min_best_offer_price') && (val === '' || val === null)) {
+        if (['price', 'auto_accept_price', 'min_best_offer_price', 'reserve_price', 'buy_it_now_price',
+             'package_weight_lbs', 'package_length_in', 'package_width_in', 'package_depth_in',
+             'promoted_ad_rate', 'handling_time', 'cost'].includes(col) && (val === '' || val === null)) {
+          val = null;
+        }
+        if ((col === 'scheduled_at' || col === 'listing_duration' || col === 'marketplace_id' || col === 'package_type' || col === 'epid') && val === '') {
           val = null;
         }
         values.push(val);
@@ -220,6 +353,14 @@ router.put('/:id', requireAuth, async (req, res) => {
       return res.json({ success: true, message: 'No changes' });
     }
 
+    // Record who scheduled the draft, and clear the last failure when it's rescheduled
+    if (req.body.scheduled_at) {
+      updates.push(`scheduled_by = $${idx}`);
+      values.push(req.session.userId);
+      idx++;
+      updates.push('publish_error = NULL');
+    }
+
     updates.push('updated_at = NOW()');
     values.push(draftId);
 
@@ -235,6 +376,217 @@ router.put('/:id', requireAuth, async (req, res) => {
   }
 });
 
+// POST /api/drafts/:id/variations — group other drafts under this one as variations of a single listing
+router.post('/:id/variations', requireAuth, async (req, res) => {
+  const parentId = parseInt(req.params.id);
+  const accountId = req.session.accountId;
+  const draftIds = (Array.isArray(req.body.draftIds) ? req.body.draftIds : [])
+    .map(id => parseInt(id))
+    .filter(id => id && id !== parentId);
+  if (draftIds.length === 0) {
+    return res.status(400).json({ error: 'No drafts provided' });
+  }
+
+  try {
+    const parent = await pool.query(
+      'SELECT id, status, variation_parent_id FROM drafts WHERE id = $1 AND account_id = $2',
+      [parentId, accountId]
+    );
+    if (parent.rows.length === 0) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+    if (['listed', 'rejected'].includes(parent.rows[0].status)) {
+      return res.status(400).json({ error: 'Listed or rejected drafts cannot be grouped' });
+    }
+    if (parent.rows[0].variation_parent_id) {
+      return res.status(400).json({ error: 'This draft is already a variation of another draft' });
+    }
+
+    const children = await pool.query(
+      `SELECT d.id, d.status,
+              EXISTS (SELECT 1 FROM drafts c WHERE c.variation_parent_id = d.id) AS has_children
+       FROM drafts d WHERE d.id = ANY($1) AND d.account_id = $2`,
+      [draftIds, accountId]
+    );
+    if (children.rows.length !== draftIds.length) {
+      return res.status(404).json({ error: 'One or more drafts not found' });
+    }
+    if (children.rows.some(c => ['listed', 'rejected'].includes(c.status))) {
+      return res.status(400).json({ error: 'Listed or rejected drafts cannot be grouped' });
+    }
+    if (children.rows.some(c => c.has_children)) {
+      return res.status(400).json({ error: 'A draft that already has variations cannot become a variation itself' });
+    }
+
+    await pool.query(
+      'UPDATE drafts SET variation_parent_id = $1, updated_at = NOW() WHERE id = ANY($2) AND account_id = $3',
+      [parentId, draftIds, accountId]
+    );
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Group variations error:', err);
+    res.status(500).json({ error: 'Failed to group drafts' });
+  }
+});
+
+// DELETE /api/drafts/:id/variations — take a draft out of its variation group (or dissolve the group it leads)
+router.delete('/:id/variations', requireAuth, async (req, res) => {
+  const draftId = parseInt(req.params.id);
+  const accountId = req.session.accountId;
+
+  try {
+    const check = await pool.query(
+      'SELECT id FROM drafts WHERE id = $1 AND account_id = $2',
+      [draftId, accountId]
+    );
+    if (check.rows.length === 0) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+
+    await pool.query(
+      `UPDATE drafts SET variation_parent_id = NULL, updated_at = NOW()
+       WHERE account_id = $1 AND (id = $2 OR variation_parent_id = $2)`,
+      [accountId, draftId]
+    );
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Ungroup variations error:', err);
+    res.status(500).json({ error: 'Failed to ungroup drafts' });
+  }
+});
+
+async function loadEditableDraft(req, res) {
+  const result = await pool.query(
+    'SELECT * FROM drafts WHERE id = $1 AND account_id = $2',
+    [parseInt(req.params.id), req.session.accountId]
+  );
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Draft not found' });
+    return null;
+  }
+  if (LOCKED_DRAFT_STATUSES.includes(result.rows[0].status)) {
+    res.status(409).json({ error: `Draft is ${result.rows[0].status}` });
+    return null;
+  }
+  return result.rows[0];
+}
+
+// AI failures keep their status; `fields` lists per-field problems when a reply never validated.
+// A draft locked while its listing was written is a 409, like one locked beforehand.
+function sendGenerationError(res, err, action) {
+  if (err instanceof AiError) return res.status(err.status).json({ error: err.message, fields: err.fieldErrors });
+  if (err instanceof DraftLockedError) return res.status(409).json({ error: err.message });
+  console.error(`${action} error:`, err);
+  res.status(500).json({ error: `Failed to ${action.toLowerCase()}` });
+}
+
+// POST /api/drafts/:id/generate — write the draft's title, description, category and item suggestions
+// Body (optional): { verify, labels, webEntities } — verify straight after; image recognition hints
+router.post('/:id/generate', requireAuth, async (req, res) => {
+  try {
+    const draft = await loadEditableDraft(req, res);
+    if (!draft) return;
+    const { verify, labels, webEntities } = req.body || {};
+    res.json({ success: true, ...(await generateListing(draft, req.userConfig, { verify: !!verify, labels, webEntities })) });
+  } catch (err) {
+    sendGenerationError(res, err, 'Generate listing');
+  }
+});
+
+// POST /api/drafts/:id/verify — review and enrich the draft's generated listing
+// Body (optional): { labels, webEntities }
+router.post('/:id/verify', requireAuth, async (req, res) => {
+  try {
+    const draft = await loadEditableDraft(req, res);
+    if (!draft) return;
+    if (!draft.generated_title || !draft.generated_html) {
+      return res.status(400).json({ error: 'Generate a listing first before verifying.' });
+    }
+    const { labels, webEntities } = req.body || {};
+    res.json({ success: true, ...(await verifyListing(draft, req.userConfig, { labels, webEntities })) });
+  } catch (err) {
+    sendGenerationError(res, err, 'Verify listing');
+  }
+});
+
+// GET /api/drafts/:id/duplicates — live listings that may already be this item (checked before publishing)
+router.get('/:id/duplicates', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM drafts WHERE id = $1 AND account_id = $2',
+      [parseInt(req.params.id), req.session.accountId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+    const { duplicates, ebayError } = await findDuplicates(result.rows[0], req.userConfig);
+    res.json({ success: true, duplicates, confirmed: result.rows[0].duplicates_confirmed, ebayError });
+  } catch (err) {
+    console.error('Duplicate check error:', err);
+    res.status(500).json({ error: 'Failed to check for duplicates' });
+  }
+});
+
+// POST /api/drafts/:id/duplicates/confirm — publish this draft even though it looks like a duplicate
+router.post('/:id/duplicates/confirm', requireAuth, requireRole('admin', 'publisher'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE drafts SET duplicates_confirmed = true, updated_at = NOW() WHERE id = $1 AND account_id = $2 RETURNING id',
+      [parseInt(req.params.id), req.session.accountId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Confirm duplicate error:', err);
+    res.status(500).json({ error: 'Failed to confirm draft' });
+  }
+});
+
+// POST /api/drafts/:id/merge — add the draft's quantity to an existing live listing instead of publishing it
+router.post('/:id/merge', requireAuth, requireRole('admin', 'publisher'), async (req, res) => {
+  const draftId = parseInt(req.params.id);
+  const accountId = req.session.accountId;
+
+  try {
+    const draftResult = await pool.query(
+      `SELECT d.*, EXISTS (SELECT 1 FROM drafts c WHERE c.variation_parent_id = d.id) AS has_children
+       FROM drafts d WHERE d.id = $1 AND d.account_id = $2`,
+      [draftId, accountId]
+    );
+    const draft = draftResult.rows[0];
+    if (!draft) return res.status(404).json({ error: 'Draft not found' });
+    if (['listed', 'listing'].includes(draft.status)) {
+      return res.status(400).json({ error: `Draft is already ${draft.status}` });
+    }
+    if (draft.variation_parent_id || draft.has_children) {
+      return res.status(400).json({ error: 'Variation groups cannot be merged into another listing' });
+    }
+
+    const listingResult = await pool.query(
+      `SELECT * FROM listings WHERE id = $1 AND account_id = $2 AND status = 'active'`,
+      [parseInt(req.body.listingId), accountId]
+    );
+    const listing = listingResult.rows[0];
+    if (!listing) return res.status(404).json({ error: 'Listing not found or no longer active' });
+    if (listing.variation_specifics || listing.listing_format === 'Chinese') {
+      return res.status(400).json({ error: 'Quantity can only be added to a single-item Buy It Now listing' });
+    }
+
+    const updated = await addListingQuantity(req.userConfig, listing, parseInt(draft.quantity) || 1);
+    await pool.query(
+      `UPDATE drafts SET status = 'listed', ebay_item_id = $1, publish_error = NULL, scheduled_at = NULL, updated_at = NOW()
+       WHERE id = $2`,
+      [listing.ebay_item_id, draftId]
+    );
+    res.json({ success: true, listing: updated });
+  } catch (err) {
+    console.error('Merge draft error:', err);
+    res.json({ success: false, error: err.message });
+  }
+});
+
 // DELETE /api/drafts/:id — reject/remove a draft
 router.delete('/:id', requireAuth, async (req, res) => {
   const draftId = parseInt(req.params.id);
@@ -2,17 +2,9 @@ const express = require('express');
 const crypto = require('crypto');
 const pool = require('../db');
 const { encrypt } = require('../crypto-utils');
-const { requireAuth, requireRole } = require('../middleware/auth');
+const { EBAY_OAUTH_SCOPES, requireAuth, requireRole } = require('../middleware/auth');
 const router = express.Router();
 
-const EBAY_OAUTH_SCOPES = [
-  'https://api.ebay.com/oauth/api_scope',
-  'https://api.ebay.com/oauth/api_scope/sell.inventory',
-  'https://api.ebay.com/oauth/api_scope/sell.account',
-  'https://api.ebay.com/oauth/api_scope/sell.fulfillment',
-  'https://api.ebay.com/oauth/api_scope/commerce.identity.readonly',
-].join(' ');
-
 // GET /api/ebay/oauth/initiate — start eBay 3-legged OAuth flow (admin only)
 router.get('/initiate', requireAuth, requireRole('admin'), (req, res) => {
   const clientId = process.env.EBAY_APP_CLIENT_ID;
@@ -29,7 +21,7 @@ router.get('/initiate', requireAuth, requireRole('admin'), (req, res) => {
     client_id: clientId,
     response_type: 'code',
     redirect_uri: ruName,
-    scope: EBAY_OAUTH_SCOPES,
+    scope: EBAY_OAUTH_SCOPES.join(' '),
     state: state,
   });
 
@@ -123,13 +115,15 @@ router.get('/callback', requireAuth, async (req, res) => {
         ebay_oauth_refresh_token = $2,
         ebay_oauth_token_expiry = $3,
         ebay_oauth_username = $4,
+        ebay_oauth_scopes = $5,
         updated_at = NOW()
-      WHERE id = $5`,
+      WHERE id = $6`,
       [
         encrypt(accessToken),
         refreshToken ? encrypt(refreshToken) : null,
         tokenExpiry,
         ebayUsername,
+        EBAY_OAUTH_SCOPES.join(' '),
         accountId,
       ]
     );
@@ -152,6 +146,8 @@ router.post('/disconnect', requireAuth, requireRole('admin'), async (req, res) =
         ebay_oauth_refresh_token = NULL,
         ebay_oauth_token_expiry = NULL,
         ebay_oauth_username = NULL,
+        ebay_oauth_scopes = NULL,
+        ebay_publish_method = 'trading',
         updated_at = NOW()
       WHERE id = $1`,
       [accountId]
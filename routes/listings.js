@@ -1,12 +1,24 @@
 const express = require('express');
 const pool = require('../db');
+const { requireRole } = require('../middleware/auth');
+const { escapeXml } = require('../ebay-utils');
+const { tradingCall, TradingError } = require('../ebay-trading');
+const { reviseListing, withdrawInventoryListing } = require('../ebay-publish');
+const { getMarketplace } = require('../marketplaces');
+const { reconcileAccount } = require('../reconcile');
+const { parseBulkRequest, previewBulkRevision, startBulkRevision } = require('../bulk-revise');
 const router = express.Router();
 
+// EndingReason codes accepted by EndFixedPriceItem / EndItem
+const END_REASONS = ['NotAvailable', 'Incorrect', 'LostOrBroken', 'OtherListingError', 'Sold'];
+
 // GET /api/listings/recent — last 20 listings for the account (shared queue)
 router.get('/recent', async (req, res) => {
   try {
     const result = await pool.query(
       `SELECT l.id, l.ebay_item_id, l.title, l.price, l.thumbnail_url, l.created_at,
+              l.quantity, l.sku, l.status, l.end_reason, l.ended_at, l.listing_format, l.variation_specifics, l.marketplace_id,
+              l.quantity_sold, l.watch_count, l.promoted_ad_rate, l.promote_error,
               u.first_name AS created_by_first_name, u.last_name AS created_by_last_name
        FROM listings l
        JOIN users u ON u.id = l.user_id
@@ -43,4 +55,223 @@ router.get('/count', async (req, res) => {
   }
 });
 
+// Most recent finished reconciliation run for the account
+async function latestReconciliation(accountId) {
+  const result = await pool.query(
+    `SELECT id, started_at, finished_at, checked, updated, ended, reactivated, unknown_listings, error
+     FROM listing_reconciliations
+     WHERE account_id = $1 AND finished_at IS NOT NULL
+     ORDER BY started_at DESC
+     LIMIT 1`,
+    [accountId]
+  );
+  return result.rows[0] || null;
+}
+
+// GET /api/listings/reconcile — latest reconciliation report for the account
+router.get('/reconcile', async (req, res) => {
+  try {
+    res.json({ success: true, report: await latestReconciliation(req.session.accountId) });
+  } catch (err) {
+    console.error('Fetch reconciliation report error:', err);
+    res.status(500).json({ success: false, error: 'Failed to load reconciliation report' });
+  }
+});
+
+// POST /api/listings/reconcile — refresh every listing from eBay now
+router.post('/reconcile', requireRole('admin', 'publisher'), async (req, res) => {
+  try {
+    await reconcileAccount(req.session.accountId);
+    res.json({ success: true, report: await latestReconciliation(req.session.accountId) });
+  } catch (err) {
+    console.error('Reconcile listings error:', err);
+    res.json({ success: false, error: err.message });
+  }
+});
+
+// GET /api/listings/creators — team members who have created listings (bulk-revise creator filter)
+router.get('/creators', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT DISTINCT u.id, u.first_name, u.last_name
+       FROM listings l
+       JOIN users u ON u.id = l.user_id
+       WHERE l.account_id = $1
+       ORDER BY u.first_name, u.last_name`,
+      [req.session.accountId]
+    );
+    res.json({ success: true, creators: result.rows });
+  } catch (err) {
+    console.error('Fetch listing creators error:', err);
+    res.status(500).json({ success: false, error: 'Failed to load creators' });
+  }
+});
+
+// POST /api/listings/bulk-revise/preview — listings the filters match and what each would change to
+router.post('/bulk-revise/preview', requireRole('admin', 'publisher'), async (req, res) => {
+  const request = parseBulkRequest(req.body);
+  if (request.error) return res.status(400).json({ error: request.error });
+  try {
+    const preview = await previewBulkRevision(req.session.accountId, request);
+    res.json({ success: true, ...preview });
+  } catch (err) {
+    console.error('Bulk revise preview error:', err);
+    res.status(500).json({ success: false, error: 'Failed to build preview' });
+  }
+});
+
+// POST /api/listings/bulk-revise — apply a bulk revision; runs in the background, poll GET /bulk-revise/:id
+router.post('/bulk-revise', requireRole('admin', 'publisher'), async (req, res) => {
+  const request = parseBulkRequest(req.body);
+  if (request.error) return res.status(400).json({ error: request.error });
+  try {
+    const revisionId = await startBulkRevision(req.session.accountId, req.session.userId, request);
+    res.json({ success: true, id: revisionId });
+  } catch (err) {
+    console.error('Bulk revise error:', err);
+    res.json({ success: false, error: err.message });
+  }
+});
+
+// GET /api/listings/bulk-revise — recent bulk revision runs for the account
+router.get('/bulk-revise', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT r.id, r.filters, r.changes, r.status, r.total, r.succeeded, r.failed, r.created_at, r.finished_at,
+              u.first_name AS created_by_first_name
+       FROM bulk_revisions r
+       LEFT JOIN users u ON u.id = r.created_by
+       WHERE r.account_id = $1
+       ORDER BY r.created_at DESC
+       LIMIT 20`,
+      [req.session.accountId]
+    );
+    res.json({ success: true, revisions: result.rows });
+  } catch (err) {
+    console.error('Fetch bulk revisions error:', err);
+    res.status(500).json({ success: false, error: 'Failed to load bulk revisions' });
+  }
+});
+
+// GET /api/listings/bulk-revise/:id — one run with its per-item results
+router.get('/bulk-revise/:id', async (req, res) => {
+  try {
+    const run = await pool.query(
+      `SELECT r.id, r.filters, r.changes, r.status, r.total, r.succeeded, r.failed, r.created_at, r.finished_at,
+              u.first_name AS created_by_first_name
+       FROM bulk_revisions r
+       LEFT JOIN users u ON u.id = r.created_by
+       WHERE r.id = $1 AND r.account_id = $2`,
+      [parseInt(req.params.id), req.session.accountId]
+    );
+    if (run.rows.length === 0) return res.status(404).json({ error: 'Bulk revision not found' });
+    const items = await pool.query(
+      `SELECT id, listing_id, ebay_item_id, title, sku, old_price, new_price, old_quantity, new_quantity,
+              new_auto_accept_price, new_min_best_offer_price, status, error, processed_at
+       FROM bulk_revision_items WHERE revision_id = $1 ORDER BY id`,
+      [run.rows[0].id]
+    );
+    res.json({ success: true, revision: { ...run.rows[0], items: items.rows } });
+  } catch (err) {
+    console.error('Fetch bulk revision error:', err);
+    res.status(500).json({ success: false, error: 'Failed to load bulk revision' });
+  }
+});
+
+// Load a listing row scoped to the caller's account
+async function findListing(listingId, accountId) {
+  const result = await pool.query(
+    'SELECT * FROM listings WHERE id = $1 AND account_id = $2',
+    [listingId, accountId]
+  );
+  return result.rows[0] || null;
+}
+
+// POST /api/listings/:id/revise — revise a live listing (ReviseFixedPriceItem / ReviseItem for auctions, or Inventory API for SKU-managed listings)
+router.post('/:id/revise', requireRole('admin', 'publisher'), async (req, res) => {
+  const token = req.userConfig.ebayOAuthToken || req.userConfig.ebayToken;
+  if (!token) return res.json({ success: false, error: 'eBay token not configured. Go to Settings.' });
+
+  const { title, description, price, quantity, itemSpecifics } = req.body;
+
+  try {
+    const listing = await findListing(parseInt(req.params.id), req.session.accountId);
+    if (!listing) return res.status(404).json({ error: 'Listing not found' });
+    if (listing.status === 'ended') {
+      return res.status(400).json({ error: 'This listing has ended and can no longer be revised' });
+    }
+
+    if (price !== undefined && !(parseFloat(price) > 0)) {
+      return res.status(400).json({ error: 'Price must be greater than zero' });
+    }
+    if (quantity !== undefined && (!Number.isInteger(parseInt(quantity)) || parseInt(quantity) < 0)) {
+      return res.status(400).json({ error: 'Quantity must be zero or more' });
+    }
+
+    if (listing.listing_format === 'Chinese' && quantity !== undefined) {
+      return res.status(400).json({ error: 'Auction quantity cannot be revised' });
+    }
+
+    if (!title && !description && price === undefined && quantity === undefined && !itemSpecifics) {
+      return res.status(400).json({ error: 'Nothing to revise' });
+    }
+
+    const updated = await reviseListing(req.userConfig, listing, { title, description, price, quantity, itemSpecifics });
+    res.json({ success: true, listing: updated });
+  } catch (err) {
+    console.error('Revise listing error:', err);
+    res.json({ success: false, error: err.message });
+  }
+});
+
+// POST /api/listings/:id/end — end a live listing (EndFixedPriceItem / EndItem for auctions, or withdraw the Inventory API offer)
+router.post('/:id/end', requireRole('admin', 'publisher'), async (req, res) => {
+  const token = req.userConfig.ebayOAuthToken || req.userConfig.ebayToken;
+  if (!token) return res.json({ success: false, error: 'eBay token not configured. Go to Settings.' });
+
+  const reason = req.body.reason || 'NotAvailable';
+  if (!END_REASONS.includes(reason)) {
+    return res.status(400).json({ error: `Invalid reason. Must be one of: ${END_REASONS.join(', ')}` });
+  }
+
+  try {
+    const listing = await findListing(parseInt(req.params.id), req.session.accountId);
+    if (!listing) return res.status(404).json({ error: 'Listing not found' });
+    if (listing.status === 'ended') {
+      return res.status(400).json({ error: 'This listing has already ended' });
+    }
+
+    if (listing.offer_id) {
+      // Published through the Inventory API — withdraw the offer instead
+      if (!req.userConfig.ebayOAuthToken) {
+        return res.json({ success: false, error: 'This listing was published through the Inventory API. Connect eBay in Settings to end it.' });
+      }
+      await withdrawInventoryListing(req.userConfig.ebayOAuthToken, listing);
+    } else {
+      const callName = listing.listing_format === 'Chinese' ? 'EndItem' : 'EndFixedPriceItem';
+      const response = await tradingCall(callName, token, [
+        `  <ItemID>${escapeXml(listing.ebay_item_id)}</ItemID>`,
+        `  <EndingReason>${reason}</EndingReason>`,
+      ], { siteId: getMarketplace(listing.marketplace_id).siteId });
+      // Already ended on eBay (1047) — record it here too instead of failing
+      if (!response.success && !response.hasError('1047')) {
+        return res.json({ success: false, error: new TradingError(response, 'End listing failed').message, errors: response.errors });
+      }
+    }
+
+    // Ending a multi-variation listing ends every variation row along with it
+    const updated = await pool.query(
+      `UPDATE listings SET status = 'ended', end_reason = $1, ended_at = NOW(), updated_at = NOW()
+       WHERE id = $2 OR (variation_specifics IS NOT NULL AND account_id = $3 AND ebay_item_id = $4)
+       RETURNING id, ebay_item_id, status, end_reason, ended_at`,
+      [reason, listing.id, req.session.accountId, listing.ebay_item_id]
+    );
+
+    res.json({ success: true, listing: updated.rows.find(r => r.id === listing.id) });
+  } catch (err) {
+    console.error('End listing error:', err);
+    res.json({ success: false, error: err.message });
+  }
+});
+
 module.exports = router;
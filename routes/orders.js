@@ -0,0 +1,42 @@
+const express = require('express');
+const pool = require('../db');
+const { syncAccountOrders } = require('../order-sync');
+const router = express.Router();
+
+// GET /api/orders?view=to-ship|all — synced eBay orders, one row per line item
+router.get('/', async (req, res) => {
+  const toShip = req.query.view !== 'all';
+  try {
+    const result = await pool.query(
+      `SELECT o.id, o.ebay_order_id, o.line_item_id, o.ebay_item_id, o.sku, o.title, o.quantity,
+              o.buyer_username, o.buyer_name, o.total, o.currency, o.fulfillment_status,
+              o.payment_status, o.cancelled, o.ship_by_date, o.ordered_at,
+              l.id AS listing_id, l.thumbnail_url, l.variation_specifics, l.marketplace_id
+       FROM orders o
+       LEFT JOIN listings l ON l.id = o.listing_id
+       WHERE o.account_id = $1
+         ${toShip ? `AND o.fulfillment_status <> 'FULFILLED' AND NOT o.cancelled` : ''}
+       ORDER BY ${toShip ? 'o.ship_by_date ASC NULLS LAST' : 'o.ordered_at DESC'}
+       LIMIT 200`,
+      [req.session.accountId]
+    );
+    const syncResult = await pool.query('SELECT orders_synced_at FROM users WHERE id = $1', [req.session.accountId]);
+    res.json({ success: true, orders: result.rows, synced_at: syncResult.rows[0]?.orders_synced_at || null });
+  } catch (err) {
+    console.error('Fetch orders error:', err);
+    res.status(500).json({ success: false, error: 'Failed to load orders' });
+  }
+});
+
+// POST /api/orders/sync — pull new orders now instead of waiting for the next sync
+router.post('/sync', async (req, res) => {
+  try {
+    const result = await syncAccountOrders(req.session.accountId);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Order sync error:', err);
+    res.json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
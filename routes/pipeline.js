@@ -0,0 +1,69 @@
+const express = require('express');
+const pool = require('../db');
+const { requireAuth } = require('../middleware/auth');
+const { UPLOAD_MODES, ACTIVE_STATES, enqueueUpload } = require('../pipeline-jobs');
+const router = express.Router();
+
+// POST /api/pipeline/uploads — identify, create drafts, generate and (optionally) verify in the background
+// Body: { images: [{ base64, filename, mimeType, hash }], mode: 'single' | 'lot', verify }
+router.post('/uploads', requireAuth, async (req, res) => {
+  const { images, mode = 'single', verify } = req.body;
+  if (!Array.isArray(images) || images.length === 0) {
+    return res.status(400).json({ error: 'No images provided' });
+  }
+  if (images.some(img => !img || typeof img.base64 !== 'string' || !img.base64)) {
+    return res.status(400).json({ error: 'Every image needs its base64 data' });
+  }
+  if (!UPLOAD_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Invalid mode. Must be one of: ${UPLOAD_MODES.join(', ')}` });
+  }
+
+  try {
+    const uploadId = await enqueueUpload(images, {
+      accountId: req.session.accountId,
+      userId: req.session.userId,
+      mode,
+      verify: !!verify,
+    });
+    res.json({ success: true, uploadId });
+  } catch (err) {
+    console.error('Queue upload error:', err);
+    res.status(500).json({ error: 'Failed to queue upload' });
+  }
+});
+
+// GET /api/pipeline/jobs — the account's pipeline jobs (active ones plus the last hour), for everyone on the account
+// ?upload= narrows it to one upload
+router.get('/jobs', requireAuth, async (req, res) => {
+  const params = [req.session.accountId, ACTIVE_STATES];
+  let uploadFilter = '';
+  if (req.query.upload) {
+    if (!/^[0-9a-f-]{36}$/i.test(req.query.upload)) return res.status(400).json({ error: 'Invalid upload ID' });
+    params.push(req.query.upload);
+    uploadFilter = `AND j.upload_id = $${params.length}`;
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT j.id, j.upload_id, j.type, j.draft_id, j.status, j.attempts, j.next_attempt_at, j.last_error,
+              j.result, j.created_at, j.finished_at,
+              (j.options->>'mode') AS mode, (j.options->>'imageCount')::int AS image_count,
+              COALESCE(d.generated_title, d.product_name) AS title,
+              u.first_name AS created_by_first_name
+       FROM pipeline_jobs j
+       LEFT JOIN drafts d ON d.id = j.draft_id
+       LEFT JOIN users u ON u.id = j.created_by
+       WHERE j.account_id = $1 ${uploadFilter}
+         AND (j.status = ANY($2) OR j.finished_at > NOW() - INTERVAL '1 hour')
+       ORDER BY j.created_at DESC, j.id ASC
+       LIMIT 500`,
+      params
+    );
+    res.json({ success: true, jobs: result.rows });
+  } catch (err) {
+    console.error('Fetch pipeline jobs error:', err);
+    res.status(500).json({ error: 'Failed to load pipeline jobs' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const { requireRole } = require('../middleware/auth');
+const { getMarketplace } = require('../marketplaces');
+const {
+  POLICY_TYPES, fetchSellerPolicies, invalidatePolicies, getPolicyForm, createPolicy, updatePolicy, duplicatePolicy,
+} = require('../business-policies');
+const router = express.Router();
+
+// Marketplace for a request: ?marketplace= (a draft's override) or the account default
+const requestMarketplace = (req) => getMarketplace(req.query.marketplace || req.userConfig.ebayMarketplace);
+
+router.param('type', (req, res, next, type) => {
+  if (!POLICY_TYPES[type]) return res.status(400).json({ success: false, error: 'Policy type must be shipping or return' });
+  next();
+});
+
+// eBay's 4xx answers keep their status, except 401: to the browser that means its own session expired
+function policyError(res, err) {
+  console.error('Business policy error:', err.message);
+  const status = err.status === 401 ? 403 : err.status >= 400 && err.status < 500 ? err.status : 502;
+  res.status(status).json({ success: false, error: err.message });
+}
+
+// GET /api/ebay/policies?marketplace=&refresh=1 — shipping, return and payment policies for a marketplace
+router.get('/', async (req, res) => {
+  try {
+    if (req.query.refresh) invalidatePolicies(req.userConfig.accountId);
+    const policies = await fetchSellerPolicies(req.userConfig, requestMarketplace(req).id);
+    res.json({ success: true, ...policies });
+  } catch (err) {
+    policyError(res, Object.assign(new Error(`Failed to load eBay policies: ${err.message}`), { status: err.status }));
+  }
+});
+
+// GET /api/ebay/policies/:type/:id — one policy in the settings editor's shape
+router.get('/:type/:id', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ success: true, policy: await getPolicyForm(req.userConfig, req.params.type, req.params.id) });
+  } catch (err) {
+    policyError(res, err);
+  }
+});
+
+// POST /api/ebay/policies/:type?marketplace= — create a policy on the eBay account
+router.post('/:type', requireRole('admin'), async (req, res) => {
+  try {
+    const policy = await createPolicy(req.userConfig, req.params.type, req.body, requestMarketplace(req).id);
+    res.json({ success: true, policy });
+  } catch (err) {
+    policyError(res, err);
+  }
+});
+
+// PUT /api/ebay/policies/:type/:id — edit a policy; fields the editor doesn't show are kept
+router.put('/:type/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const policy = await updatePolicy(req.userConfig, req.params.type, req.params.id, req.body);
+    res.json({ success: true, policy });
+  } catch (err) {
+    policyError(res, err);
+  }
+});
+
+// POST /api/ebay/policies/:type/:id/duplicate — copy a policy under a new name
+router.post('/:type/:id/duplicate', requireRole('admin'), async (req, res) => {
+  try {
+    const policy = await duplicatePolicy(req.userConfig, req.params.type, req.params.id, req.body.name);
+    res.json({ success: true, policy });
+  } catch (err) {
+    policyError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const pool = require('./db');
+const { loadAccountConfig } = require('./middleware/auth');
+const { publishDraft } = require('./ebay-publish');
+const { ACTIVE_STATES } = require('./publish-queue');
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000; // check for due drafts every minute
+const SCHEDULER_BATCH_SIZE = 10; // drafts claimed per tick; the rest wait for the next one
+
+let running = false;
+
+// Publish `ready` drafts whose scheduled_at has passed, a batch per tick
+async function publishDueDrafts() {
+  if (running) return; // previous tick still uploading/publishing
+  running = true;
+  try {
+    // Claim due drafts atomically so a draft is never published twice
+    const claimed = await pool.query(
+      `UPDATE drafts SET status = 'listing', updated_at = NOW()
+       WHERE id IN (
+         SELECT id FROM drafts
+         WHERE status = 'ready' AND scheduled_at IS NOT NULL AND scheduled_at <= NOW()
+         ORDER BY scheduled_at ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [SCHEDULER_BATCH_SIZE]
+    );
+    if (claimed.rows.length === 0) return;
+    console.log(`[scheduler] Publishing ${claimed.rows.length} scheduled draft(s)`);
+
+    for (const draft of claimed.rows) {
+      try {
+        const userConfig = await loadAccountConfig(draft.account_id);
+        if (!userConfig) throw new Error('Account not found');
+        const result = await publishDraft(draft, { userConfig, userId: draft.scheduled_by || draft.created_by });
+
+        // One attempt per schedule — a failed draft waits for a publisher to fix and reschedule it
+        await pool.query('UPDATE drafts SET scheduled_at = NULL WHERE id = $1', [draft.id]);
+
+        if (result.success) {
+          console.log(`[scheduler] Draft ${draft.id} listed as #${result.itemId}`);
+        } else {
+          console.error(`[scheduler] Draft ${draft.id} failed: ${result.error}`);
+        }
+      } catch (err) {
+        console.error(`[scheduler] Draft ${draft.id} error:`, err);
+        await pool.query(
+          `UPDATE drafts SET status = 'ready', publish_error = $1, scheduled_at = NULL, updated_at = NOW() WHERE id = $2`,
+          [err.message, draft.id]
+        ).catch(() => {});
+      }
+    }
+  } catch (err) {
+    console.error('[scheduler] Tick failed:', err);
+  } finally {
+    running = false;
+  }
+}
+
+// Scheduled drafts a restart caught mid-publish stay `listing` with their schedule still set (it is
+// cleared once the attempt ends). They may or may not have reached eBay, so hand them back as failed
+// rather than publish again. Drafts the publish queue holds are left to its own clean-up.
+async function failInterruptedDrafts() {
+  const interrupted = await pool.query(
+    `UPDATE drafts SET status = 'ready', scheduled_at = NULL, updated_at = NOW(),
+       publish_error = 'Scheduled publish was interrupted by a server restart. Check eBay before publishing again.'
+     WHERE status = 'listing' AND scheduled_at IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM publish_queue q WHERE q.draft_id = drafts.id AND q.status = ANY($1))
+     RETURNING id`,
+    [ACTIVE_STATES]
+  );
+  if (interrupted.rows.length > 0) console.error(`[scheduler] Failed ${interrupted.rows.length} interrupted scheduled draft(s)`);
+}
+
+function startScheduler() {
+  failInterruptedDrafts()
+    .catch(err => console.error('[scheduler] Failed to clean up interrupted drafts:', err))
+    .finally(() => {
+      setInterval(publishDueDrafts, SCHEDULER_INTERVAL_MS);
+      publishDueDrafts();
+    });
+}
+
+module.exports = { startScheduler, publishDueDrafts };
@@ -11,7 +11,25 @@ const configRoutes = require('./routes/config');
 const listingsRoutes = require('./routes/listings');
 const usersRoutes = require('./routes/users');
 const draftsRoutes = require('./routes/drafts');
+const ordersRoutes = require('./routes/orders');
 const ebayOAuthRoutes = require('./routes/ebay-oauth');
+const policiesRoutes = require('./routes/policies');
+const catalogRoutes = require('./routes/catalog');
+const aiRoutes = require('./routes/ai');
+const pipelineRoutes = require('./routes/pipeline');
+const { getEbayBrowseToken } = require('./ebay-utils');
+const { getUser } = require('./ebay-trading');
+const { uploadPicture, verifyItem, publishItem } = require('./ebay-publish');
+const { fetchCampaigns } = require('./promoted-listings');
+const { startScheduler } = require('./scheduler');
+const { startOrderSync } = require('./order-sync');
+const { startReconciler } = require('./reconcile');
+const { loadTree, searchCategories, suggestCategories, startCategoryTreeRefresh } = require('./category-tree');
+const { getItemAspects, getUsedValues, prewarmAspects, startAspectPrewarm } = require('./item-aspects');
+const { startPublishQueue } = require('./publish-queue');
+const { startPipelineWorkers } = require('./pipeline-jobs');
+const { resumeBulkRevisions } = require('./bulk-revise');
+const { MARKETPLACES, getMarketplace } = require('./marketplaces');
 
 const app = express();
 app.use(express.json({ limit: '200mb' }));
@@ -29,14 +47,6 @@ app.use((err, req, res, next) => {
   next(err);
 });
 
-// ── Server-level keys (from .env) ──
-const GOOGLE_VISION_API_KEY = process.env.GOOGLE_VISION_API_KEY || '';
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
-const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-5.2';
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY || '';
-const CLAUDE_MODEL = process.env.CLAUDE_MODEL || 'anthropic/claude-opus-4-6';
-const GEMINI_MODEL = process.env.GEMINI_MODEL || 'google/gemini-2.5-flash';
-
 // ── Session middleware ──
 app.use(session({
   store: new pgSession({ pool, tableName: 'session' }),
@@ -79,82 +89,21 @@ app.use('/api/config', configRoutes);
 app.use('/api/listings', listingsRoutes);
 app.use('/api/users', usersRoutes);
 app.use('/api/drafts', draftsRoutes);
+app.use('/api/orders', ordersRoutes);
 app.use('/api/ebay/oauth', ebayOAuthRoutes);
-
-// ── eBay helpers ──
-const EBAY_API_URL = 'https://api.ebay.com/ws/api.dll';
-
-const ebayHeaders = (callName, token) => ({
-  'X-EBAY-API-SITEID': '0',
-  'X-EBAY-API-COMPATIBILITY-LEVEL': '1421',
-  'X-EBAY-API-IAF-TOKEN': token,
-  'X-EBAY-API-CALL-NAME': callName,
-});
-
-function escapeXml(str) {
-  return String(str)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&apos;');
-}
-
-// ── eBay OAuth token cache (per user) ──
-const browseTokenCache = new Map();
-
-async function getEbayBrowseToken(accountId, clientId, clientSecret) {
-  const cached = browseTokenCache.get(accountId);
-  if (cached && Date.now() < cached.expiry) return cached.token;
-
-  const credentials = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
-  const resp = await fetch('https://api.ebay.com/identity/v1/oauth2/token', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'Authorization': `Basic ${credentials}`,
-    },
-    body: 'grant_type=client_credentials&scope=https%3A%2F%2Fapi.ebay.com%2Foauth%2Fapi_scope',
-  });
-  const data = await resp.json();
-  if (!resp.ok || !data.access_token) {
-    throw new Error(data.error_description || data.error || 'OAuth token request failed');
-  }
-  browseTokenCache.set(accountId, {
-    token: data.access_token,
-    expiry: Date.now() + (data.expires_in - 300) * 1000,
-  });
-  return data.access_token;
-}
+app.use('/api/ebay/policies', policiesRoutes);
+app.use('/api/ebay/catalog', catalogRoutes);
+app.use('/api/ai', aiRoutes);
+app.use('/api/pipeline', pipelineRoutes);
 
 // ── Test eBay token ──
 app.get('/api/ebay/test-token', async (req, res) => {
   const token = req.userConfig.ebayOAuthToken || req.userConfig.ebayToken;
   if (!token) return res.json({ success: false, error: 'eBay token not configured. Go to Settings.' });
 
-  const xml = [
-    '<?xml version="1.0" encoding="utf-8"?>',
-    '<GetUserRequest xmlns="urn:ebay:apis:eBLBaseComponents">',
-    '  <ErrorLanguage>en_US</ErrorLanguage>',
-    '</GetUserRequest>',
-  ].join('\n');
-
   try {
-    const response = await fetch(EBAY_API_URL, {
-      method: 'POST',
-      headers: { ...ebayHeaders('GetUser', token), 'Content-Type': 'text/xml' },
-      body: xml,
-    });
-    const text = await response.text();
-    const ackMatch = text.match(/<Ack>([^<]+)<\/Ack>/);
-    const userMatch = text.match(/<UserID>([^<]+)<\/UserID>/);
-    const errMatch = text.match(/<LongMessage>([^<]+)<\/LongMessage>/);
-
-    if (ackMatch && (ackMatch[1] === 'Success' || ackMatch[1] === 'Warning')) {
-      res.json({ success: true, userId: userMatch?.[1] || 'unknown' });
-    } else {
-      res.json({ success: false, error: errMatch?.[1] || 'Unknown error' });
-    }
+    const { userId } = await getUser(token);
+    res.json({ success: true, userId });
   } catch (err) {
     res.json({ success: false, error: err.message });
   }
@@ -165,406 +114,58 @@ app.post('/api/ebay/upload-image', requireRole('admin', 'publisher'), async (req
   const token = req.userConfig.ebayOAuthToken || req.userConfig.ebayToken;
   if (!token) return res.json({ success: false, error: 'eBay token not configured. Go to Settings.' });
 
-  const { base64, filename, mimeType } = req.body;
-  const imageBuffer = Buffer.from(base64, 'base64');
-  const boundary = 'MIME_boundary_' + Date.now();
-
-  const xmlPayload = [
-    '<?xml version="1.0" encoding="utf-8"?>',
-    '<UploadSiteHostedPicturesRequest xmlns="urn:ebay:apis:eBLBaseComponents">',
-    `  <PictureName>${escapeXml(filename || 'image')}</PictureName>`,
-    '  <PictureSet>Supersize</PictureSet>',
-    '</UploadSiteHostedPicturesRequest>',
-  ].join('\n');
-
-  const mime = mimeType || 'image/jpeg';
-  const parts = [
-    `--${boundary}\r\n`,
-    `Content-Disposition: form-data; name="XML Payload"\r\n`,
-    `Content-Type: text/xml\r\n\r\n`,
-    xmlPayload,
-    `\r\n--${boundary}\r\n`,
-    `Content-Disposition: form-data; name="image"; filename="${filename || 'image.jpg'}"\r\n`,
-    `Content-Type: ${mime}\r\n`,
-    `Content-Transfer-Encoding: binary\r\n\r\n`,
-  ];
-
-  const textBefore = Buffer.from(parts.join(''), 'utf-8');
-  const textAfter = Buffer.from(`\r\n--${boundary}--\r\n`, 'utf-8');
-  const body = Buffer.concat([textBefore, imageBuffer, textAfter]);
-
   try {
-    const response = await fetch(EBAY_API_URL, {
-      method: 'POST',
-      headers: {
-        ...ebayHeaders('UploadSiteHostedPictures', token),
-        'Content-Type': `multipart/form-data; boundary=${boundary}`,
-      },
-      body,
-    });
-    const text = await response.text();
-    const urlMatch = text.match(/<FullURL>([^<]+)<\/FullURL>/);
-    const ackMatch = text.match(/<Ack>([^<]+)<\/Ack>/);
-
-    if (urlMatch && ackMatch && (ackMatch[1] === 'Success' || ackMatch[1] === 'Warning')) {
-      res.json({ success: true, url: urlMatch[1] });
-    } else {
-      const errMsg = text.match(/<LongMessage>([^<]+)<\/LongMessage>/);
-      res.json({ success: false, error: errMsg ? errMsg[1] : 'Upload failed' });
-    }
+    res.json(await uploadPicture(token, req.body));
   } catch (err) {
     res.json({ success: false, error: err.message });
   }
 });
 
-// ── Seller business policy IDs ──
-const SELLER_POLICIES = {
-  payment: '61837856022',
-  returnPolicy: '65785240022',
-  shipping: [
-    { id: '80178979022', name: 'Main Shipping Policy (Free Standard)', default: true },
-    { id: '338880480022', name: 'Main Shipping Policy Copy' },
-    { id: '383110741022', name: 'Buyer Pays - Small Items' },
-    { id: '383110975022', name: 'Buyer Pays - Medium Items' },
-    { id: '383111232022', name: 'Buyer Pays - Large Items' },
-    { id: '384692198022', name: 'Buyer Pays - X-Large Items' },
-    { id: '385250446022', name: 'Buyer Pays - XX-Large Items' },
-    { id: '338881134022', name: 'Overweight Shipping Policy' },
-    { id: '301209796022', name: 'Local Pickup' },
-  ],
-  returnPolicies: [
-    { id: '30day', name: 'Main Return Policy (30 Day)', default: true,
-      accepted: 'ReturnsAccepted', within: 'Days_30', paidBy: 'Buyer' },
-    { id: '60day', name: 'Cisco 60 Days Return',
-      accepted: 'ReturnsAccepted', within: 'Days_60', paidBy: 'Buyer' },
-    { id: '30day-free', name: 'Free 30 Day Money Back / Replacement',
-      accepted: 'ReturnsAccepted', within: 'Days_30', paidBy: 'Seller' },
-    { id: 'none', name: 'No Returns',
-      accepted: 'ReturnsNotAccepted', within: null, paidBy: null },
-    { id: 'doa', name: 'Dead on Arrival',
-      accepted: 'ReturnsAccepted', within: 'Days_14', paidBy: 'Seller' },
-  ],
-};
-
-app.get('/api/ebay/policies', async (req, res) => {
-  const oauthToken = req.userConfig.ebayOAuthToken;
-
-  // If no OAuth token, return hardcoded policies (backward compatible)
-  if (!oauthToken) {
-    return res.json(SELLER_POLICIES);
-  }
-
-  // Fetch real policies from eBay Account API
-  try {
-    const headers = { 'Authorization': `Bearer ${oauthToken}`, 'Content-Type': 'application/json' };
-    const marketplaceId = 'EBAY_US';
-
-    const [fulfillmentResp, returnResp, paymentResp] = await Promise.all([
-      fetch(`https://api.ebay.com/sell/account/v1/fulfillment_policy?marketplace_id=${marketplaceId}`, { headers }),
-      fetch(`https://api.ebay.com/sell/account/v1/return_policy?marketplace_id=${marketplaceId}`, { headers }),
-      fetch(`https://api.ebay.com/sell/account/v1/payment_policy?marketplace_id=${marketplaceId}`, { headers }),
-    ]);
+// Marketplace for a request: ?marketplace= (a draft's override) or the account default
+const requestMarketplace = (req) => getMarketplace(req.query.marketplace || req.userConfig.ebayMarketplace);
 
-    const [fulfillmentData, returnData, paymentData] = await Promise.all([
-      fulfillmentResp.json(),
-      returnResp.json(),
-      paymentResp.json(),
-    ]);
+app.get('/api/ebay/marketplaces', (req, res) => {
+  const marketplaces = Object.values(MARKETPLACES).map(({ id, name, currency, symbol, domain, minReservePrice }) => ({
+    id, name, currency, symbol, domain, minReservePrice,
+  }));
+  res.json({ success: true, marketplaces, default: req.userConfig.ebayMarketplace });
+});
 
-    // Map shipping/fulfillment policies
-    const shipping = (fulfillmentData.fulfillmentPolicies || []).map((p, i) => ({
-      id: p.fulfillmentPolicyId,
-      name: p.name || `Shipping Policy ${p.fulfillmentPolicyId}`,
-      default: i === 0,
-    }));
-
-    // Map return policies
-    const returnPolicies = (returnData.returnPolicies || []).map((p, i) => ({
-      id: p.returnPolicyId,
-      name: p.name || `Return Policy ${p.returnPolicyId}`,
-      default: i === 0,
-      // Include inline details for AddItem XML
-      accepted: p.returnsAccepted ? 'ReturnsAccepted' : 'ReturnsNotAccepted',
-      within: p.returnPeriod ? `Days_${p.returnPeriod.value}` : null,
-      paidBy: p.returnShippingCostPayer === 'SELLER' ? 'Seller' : 'Buyer',
-    }));
-
-    // Get first payment policy ID
-    const paymentPolicies = paymentData.paymentPolicies || [];
-    const payment = paymentPolicies.length > 0 ? paymentPolicies[0].paymentPolicyId : '';
-
-    res.json({ shipping, returnPolicies, payment });
+// General (cost-per-sale) Promoted Listings campaigns new listings can be added to
+app.get('/api/ebay/campaigns', requireRole('admin'), async (req, res) => {
+  if (!req.userConfig.ebayOAuthToken) {
+    return res.json({ success: false, error: 'Promoted Listings requires a connected eBay account. Connect eBay in Settings.' });
+  }
+  try {
+    res.json({ success: true, campaigns: await fetchCampaigns(req.userConfig.ebayOAuthToken, requestMarketplace(req).id) });
   } catch (err) {
-    console.error('Failed to fetch eBay policies:', err.message);
-    // Fall back to hardcoded on error
-    res.json(SELLER_POLICIES);
+    res.json({ success: false, error: err.message });
   }
 });
 
 // ── Add item listing ──
 app.post('/api/ebay/add-item', requireRole('admin', 'publisher'), async (req, res) => {
-  const token = req.userConfig.ebayOAuthToken || req.userConfig.ebayToken;
-  if (!token) return res.json({ success: false, error: 'eBay token not configured. Go to Settings.' });
-
-  const {
-    title, description, price, categoryId,
-    conditionId, pictureUrls, quantity, location,
-    sku, itemSpecifics, shippingPolicyId, returnPolicyId, paymentPolicyId,
-    bestOfferEnabled, autoAcceptPrice, minBestOfferPrice, autoPay,
-  } = req.body;
-
-  // Validate category via Trading API GetCategories (checks leaf + expired remapping)
-  let validCategoryId = categoryId;
   try {
-    const catXml = [
-      '<?xml version="1.0" encoding="utf-8"?>',
-      '<GetCategoriesRequest xmlns="urn:ebay:apis:eBLBaseComponents">',
-      '  <ErrorLanguage>en_US</ErrorLanguage>',
-      `  <CategoryID>${escapeXml(String(categoryId))}</CategoryID>`,
-      '  <CategorySiteID>0</CategorySiteID>',
-      '  <DetailLevel>ReturnAll</DetailLevel>',
-      '  <ViewAllNodes>true</ViewAllNodes>',
-      '  <LevelLimit>1</LevelLimit>',
-      '</GetCategoriesRequest>',
-    ].join('\n');
-    const catResp = await fetch(EBAY_API_URL, {
-      method: 'POST',
-      headers: { ...ebayHeaders('GetCategories', token), 'Content-Type': 'text/xml' },
-      body: catXml,
+    const result = await publishItem(req.body, {
+      userConfig: req.userConfig,
+      userId: req.session.userId,
+      accountId: req.session.accountId,
     });
-    const catText = await catResp.text();
-    const leafMatch = catText.match(/<LeafCategory>([^<]+)<\/LeafCategory>/);
-    const expiredMatch = catText.match(/<Expired>true<\/Expired>/);
-
-    if (expiredMatch) {
-      // Category is expired — try to find the replacement
-      const catIdMatches = [...catText.matchAll(/<CategoryID>([^<]+)<\/CategoryID>/g)];
-      // GetCategories may return the parent or mapped category
-      const newCatId = catIdMatches.length > 1 ? catIdMatches[catIdMatches.length - 1][1] : null;
-      if (newCatId && newCatId !== categoryId) {
-        validCategoryId = newCatId;
-      }
-    }
-    if (leafMatch && leafMatch[1] === 'false' && !expiredMatch) {
-      return res.json({ success: false, error: `Category ${categoryId} is not a leaf category. Please choose a more specific sub-category.` });
-    }
-  } catch (e) { /* proceed if validation fails */ }
-
-  const pictureUrlsXml = pictureUrls.map(u => `      <PictureURL>${escapeXml(u)}</PictureURL>`).join('\n');
-
-  let itemSpecificsXml = '';
-  if (itemSpecifics && Object.keys(itemSpecifics).length > 0) {
-    const pairs = Object.entries(itemSpecifics)
-      .filter(([, v]) => v && (Array.isArray(v) ? v.length > 0 : String(v).trim()))
-      .map(([name, value]) => {
-        const vals = Array.isArray(value) ? value : [value];
-        const valueXml = vals.map(v => `        <Value>${escapeXml(String(v))}</Value>`).join('\n');
-        return [
-          '      <NameValueList>',
-          `        <Name>${escapeXml(name)}</Name>`,
-          valueXml,
-          '      </NameValueList>',
-        ].join('\n');
-      });
-    if (pairs.length > 0) {
-      itemSpecificsXml = `    <ItemSpecifics>\n${pairs.join('\n')}\n    </ItemSpecifics>`;
-    }
-  }
-
-  const isOAuthUser = !!req.userConfig.ebayOAuthToken;
-
-  let shipId, payId, returnPolicyXml, returnProfileXml;
-
-  if (isOAuthUser) {
-    // OAuth user: policy IDs come from their own eBay account (fetched dynamically)
-    shipId = shippingPolicyId || '';
-    payId = paymentPolicyId || '';
-    returnPolicyXml = '';
-    returnProfileXml = returnPolicyId ? [
-      '      <SellerReturnProfile>',
-      `        <ReturnProfileID>${escapeXml(returnPolicyId)}</ReturnProfileID>`,
-      '      </SellerReturnProfile>',
-    ].join('\n') : '';
-  } else {
-    // Manual key user: use hardcoded policies
-    shipId = shippingPolicyId || SELLER_POLICIES.shipping[0].id;
-    payId = SELLER_POLICIES.payment;
-    const retPolicy = SELLER_POLICIES.returnPolicies.find(r => r.id === returnPolicyId)
-      || SELLER_POLICIES.returnPolicies.find(r => r.default)
-      || SELLER_POLICIES.returnPolicies[0];
-    returnPolicyXml = [
-      '    <ReturnPolicy>',
-      `      <ReturnsAcceptedOption>${retPolicy.accepted}</ReturnsAcceptedOption>`,
-      retPolicy.within ? `      <ReturnsWithinOption>${retPolicy.within}</ReturnsWithinOption>` : null,
-      retPolicy.paidBy ? `      <ShippingCostPaidByOption>${retPolicy.paidBy}</ShippingCostPaidByOption>` : null,
-      '    </ReturnPolicy>',
-    ].filter(Boolean).join('\n');
-    returnProfileXml = '';
-  }
-
-  const xml = [
-    '<?xml version="1.0" encoding="utf-8"?>',
-    '<AddItemRequest xmlns="urn:ebay:apis:eBLBaseComponents">',
-    '  <ErrorLanguage>en_US</ErrorLanguage>',
-    '  <WarningLevel>High</WarningLevel>',
-    '  <Item>',
-    `    <Title>${escapeXml(title.substring(0, 80))}</Title>`,
-    sku ? `    <SKU>${escapeXml(sku)}</SKU>` : null,
-    `    <Description><![CDATA[${description}]]></Description>`,
-    '    <PrimaryCategory>',
-    `      <CategoryID>${escapeXml(String(validCategoryId))}</CategoryID>`,
-    '    </PrimaryCategory>',
-    `    <StartPrice currencyID="USD">${parseFloat(price).toFixed(2)}</StartPrice>`,
-    `    <ConditionID>${escapeXml(String(conditionId))}</ConditionID>`,
-    '    <Country>US</Country>',
-    '    <Currency>USD</Currency>',
-    `    <Location>${escapeXml(location || 'United States')}</Location>`,
-    '    <DispatchTimeMax>3</DispatchTimeMax>',
-    '    <ListingDuration>GTC</ListingDuration>',
-    '    <ListingType>FixedPriceItem</ListingType>',
-    `    <Quantity>${parseInt(quantity) || 1}</Quantity>`,
-    autoPay !== false ? '    <AutoPay>true</AutoPay>' : null,
-    bestOfferEnabled ? '    <BestOfferDetails>' : null,
-    bestOfferEnabled ? '      <BestOfferEnabled>true</BestOfferEnabled>' : null,
-    bestOfferEnabled ? '    </BestOfferDetails>' : null,
-    (bestOfferEnabled && (parseFloat(autoAcceptPrice) > 0 || parseFloat(minBestOfferPrice) > 0)) ? '    <ListingDetails>' : null,
-    (bestOfferEnabled && parseFloat(autoAcceptPrice) > 0) ? `      <BestOfferAutoAcceptPrice currencyID="USD">${parseFloat(autoAcceptPrice).toFixed(2)}</BestOfferAutoAcceptPrice>` : null,
-    (bestOfferEnabled && parseFloat(minBestOfferPrice) > 0) ? `      <MinimumBestOfferPrice currencyID="USD">${parseFloat(minBestOfferPrice).toFixed(2)}</MinimumBestOfferPrice>` : null,
-    (bestOfferEnabled && (parseFloat(autoAcceptPrice) > 0 || parseFloat(minBestOfferPrice) > 0)) ? '    </ListingDetails>' : null,
-    '    <PictureDetails>',
-    pictureUrlsXml,
-    '    </PictureDetails>',
-    itemSpecificsXml,
-    returnPolicyXml,
-    '    <SellerProfiles>',
-    '      <SellerShippingProfile>',
-    `        <ShippingProfileID>${escapeXml(shipId)}</ShippingProfileID>`,
-    '      </SellerShippingProfile>',
-    payId ? '      <SellerPaymentProfile>' : null,
-    payId ? `        <PaymentProfileID>${escapeXml(payId)}</PaymentProfileID>` : null,
-    payId ? '      </SellerPaymentProfile>' : null,
-    returnProfileXml,
-    '    </SellerProfiles>',
-    '  </Item>',
-    '</AddItemRequest>',
-  ].filter(Boolean).join('\n');
-
-  try {
-    const response = await fetch(EBAY_API_URL, {
-      method: 'POST',
-      headers: {
-        ...ebayHeaders('AddItem', token),
-        'Content-Type': 'text/xml',
-      },
-      body: xml,
-    });
-    const text = await response.text();
-
-    const ackMatch = text.match(/<Ack>([^<]+)<\/Ack>/);
-    const itemIdMatch = text.match(/<ItemID>([^<]+)<\/ItemID>/);
-    const feesBlock = text.match(/<Fees>([\s\S]*?)<\/Fees>/);
-
-    let totalFees = '';
-    if (feesBlock) {
-      const feeMatch = feesBlock[1].match(/<Name>ListingFee<\/Name>\s*<Fee[^>]*>([^<]+)<\/Fee>/);
-      if (feeMatch) totalFees = feeMatch[1];
-    }
-
-    if (ackMatch && (ackMatch[1] === 'Success' || ackMatch[1] === 'Warning') && itemIdMatch) {
-      // Persist listing to DB (best-effort)
-      try {
-        await pool.query(
-          `INSERT INTO listings (user_id, account_id, ebay_item_id, title, price, thumbnail_url, category_id, condition_id)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-          [
-            req.session.userId,
-            req.session.accountId,
-            itemIdMatch[1],
-            title.substring(0, 100),
-            parseFloat(price).toFixed(2),
-            pictureUrls && pictureUrls.length > 0 ? pictureUrls[0] : null,
-            String(validCategoryId),
-            String(conditionId),
-          ]
-        );
-      } catch (dbErr) {
-        console.error('Failed to save listing to DB:', dbErr);
-      }
-      // Check 1,000-listing milestone for lifetime membership
-      try {
-        const countResult = await pool.query(
-          'SELECT COUNT(*)::int AS total FROM listings WHERE account_id = $1',
-          [req.session.accountId]
-        );
-        if (countResult.rows[0].total >= 1000) {
-          await pool.query(
-            'UPDATE users SET lifetime_member = true, updated_at = NOW() WHERE id = $1 AND (lifetime_member IS NULL OR lifetime_member = false)',
-            [req.session.accountId]
-          );
-        }
-      } catch (milestoneErr) {
-        console.error('Milestone check failed (non-fatal):', milestoneErr);
-      }
-      res.json({ success: true, itemId: itemIdMatch[1], fees: totalFees });
-    } else {
-      const allErrors = [];
-      const errRegex = /<LongMessage>([^<]+)<\/LongMessage>/g;
-      let em;
-      while ((em = errRegex.exec(text)) !== null) allErrors.push(em[1]);
-      res.json({
-        success: false,
-        error: allErrors.length > 0 ? allErrors.join(' | ') : 'Listing failed',
-      });
-    }
+    res.json(result);
   } catch (err) {
     res.json({ success: false, error: err.message });
   }
 });
 
-// ── Google Vision proxy ──
-app.post('/api/vision/annotate', async (req, res) => {
-  if (!GOOGLE_VISION_API_KEY) return res.status(400).json({ error: { message: 'Google Vision API key not configured in .env' } });
-  const visionKey = GOOGLE_VISION_API_KEY;
-
-  const { requests } = req.body;
+// ── Verify item listing (dry run: validation errors + fee preview, nothing goes live) ──
+app.post('/api/ebay/verify-item', requireRole('admin', 'publisher'), async (req, res) => {
   try {
-    const resp = await fetch(`https://vision.googleapis.com/v1/images:annotate?key=${visionKey}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ requests }),
-    });
-    const data = await resp.json();
-    if (!resp.ok) return res.status(resp.status).json(data);
-    res.json(data);
+    res.json(await verifyItem(req.body, req.userConfig));
   } catch (err) {
-    res.status(500).json({ error: { message: err.message } });
+    res.json({ success: false, error: err.message });
   }
 });
 
-// ── OpenRouter (Gemini) — identify & group products from images ──
-
-// Helper: call Gemini via OpenRouter
-async function callGemini(content, maxTokens = 1000) {
-  const resp = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-    },
-    body: JSON.stringify({
-      model: GEMINI_MODEL,
-      messages: [{ role: 'user', content }],
-      max_tokens: maxTokens,
-      temperature: 0.1,
-    }),
-  });
-  const data = await resp.json();
-  if (!resp.ok) throw new Error(data.error?.message || `Gemini API error ${resp.status}`);
-  let raw = data.choices?.[0]?.message?.content?.trim() || '[]';
-  raw = raw.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/i, '');
-  return JSON.parse(raw);
-}
-
 // Helper: run async tasks with concurrency limit
 async function runWithConcurrency(tasks, limit) {
   const results = [];
@@ -583,274 +184,78 @@ const BATCH_THRESHOLD = 10;
 const BATCH_SIZE = 10;
 const BATCH_CONCURRENCY = 3;
 
-app.post('/api/openrouter/identify', async (req, res) => {
-  if (!OPENROUTER_API_KEY) return res.status(400).json({ error: { message: 'OpenRouter API key not configured in .env' } });
-
-  const { images } = req.body; // array of base64 strings
-  if (!images || images.length === 0) return res.status(400).json({ error: { message: 'No images provided' } });
-
-  try {
-    const imageContent = images.map((b64) => ({
-      type: 'image_url',
-      image_url: { url: `data:image/jpeg;base64,${b64}` }
-    }));
-
-    const prompt = `You are a product identification expert. I'm sending you ${images.length} numbered images (image 0 through image ${images.length - 1}).
-
-For each image, identify the product shown (brand + model/type if visible).
-
-Then GROUP images that show the SAME product together — even if the names aren't exactly identical. For example "Logitech Brio Webcam" and "Logitech Brio 4K Webcam" are the same product and must be in the same group. Use your best judgment to normalize product names.
-
-After grouping, check if any groups are ACCESSORIES or COMPANIONS of each other. For example: a phone case is an accessory for a phone, a charger is an accessory for a laptop, a remote is an accessory for a TV. Also consider PACKAGING: if you see a generic brown/cardboard shipping box, it is almost certainly the packaging for one of the other items — treat it as an accessory of the most likely product it belongs to. Boxes are not sold separately. Think about whether a buyer would reasonably want to list these items together as a bundle.
-
-Return ONLY valid JSON, no markdown, no explanation. Use this exact format:
-{
-  "groups": [
-    { "groupId": 0, "productName": "Brand Model Product", "confidence": 95, "imageIndices": [0, 2, 3] },
-    { "groupId": 1, "productName": "Brand Model Product", "confidence": 60, "imageIndices": [1] }
-  ],
-  "suggestedBundles": [
-    { "mainGroupId": 0, "accessoryGroupIds": [1], "reason": "Short explanation of why these go together", "bundleConfidence": 85 }
-  ]
-}
-
-Rules:
-- Every image index (0 to ${images.length - 1}) must appear in exactly one group
-- groupId must be the index of the group in the array (0, 1, 2, ...)
-- Use the most specific and complete product name for each group
-- If you truly cannot identify a product, use "Unknown product" as the name
-- confidence is 0-100: how certain you are that you correctly identified the exact product (brand, model, variant). 90-100 = exact match with brand+model clearly visible, 60-89 = likely correct but some details uncertain, 30-59 = rough guess, 0-29 = unable to identify
-- suggestedBundles: only include if you detect genuine accessory/companion relationships. Leave as empty array [] if no items are related
-- mainGroupId: the group index of the PRIMARY product (not the accessory)
-- accessoryGroupIds: array of group indices that are accessories OF the main product
-- bundleConfidence: 0-100, how confident you are these items belong together as a bundle
-- A group can only appear in ONE bundle (either as main or accessory, not both)`;
-
-    const result = await callGemini([{ type: 'text', text: prompt }, ...imageContent], Math.max(1500, images.length * 150));
-
-    // Backward compat: if Gemini returns a plain array (old format), wrap it
-    let groups, suggestedBundles;
-    if (Array.isArray(result)) {
-      groups = result;
-      suggestedBundles = [];
-    } else {
-      groups = result.groups || [];
-      suggestedBundles = (result.suggestedBundles || []).filter(b =>
-        typeof b.mainGroupId === 'number' &&
-        Array.isArray(b.accessoryGroupIds) &&
-        typeof b.reason === 'string' &&
-        typeof b.bundleConfidence === 'number'
-      );
-    }
-
-    res.json({ groups, suggestedBundles });
-  } catch (err) {
-    res.status(500).json({ error: { message: err.message } });
-  }
-});
-
-// ── LOT mode: identify individual items within lot image(s) ──
-app.post('/api/openrouter/identify-lot', async (req, res) => {
-  if (!OPENROUTER_API_KEY) return res.status(400).json({ error: { message: 'OpenRouter API key not configured in .env' } });
-
-  const { images } = req.body;
-  if (!images || images.length === 0) return res.status(400).json({ error: { message: 'No images provided' } });
-
-  try {
-    const imageContent = images.map((b64) => ({
-      type: 'image_url',
-      image_url: { url: `data:image/jpeg;base64,${b64}` }
-    }));
-
-    const prompt = `You will be analyzing ${images.length > 1 ? images.length + ' images that together show' : 'an image that contains'} multiple items (such as books on a shelf, products in a display, trading cards, or any collection of items visible in a photograph). Your task is to identify each individual item as accurately as possible and provide a descriptive title for each one.
-
-Your goal is to:
-1. Carefully examine all visible items in the image${images.length > 1 ? 's' : ''}
-2. Identify each distinct item individually
-3. Provide an accurate, descriptive title for each item
-
-Carefully scan the image${images.length > 1 ? 's' : ''} systematically from left to right, top to bottom. Note any visible text, labels, titles, or identifying features on each item. Count all distinct items.
-
-When identifying items, follow these guidelines:
-- For books: Include the full title as visible on the spine or cover, and author name if visible
-- For products: Include brand name, product name, and any distinguishing features (size, flavor, color, etc.)
-- For cards: Include the card name, set name, or any identifying numbers/text visible
-- For unlabeled items: Provide a clear descriptive title based on what the item appears to be
-- If an item is partially obscured but you can make a reasonable identification, note this with phrases like "appears to be" or "partially visible"
-- If an item cannot be identified at all, note it as "Unidentifiable item" with a brief description of what's visible
-
-Your final answer MUST be ONLY valid JSON, no markdown, no explanation outside the JSON. Use this exact format:
-{
-  "itemCount": <number>,
-  "items": [
-    { "index": 1, "title": "<descriptive title>", "details": "<additional details or empty string>" },
-    { "index": 2, "title": "<descriptive title>", "details": "<additional details or empty string>" }
-  ]
-}
-
-Rules:
-- Every distinct item visible in the image${images.length > 1 ? 's' : ''} must be listed
-- "title" should be the most specific, descriptive name you can determine (brand + product name + distinguishing features)
-- "details" should include author, condition notes, or any extra info in parenthetical style — leave as "" if nothing extra to note
-- Be thorough: scan every part of the image${images.length > 1 ? 's' : ''}, do not skip items just because they are small or partially visible`;
-
-    const maxTokens = Math.max(2000, images.length * 1500);
-    const result = await callGemini([{ type: 'text', text: prompt }, ...imageContent], maxTokens);
-
-    // Normalize: ensure we have the expected format
-    const itemCount = result.itemCount || (result.items ? result.items.length : 0);
-    const items = (result.items || []).map((item, i) => ({
-      index: item.index || i + 1,
-      title: item.title || `Unidentified item ${i + 1}`,
-      details: item.details || '',
-    }));
-
-    res.json({ itemCount, items });
-  } catch (err) {
-    res.status(500).json({ error: { message: err.message } });
-  }
-});
+// ── Item aspects for a category (cached in the database, see item-aspects.js) ──
+// Each aspect carries `usedValues`: the values this account has listed with most often in the category.
+app.get('/api/ebay/item-aspects', async (req, res) => {
+  const { ebayClientId, ebayClientSecret, ebayOAuthToken } = req.userConfig;
+  if (!ebayOAuthToken && (!ebayClientId || !ebayClientSecret)) return res.json({ success: false, error: 'eBay OAuth credentials not configured. Go to Settings.' });
 
-// ── OpenAI proxy ──
-app.post('/api/openai/chat', async (req, res) => {
-  if (!OPENAI_API_KEY) return res.status(400).json({ error: { message: 'OpenAI API key not configured in .env' } });
-  const apiKey = OPENAI_API_KEY;
-  const model = OPENAI_MODEL;
+  const { category_id } = req.query;
+  if (!category_id) return res.json({ success: false, error: 'Missing category_id' });
 
-  const { messages, temperature, max_completion_tokens } = req.body;
   try {
-    const resp = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify({
-        model,
-        messages,
-        temperature: temperature ?? 0.7,
-        max_completion_tokens: max_completion_tokens ?? 4000,
-      }),
-    });
-    const data = await resp.json();
-    if (!resp.ok) return res.status(resp.status).json(data);
-    res.json(data);
+    const token = ebayOAuthToken || await getEbayBrowseToken(req.session.accountId, ebayClientId, ebayClientSecret);
+    const marketplaceId = requestMarketplace(req).id;
+    const [aspects, used] = await Promise.all([
+      getItemAspects(marketplaceId, category_id, token),
+      getUsedValues(req.session.accountId, marketplaceId, category_id),
+    ]);
+    res.json({ success: true, aspects: aspects.map(a => ({ ...a, usedValues: used[a.name] || [] })) });
   } catch (err) {
-    res.status(500).json({ error: { message: err.message } });
+    res.json({ success: false, error: err.message });
   }
 });
 
-// ── Claude proxy (via OpenRouter) ──
-app.post('/api/claude/chat', async (req, res) => {
-  if (!OPENROUTER_API_KEY) return res.status(400).json({ error: { message: 'OpenRouter API key not configured in .env' } });
-
-  const { messages, temperature, max_tokens } = req.body;
+// Fetch aspects for the most-used categories now instead of waiting for the daily pre-warm
+app.post('/api/ebay/item-aspects/prewarm', requireRole('admin'), async (req, res) => {
   try {
-    // Convert messages: extract system prompt for OpenRouter compatibility
-    let systemPrompt = '';
-    const chatMessages = [];
-    for (const msg of messages) {
-      if (msg.role === 'system') {
-        systemPrompt = msg.content;
-      } else {
-        chatMessages.push(msg);
-      }
-    }
-
-    const body = {
-      model: CLAUDE_MODEL,
-      messages: chatMessages,
-      temperature: temperature ?? 0.4,
-      max_tokens: max_tokens ?? 4096,
-    };
-    if (systemPrompt) {
-      body.messages = [{ role: 'system', content: systemPrompt }, ...chatMessages];
-    }
-
-    const resp = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-      },
-      body: JSON.stringify(body),
-    });
-    const data = await resp.json();
-    if (!resp.ok) return res.status(resp.status).json(data);
-    res.json(data);
+    res.json({ success: true, ...(await prewarmAspects()) });
   } catch (err) {
-    res.status(500).json({ error: { message: err.message } });
+    res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ── Item aspects for a category via Taxonomy API ──
-app.get('/api/ebay/item-aspects', async (req, res) => {
+// ── Category suggestions via Taxonomy API ──
+app.get('/api/ebay/category-suggestions', async (req, res) => {
   const { ebayClientId, ebayClientSecret, ebayOAuthToken } = req.userConfig;
   if (!ebayOAuthToken && (!ebayClientId || !ebayClientSecret)) return res.json({ success: false, error: 'eBay OAuth credentials not configured. Go to Settings.' });
 
-  const { category_id } = req.query;
-  if (!category_id) return res.json({ success: false, error: 'Missing category_id' });
+  const { q } = req.query;
+  if (!q) return res.json({ success: false, error: 'Missing search query (q)' });
 
   try {
     const token = ebayOAuthToken || await getEbayBrowseToken(req.session.accountId, ebayClientId, ebayClientSecret);
-    const url = `https://api.ebay.com/commerce/taxonomy/v1/category_tree/0/get_item_aspects_for_category?category_id=${encodeURIComponent(category_id)}`;
-
-    const resp = await fetch(url, {
-      headers: { 'Authorization': `Bearer ${token}` },
-    });
-    const data = await resp.json();
-
-    if (!resp.ok) {
-      return res.json({ success: false, error: data.errors?.[0]?.longMessage || `Taxonomy API error ${resp.status}` });
-    }
-
-    const aspects = (data.aspects || []).map(a => ({
-      name: a.localizedAspectName,
-      required: a.aspectConstraint?.aspectRequired || false,
-      usage: a.aspectConstraint?.aspectUsage || 'OPTIONAL',
-      mode: a.aspectConstraint?.aspectMode || 'FREE_TEXT',
-      multi: a.aspectConstraint?.itemToAspectCardinality === 'MULTI',
-      values: (a.aspectValues || []).map(v => v.localizedValue),
-    }));
-
-    res.json({ success: true, aspects });
+    const suggestions = await suggestCategories(requestMarketplace(req), q, token, ebayOAuthToken);
+    res.json({ success: true, suggestions });
   } catch (err) {
     res.json({ success: false, error: err.message });
   }
 });
 
-// ── Category suggestions via Taxonomy API ──
-app.get('/api/ebay/category-suggestions', async (req, res) => {
-  const { ebayClientId, ebayClientSecret, ebayOAuthToken } = req.userConfig;
-  if (!ebayOAuthToken && (!ebayClientId || !ebayClientSecret)) return res.json({ success: false, error: 'eBay OAuth credentials not configured. Go to Settings.' });
-
+// ── Local category tree (downloaded per marketplace, see category-tree.js) ──
+app.get('/api/ebay/categories/search', async (req, res) => {
   const { q } = req.query;
   if (!q) return res.json({ success: false, error: 'Missing search query (q)' });
-
   try {
-    const token = ebayOAuthToken || await getEbayBrowseToken(req.session.accountId, ebayClientId, ebayClientSecret);
-    const url = `https://api.ebay.com/commerce/taxonomy/v1/category_tree/0/get_category_suggestions?q=${encodeURIComponent(q)}`;
-
-    const resp = await fetch(url, {
-      headers: { 'Authorization': `Bearer ${token}` },
-    });
-    const data = await resp.json();
-
-    if (!resp.ok) {
-      return res.json({ success: false, error: data.errors?.[0]?.longMessage || data.errors?.[0]?.message || `Taxonomy API error ${resp.status}` });
-    }
-
-    const rawSuggestions = (data.categorySuggestions || []).map(s => {
-      const ancestors = (s.categoryTreeNodeAncestors || [])
-        .sort((a, b) => a.categoryTreeNodeLevel - b.categoryTreeNodeLevel)
-        .map(a => a.categoryName);
-      const pathStr = [...ancestors, s.category.categoryName].join(' > ');
-      return { id: s.category.categoryId, name: s.category.categoryName, path: pathStr };
-    });
+    res.json({ success: true, categories: await searchCategories(requestMarketplace(req).id, q, req.userConfig.ebayOAuthToken) });
+  } catch (err) {
+    res.json({ success: false, error: `Category tree unavailable: ${err.message}` });
+  }
+});
 
-    res.json({ success: true, suggestions: rawSuggestions });
+// One category with its breadcrumb, leaf flag and listable children (for browsing down from a parent)
+app.get('/api/ebay/categories/:id', async (req, res) => {
+  try {
+    const marketplaceId = requestMarketplace(req).id;
+    const tree = await loadTree(marketplaceId, req.userConfig.ebayOAuthToken);
+    const category = tree.byId.get(req.params.id);
+    if (!category) return res.status(404).json({ success: false, error: 'Category not found' });
+    const children = [...tree.byId.values()]
+      .filter(c => c.parentId === category.id && !c.expired)
+      .map(({ id, name, leaf }) => ({ id, name, leaf }));
+    res.json({ success: true, category, children });
   } catch (err) {
-    res.json({ success: false, error: err.message });
+    res.json({ success: false, error: `Category tree unavailable: ${err.message}` });
   }
 });
 
@@ -865,7 +270,8 @@ app.get('/api/ebay/price-range', async (req, res) => {
   try {
     const token = ebayOAuthToken || await getEbayBrowseToken(req.session.accountId, ebayClientId, ebayClientSecret);
 
-    let filters = 'priceCurrency:USD,buyingOptions:{FIXED_PRICE|BEST_OFFER}';
+    const marketplace = requestMarketplace(req);
+    let filters = `priceCurrency:${marketplace.currency},buyingOptions:{FIXED_PRICE|BEST_OFFER}`;
     if (condition_id) filters += `,conditionIds:{${condition_id}}`;
 
     let url = `https://api.ebay.com/buy/browse/v1/item_summary/search?q=${encodeURIComponent(q)}&filter=${encodeURIComponent(filters)}&sort=price&limit=200`;
@@ -874,7 +280,7 @@ app.get('/api/ebay/price-range', async (req, res) => {
     const resp = await fetch(url, {
       headers: {
         'Authorization': `Bearer ${token}`,
-        'X-EBAY-C-MARKETPLACE-ID': 'EBAY_US',
+        'X-EBAY-C-MARKETPLACE-ID': marketplace.id,
       },
     });
     const data = await resp.json();
@@ -906,6 +312,7 @@ app.get('/api/ebay/price-range', async (req, res) => {
     res.json({
       success: true,
       count: prices.length,
+      currency: marketplace.currency,
       low: +low.toFixed(2),
       high: +high.toFixed(2),
       avg: +avg.toFixed(2),
@@ -931,7 +338,8 @@ app.get('/api/ebay/sold-listings', async (req, res) => {
   try {
     const token = ebayOAuthToken || await getEbayBrowseToken(req.session.accountId, appClientId, appClientSecret);
 
-    let filters = 'priceCurrency:USD,buyingOptions:{FIXED_PRICE|BEST_OFFER|AUCTION}';
+    const marketplace = requestMarketplace(req);
+    let filters = `priceCurrency:${marketplace.currency},buyingOptions:{FIXED_PRICE|BEST_OFFER|AUCTION}`;
     if (condition_id) filters += `,conditionIds:{${condition_id}}`;
 
     let url = `https://api.ebay.com/buy/browse/v1/item_summary/search?q=${encodeURIComponent(q)}&filter=${encodeURIComponent(filters)}&sort=price&limit=100`;
@@ -940,7 +348,7 @@ app.get('/api/ebay/sold-listings', async (req, res) => {
     const resp = await fetch(url, {
       headers: {
         'Authorization': `Bearer ${token}`,
-        'X-EBAY-C-MARKETPLACE-ID': 'EBAY_US',
+        'X-EBAY-C-MARKETPLACE-ID': marketplace.id,
       },
     });
     const data = await resp.json();
@@ -977,6 +385,7 @@ app.get('/api/ebay/sold-listings', async (req, res) => {
     res.json({
       success: true,
       count: listings.length,
+      currency: marketplace.currency,
       stats: {
         avg: +avg.toFixed(2),
         median: +median.toFixed(2),
@@ -994,24 +403,35 @@ app.get('/api/ebay/sold-listings', async (req, res) => {
 const scrapeCache = new Map();
 const SCRAPE_CACHE_TTL = 15 * 60 * 1000; // 15 minutes
 
+// Amounts in scraped text as the marketplace writes them: "$1,234.56", "£12.99", "EUR 1.234,56", "12,99 €"
+function scrapedAmounts(text, marketplace) {
+  const decimal = new Intl.NumberFormat(marketplace.language).formatToParts(1.5).find(p => p.type === 'decimal').value;
+  const sign = `(?:${marketplace.symbol.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}|${marketplace.currency})`;
+  return [...text.matchAll(new RegExp(`${sign}\\s*(\\d[\\d.,]*)|(\\d[\\d.,]*)\\s*${sign}`, 'g'))]
+    .map(m => parseFloat((m[1] || m[2]).split(decimal).map(part => part.replace(/[.,]/g, '')).join('.')))
+    .filter(n => !isNaN(n));
+}
+
 app.get('/api/ebay/sold-scrape', requireAuth, loadUserConfig, async (req, res) => {
   const { q } = req.query;
   if (!q) return res.json({ success: false, error: 'Missing search query (q)' });
 
-  const cacheKey = q.toLowerCase().trim();
+  const marketplace = requestMarketplace(req);
+  const money = new Intl.NumberFormat(marketplace.language, { style: 'currency', currency: marketplace.currency });
+  const cacheKey = `${marketplace.id}:${q.toLowerCase().trim()}`;
   const cached = scrapeCache.get(cacheKey);
   if (cached && Date.now() - cached.ts < SCRAPE_CACHE_TTL) {
     return res.json(cached.data);
   }
 
   try {
-    const url = `https://www.ebay.com/sch/i.html?_nkw=${encodeURIComponent(q)}&LH_Sold=1&LH_Complete=1&_ipg=120&_sop=13`;
+    const url = `https://${marketplace.domain}/sch/i.html?_nkw=${encodeURIComponent(q)}&LH_Sold=1&LH_Complete=1&_ipg=120&_sop=13`;
 
     const resp = await fetch(url, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.9',
+        'Accept-Language': `${marketplace.language},${marketplace.language.split('-')[0]};q=0.9`,
       },
     });
 
@@ -1033,19 +453,15 @@ app.get('/api/ebay/sold-scrape', requireAuth, loadUserConfig, async (req, res) =
 
       // Price
       const priceText = card.find('.s-card__price').first().text().trim();
-      const priceRange = priceText.match(/\$([\d,]+\.?\d*)\s*to\s*\$([\d,]+\.?\d*)/);
-      let price;
-      if (priceRange) {
-        price = (parseFloat(priceRange[1].replace(/,/g, '')) + parseFloat(priceRange[2].replace(/,/g, ''))) / 2;
-      } else {
-        const priceMatch = priceText.match(/\$([\d,]+\.?\d*)/);
-        price = priceMatch ? parseFloat(priceMatch[1].replace(/,/g, '')) : 0;
-      }
+      const amounts = scrapedAmounts(priceText, marketplace);
+      const price = amounts.length >= 2 && /\s(?:to|bis)\s/.test(priceText)
+        ? (amounts[0] + amounts[1]) / 2
+        : amounts[0] || 0;
       if (price <= 0) return;
 
       // Sold date
       const cardText = card.text();
-      const dateMatch = cardText.match(/Sold\s+([A-Z][a-z]+\s+\d+,\s+\d{4})/);
+      const dateMatch = cardText.match(/(?:Sold|Verkauft)\s+(\S[^\n]{0,20}?\d{4})/);
       const soldDate = dateMatch ? dateMatch[1].trim() : '';
 
       // Condition
@@ -1053,18 +469,13 @@ app.get('/api/ebay/sold-scrape', requireAuth, loadUserConfig, async (req, res) =
       const condition = conditionText.replace(/\s*·\s*$/, '').trim() || 'Unknown';
 
       // Shipping
-      const shippingText = cardText.match(/(Free delivery|[\+]?\$[\d.]+\s*delivery)/i);
+      // Shipping ("+$4.99 delivery", "+£3.50 postage", "+EUR 4,99 Versand"); free or unknown counts as 0
       let shipping = 0;
       let shippingLabel = 'Free';
+      const shippingText = cardText.match(/\S*\s*[\d.,]+\s*\S*\s*(?:delivery|postage|shipping|Versand)/i);
       if (shippingText) {
-        if (shippingText[1].toLowerCase().includes('free')) {
-          shipping = 0;
-          shippingLabel = 'Free';
-        } else {
-          const shipMatch = shippingText[1].match(/\$([\d.]+)/);
-          shipping = shipMatch ? parseFloat(shipMatch[1]) : 0;
-          shippingLabel = `$${shipping.toFixed(2)}`;
-        }
+        shipping = scrapedAmounts(shippingText[0], marketplace)[0] || 0;
+        if (shipping > 0) shippingLabel = money.format(shipping);
       }
 
       // Image
@@ -1102,6 +513,7 @@ app.get('/api/ebay/sold-scrape', requireAuth, loadUserConfig, async (req, res) =
     const result = {
       success: true,
       count: listings.length,
+      currency: marketplace.currency,
       stats: {
         avg: +avg.toFixed(2),
         median: +median.toFixed(2),
@@ -1122,4 +534,12 @@ app.get('/api/ebay/sold-scrape', requireAuth, loadUserConfig, async (req, res) =
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`\n  LazyListings running at http://localhost:${PORT}\n`);
+  startScheduler();
+  startOrderSync();
+  startReconciler();
+  startCategoryTreeRefresh();
+  startAspectPrewarm();
+  startPublishQueue();
+  startPipelineWorkers();
+  resumeBulkRevisions().catch(err => console.error('[bulk-revise] Resume failed:', err));
 });
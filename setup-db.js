@@ -99,6 +99,235 @@ async function setup() {
     );
     CREATE INDEX IF NOT EXISTS "IDX_reset_codes_user_id" ON "password_reset_codes" ("user_id");
     CREATE INDEX IF NOT EXISTS "IDX_reset_codes_expires" ON "password_reset_codes" ("expires_at");
+
+    CREATE TABLE IF NOT EXISTS "orders" (
+      "id" SERIAL PRIMARY KEY,
+      "account_id" INTEGER NOT NULL REFERENCES "users"("id"),
+      "listing_id" INTEGER REFERENCES "listings"("id") ON DELETE SET NULL,
+      "ebay_order_id" VARCHAR(50) NOT NULL,
+      "line_item_id" VARCHAR(50) NOT NULL,
+      "ebay_item_id" VARCHAR(50),
+      "sku" VARCHAR(100),
+      "title" VARCHAR(255),
+      "quantity" INTEGER NOT NULL DEFAULT 1,
+      "buyer_username" VARCHAR(100),
+      "buyer_name" VARCHAR(255),
+      "total" NUMERIC(10,2) NOT NULL DEFAULT 0,
+      "currency" VARCHAR(3) NOT NULL DEFAULT 'USD',
+      "fulfillment_status" VARCHAR(20) NOT NULL DEFAULT 'NOT_STARTED',
+      "payment_status" VARCHAR(30),
+      "cancelled" BOOLEAN NOT NULL DEFAULT false,
+      "ship_by_date" TIMESTAMPTZ,
+      "ordered_at" TIMESTAMPTZ,
+      "synced_at" TIMESTAMP DEFAULT NOW(),
+      UNIQUE ("account_id", "line_item_id")
+    );
+    CREATE INDEX IF NOT EXISTS "IDX_orders_account_id" ON "orders" ("account_id", "ordered_at" DESC);
+    CREATE INDEX IF NOT EXISTS "IDX_orders_listing_id" ON "orders" ("listing_id");
+
+    CREATE TABLE IF NOT EXISTS "listing_reconciliations" (
+      "id" SERIAL PRIMARY KEY,
+      "account_id" INTEGER NOT NULL REFERENCES "users"("id"),
+      "started_at" TIMESTAMP DEFAULT NOW(),
+      "finished_at" TIMESTAMP,
+      "checked" INTEGER NOT NULL DEFAULT 0,
+      "updated" INTEGER NOT NULL DEFAULT 0,
+      "ended" INTEGER NOT NULL DEFAULT 0,
+      "reactivated" INTEGER NOT NULL DEFAULT 0,
+      "unknown_listings" JSONB,
+      "error" TEXT
+    );
+    CREATE INDEX IF NOT EXISTS "IDX_listing_reconciliations_account_id" ON "listing_reconciliations" ("account_id", "started_at" DESC);
+
+    CREATE TABLE IF NOT EXISTS "publish_queue" (
+      "id" SERIAL PRIMARY KEY,
+      "account_id" INTEGER NOT NULL REFERENCES "users"("id"),
+      "batch_id" UUID NOT NULL,
+      "draft_id" INTEGER NOT NULL REFERENCES "drafts"("id") ON DELETE CASCADE,
+      "queued_by" INTEGER REFERENCES "users"("id"),
+      "status" VARCHAR(20) NOT NULL DEFAULT 'queued',
+      "attempts" INTEGER NOT NULL DEFAULT 0,
+      "next_attempt_at" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      "last_error" TEXT,
+      "ebay_item_id" VARCHAR(50),
+      "created_at" TIMESTAMPTZ DEFAULT NOW(),
+      "started_at" TIMESTAMPTZ,
+      "finished_at" TIMESTAMPTZ
+    );
+    CREATE INDEX IF NOT EXISTS "IDX_publish_queue_pending" ON "publish_queue" ("next_attempt_at") WHERE "status" = 'queued';
+    CREATE INDEX IF NOT EXISTS "IDX_publish_queue_account_id" ON "publish_queue" ("account_id", "created_at" DESC);
+
+    CREATE TABLE IF NOT EXISTS "pipeline_jobs" (
+      "id" SERIAL PRIMARY KEY,
+      "account_id" INTEGER NOT NULL REFERENCES "users"("id"),
+      "upload_id" UUID NOT NULL,
+      "type" VARCHAR(20) NOT NULL,
+      "draft_id" INTEGER REFERENCES "drafts"("id") ON DELETE CASCADE,
+      "created_by" INTEGER REFERENCES "users"("id"),
+      "options" JSONB NOT NULL DEFAULT '{}',
+      "status" VARCHAR(20) NOT NULL DEFAULT 'queued',
+      "attempts" INTEGER NOT NULL DEFAULT 0,
+      "next_attempt_at" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      "last_error" TEXT,
+      "result" JSONB,
+      "created_at" TIMESTAMPTZ DEFAULT NOW(),
+      "started_at" TIMESTAMPTZ,
+      "finished_at" TIMESTAMPTZ
+    );
+    CREATE INDEX IF NOT EXISTS "IDX_pipeline_jobs_pending" ON "pipeline_jobs" ("next_attempt_at") WHERE "status" = 'queued';
+    CREATE INDEX IF NOT EXISTS "IDX_pipeline_jobs_account_id" ON "pipeline_jobs" ("account_id", "created_at" DESC);
+
+    CREATE TABLE IF NOT EXISTS "pipeline_images" (
+      "id" SERIAL PRIMARY KEY,
+      "job_id" INTEGER NOT NULL REFERENCES "pipeline_jobs"("id") ON DELETE CASCADE,
+      "image_index" INTEGER NOT NULL,
+      "base64_data" TEXT NOT NULL,
+      "filename" VARCHAR(255),
+      "mime_type" VARCHAR(50),
+      "image_hash" VARCHAR(16)
+    );
+    CREATE INDEX IF NOT EXISTS "IDX_pipeline_images_job_id" ON "pipeline_images" ("job_id");
+
+    CREATE TABLE IF NOT EXISTS "ai_response_errors" (
+      "id" SERIAL PRIMARY KEY,
+      "account_id" INTEGER REFERENCES "users"("id") ON DELETE CASCADE,
+      "task" VARCHAR(20) NOT NULL,
+      "provider" VARCHAR(20),
+      "model" VARCHAR(100),
+      "attempt" INTEGER NOT NULL,
+      "stage" VARCHAR(10) NOT NULL,
+      "errors" JSONB NOT NULL,
+      "response" TEXT,
+      "created_at" TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS "IDX_ai_response_errors_account_id" ON "ai_response_errors" ("account_id", "created_at" DESC);
+
+    CREATE TABLE IF NOT EXISTS "bulk_revisions" (
+      "id" SERIAL PRIMARY KEY,
+      "account_id" INTEGER NOT NULL REFERENCES "users"("id"),
+      "created_by" INTEGER REFERENCES "users"("id"),
+      "filters" JSONB NOT NULL,
+      "changes" JSONB NOT NULL,
+      "status" VARCHAR(20) NOT NULL DEFAULT 'running',
+      "total" INTEGER NOT NULL DEFAULT 0,
+      "succeeded" INTEGER NOT NULL DEFAULT 0,
+      "failed" INTEGER NOT NULL DEFAULT 0,
+      "created_at" TIMESTAMP DEFAULT NOW(),
+      "finished_at" TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS "IDX_bulk_revisions_account_id" ON "bulk_revisions" ("account_id", "created_at" DESC);
+
+    CREATE TABLE IF NOT EXISTS "bulk_revision_items" (
+      "id" SERIAL PRIMARY KEY,
+      "revision_id" INTEGER NOT NULL REFERENCES "bulk_revisions"("id") ON DELETE CASCADE,
+      "listing_id" INTEGER REFERENCES "listings"("id") ON DELETE SET NULL,
+      "ebay_item_id" VARCHAR(50),
+      "title" VARCHAR(100),
+      "sku" VARCHAR(100),
+      "old_price" NUMERIC(10,2),
+      "new_price" NUMERIC(10,2),
+      "old_quantity" INTEGER,
+      "new_quantity" INTEGER,
+      "status" VARCHAR(20) NOT NULL DEFAULT 'pending',
+      "error" TEXT,
+      "processed_at" TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS "IDX_bulk_revision_items_revision_id" ON "bulk_revision_items" ("revision_id");
+
+    CREATE TABLE IF NOT EXISTS "shipping_policy_rules" (
+      "id" SERIAL PRIMARY KEY,
+      "account_id" INTEGER NOT NULL REFERENCES "users"("id"),
+      "marketplace_id" VARCHAR(20),
+      "max_weight_lbs" NUMERIC(8,2),
+      "max_length_in" NUMERIC(6,1),
+      "shipping_policy_id" VARCHAR(50) NOT NULL,
+      "shipping_policy_name" VARCHAR(255),
+      "sort_order" INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE INDEX IF NOT EXISTS "IDX_shipping_policy_rules_account_id" ON "shipping_policy_rules" ("account_id", "sort_order");
+
+    CREATE TABLE IF NOT EXISTS "best_offer_rules" (
+      "id" SERIAL PRIMARY KEY,
+      "account_id" INTEGER NOT NULL REFERENCES "users"("id"),
+      "marketplace_id" VARCHAR(20),
+      "category_id" VARCHAR(20),
+      "category_name" VARCHAR(255),
+      "basis" VARCHAR(10) NOT NULL DEFAULT 'price',
+      "auto_accept_percent" NUMERIC(5,2),
+      "decline_percent" NUMERIC(5,2),
+      "fee_percent" NUMERIC(5,2),
+      "fee_fixed" NUMERIC(10,2),
+      "sort_order" INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE INDEX IF NOT EXISTS "IDX_best_offer_rules_account_id" ON "best_offer_rules" ("account_id", "sort_order");
+
+    CREATE TABLE IF NOT EXISTS "listing_defaults" (
+      "account_id" INTEGER PRIMARY KEY REFERENCES "users"("id"),
+      "handling_time" INTEGER NOT NULL DEFAULT 3,
+      "item_location" VARCHAR(255),
+      "postal_code" VARCHAR(20),
+      "condition_id" VARCHAR(10) NOT NULL DEFAULT '3000',
+      "shipping_policy_id" VARCHAR(50),
+      "return_policy_id" VARCHAR(50),
+      "payment_policy_id" VARCHAR(50),
+      "best_offer_enabled" BOOLEAN NOT NULL DEFAULT false,
+      "auto_accept_percent" NUMERIC(5,2),
+      "auto_decline_percent" NUMERIC(5,2),
+      "auto_pay" BOOLEAN NOT NULL DEFAULT true,
+      "private_listing" BOOLEAN NOT NULL DEFAULT false,
+      "updated_at" TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS "category_trees" (
+      "marketplace_id" VARCHAR(20) PRIMARY KEY,
+      "category_tree_id" VARCHAR(10) NOT NULL,
+      "version" VARCHAR(20) NOT NULL,
+      "category_count" INTEGER NOT NULL DEFAULT 0,
+      "mappings_fetched_at" TIMESTAMP,
+      "refreshed_at" TIMESTAMP NOT NULL DEFAULT NOW(),
+      "checked_at" TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS "categories" (
+      "marketplace_id" VARCHAR(20) NOT NULL,
+      "category_id" VARCHAR(20) NOT NULL,
+      "parent_id" VARCHAR(20),
+      "name" VARCHAR(255) NOT NULL,
+      "path" TEXT NOT NULL,
+      "level" INTEGER NOT NULL,
+      "leaf" BOOLEAN NOT NULL,
+      "expired" BOOLEAN NOT NULL DEFAULT false,
+      "tree_version" VARCHAR(20) NOT NULL,
+      PRIMARY KEY ("marketplace_id", "category_id")
+    );
+    CREATE INDEX IF NOT EXISTS "IDX_categories_parent_id" ON "categories" ("marketplace_id", "parent_id");
+
+    CREATE TABLE IF NOT EXISTS "category_mappings" (
+      "marketplace_id" VARCHAR(20) NOT NULL,
+      "old_id" VARCHAR(20) NOT NULL,
+      "new_id" VARCHAR(20) NOT NULL,
+      PRIMARY KEY ("marketplace_id", "old_id")
+    );
+
+    CREATE TABLE IF NOT EXISTS "category_aspects" (
+      "marketplace_id" VARCHAR(20) NOT NULL,
+      "category_id" VARCHAR(20) NOT NULL,
+      "tree_version" VARCHAR(20),
+      "aspects" JSONB NOT NULL,
+      "fetched_at" TIMESTAMP NOT NULL DEFAULT NOW(),
+      PRIMARY KEY ("marketplace_id", "category_id")
+    );
+
+    CREATE TABLE IF NOT EXISTS "aspect_value_usage" (
+      "account_id" INTEGER NOT NULL REFERENCES "users"("id") ON DELETE CASCADE,
+      "marketplace_id" VARCHAR(20) NOT NULL,
+      "category_id" VARCHAR(20) NOT NULL,
+      "aspect_name" VARCHAR(255) NOT NULL,
+      "value" VARCHAR(255) NOT NULL,
+      "use_count" INTEGER NOT NULL DEFAULT 1,
+      "last_used_at" TIMESTAMP NOT NULL DEFAULT NOW(),
+      PRIMARY KEY ("account_id", "marketplace_id", "category_id", "aspect_name", "value")
+    );
   `);
 
   // Add columns that may not exist on older installations
@@ -118,6 +347,69 @@ async function setup() {
     `ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "ebay_oauth_token_expiry" TIMESTAMP`,
     `ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "ebay_oauth_username" VARCHAR(255)`,
     `ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "lifetime_member" BOOLEAN DEFAULT false`,
+    `ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "quantity" INTEGER DEFAULT 1`,
+    `ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "sku" VARCHAR(100)`,
+    `ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "status" VARCHAR(20) NOT NULL DEFAULT 'active'`,
+    `ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "end_reason" VARCHAR(50)`,
+    `ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "ended_at" TIMESTAMP`,
+    `ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "updated_at" TIMESTAMP DEFAULT NOW()`,
+    `ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "offer_id" VARCHAR(50)`,
+    `ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "ebay_publish_method" VARCHAR(20) NOT NULL DEFAULT 'trading'`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "scheduled_at" TIMESTAMPTZ`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "scheduled_by" INTEGER REFERENCES "users"("id")`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "publish_error" TEXT`,
+    `CREATE INDEX IF NOT EXISTS "IDX_drafts_scheduled_at" ON "drafts" ("scheduled_at") WHERE "scheduled_at" IS NOT NULL`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "listing_format" VARCHAR(20) NOT NULL DEFAULT 'FixedPriceItem'`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "listing_duration" VARCHAR(10)`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "reserve_price" NUMERIC(10,2)`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "buy_it_now_price" NUMERIC(10,2)`,
+    `ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "listing_format" VARCHAR(20) NOT NULL DEFAULT 'FixedPriceItem'`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "variation_parent_id" INTEGER REFERENCES "drafts"("id") ON DELETE SET NULL`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "variation_specifics" JSONB`,
+    `CREATE INDEX IF NOT EXISTS "IDX_drafts_variation_parent_id" ON "drafts" ("variation_parent_id") WHERE "variation_parent_id" IS NOT NULL`,
+    `ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "variation_specifics" JSONB`,
+    `ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "ebay_marketplace" VARCHAR(20) NOT NULL DEFAULT 'EBAY_US'`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "marketplace_id" VARCHAR(20)`,
+    `ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "marketplace_id" VARCHAR(20) NOT NULL DEFAULT 'EBAY_US'`,
+    `ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "orders_synced_at" TIMESTAMPTZ`,
+    `ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "quantity_sold" INTEGER NOT NULL DEFAULT 0`,
+    `ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "watch_count" INTEGER NOT NULL DEFAULT 0`,
+    `ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "reconciled_at" TIMESTAMP`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "package_weight_lbs" NUMERIC(8,2)`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "package_length_in" NUMERIC(6,1)`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "package_width_in" NUMERIC(6,1)`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "package_depth_in" NUMERIC(6,1)`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "package_type" VARCHAR(30)`,
+    `ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "promoted_campaign_id" VARCHAR(50)`,
+    `ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "promoted_campaign_name" VARCHAR(255)`,
+    `ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "promoted_ad_rate" NUMERIC(4,1)`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "promoted_ad_rate" NUMERIC(4,1)`,
+    `ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "promoted_campaign_id" VARCHAR(50)`,
+    `ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "promoted_ad_id" VARCHAR(50)`,
+    `ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "promoted_ad_rate" NUMERIC(4,1)`,
+    `ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "promote_error" TEXT`,
+    `ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "ebay_oauth_scopes" TEXT`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "payment_policy_id" VARCHAR(50)`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "handling_time" INTEGER`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "item_location" VARCHAR(255)`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "postal_code" VARCHAR(20)`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "private_listing" BOOLEAN NOT NULL DEFAULT false`,
+    `ALTER TABLE "draft_images" ADD COLUMN IF NOT EXISTS "image_hash" VARCHAR(16)`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "duplicates_confirmed" BOOLEAN NOT NULL DEFAULT false`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "epid" VARCHAR(20)`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "catalog_product" JSONB`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "use_stock_photo" BOOLEAN NOT NULL DEFAULT false`,
+    `ALTER TABLE "drafts" ADD COLUMN IF NOT EXISTS "cost" NUMERIC(10,2)`,
+    `ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "cost" NUMERIC(10,2)`,
+    `ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "best_offer_enabled" BOOLEAN NOT NULL DEFAULT false`,
+    `ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "auto_accept_price" NUMERIC(10,2)`,
+    `ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "min_best_offer_price" NUMERIC(10,2)`,
+    `UPDATE "listings" l SET best_offer_enabled = true, auto_accept_price = d.auto_accept_price, min_best_offer_price = d.min_best_offer_price
+     FROM "drafts" d WHERE d.account_id = l.account_id AND d.ebay_item_id = l.ebay_item_id
+       AND d.best_offer_enabled = true AND l.best_offer_enabled = false AND l.auto_accept_price IS NULL AND l.min_best_offer_price IS NULL`,
+    `ALTER TABLE "bulk_revision_items" ADD COLUMN IF NOT EXISTS "new_auto_accept_price" NUMERIC(10,2)`,
+    `ALTER TABLE "bulk_revision_items" ADD COLUMN IF NOT EXISTS "new_min_best_offer_price" NUMERIC(10,2)`,
+    `ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "ai_settings" JSONB`,
   ];
   for (const sql of migrations) {
     try { await pool.query(sql); } catch (e) { /* column may already exist */ }
@@ -0,0 +1,92 @@
+const pool = require('./db');
+const { isMarketplace } = require('./marketplaces');
+
+// Trading API ShippingPackage codes and their Inventory API packageType equivalents
+const PACKAGE_TYPES = {
+  Letter: 'LETTER',
+  LargeEnvelope: 'LARGE_ENVELOPE',
+  PackageThickEnvelope: 'PACKAGE_THICK_ENVELOPE',
+  USPSLargePack: 'USPS_LARGE_PACK',
+  VeryLargePack: 'VERY_LARGE_PACK',
+  ExtraLargePack: 'EXTRA_LARGE_PACK',
+};
+
+const MAX_RULES = 50;
+
+// Weight (lbs) and longest side (inches) of an add-item payload; NaN when unknown
+function packageSize(item) {
+  const dims = [item.packageLengthIn, item.packageWidthIn, item.packageDepthIn]
+    .map(d => parseFloat(d))
+    .filter(d => d > 0);
+  return {
+    weight: parseFloat(item.packageWeightLbs),
+    longest: dims.length > 0 ? Math.max(...dims) : NaN,
+  };
+}
+
+// Validate a full rule list from PUT /api/config/shipping-rules; returns { error } or { rules }
+function parseRules(body) {
+  if (!Array.isArray(body.rules)) return { error: 'rules must be an array' };
+  if (body.rules.length > MAX_RULES) return { error: `At most ${MAX_RULES} rules are allowed` };
+  const rules = [];
+  for (const [i, r] of body.rules.entries()) {
+    const label = `Rule ${i + 1}`;
+    if (!r.shipping_policy_id) return { error: `${label}: choose a shipping policy` };
+    if (r.marketplace_id && !isMarketplace(r.marketplace_id)) return { error: `${label}: invalid marketplace` };
+    const limit = (value) => (value === undefined || value === null || value === '') ? null : parseFloat(value);
+    const maxWeight = limit(r.max_weight_lbs);
+    const maxLength = limit(r.max_length_in);
+    if (maxWeight !== null && !(maxWeight > 0)) return { error: `${label}: max weight must be greater than zero` };
+    if (maxLength !== null && !(maxLength > 0)) return { error: `${label}: max length must be greater than zero` };
+    rules.push({
+      marketplace_id: r.marketplace_id || null,
+      max_weight_lbs: maxWeight,
+      max_length_in: maxLength,
+      shipping_policy_id: String(r.shipping_policy_id),
+      shipping_policy_name: r.shipping_policy_name ? String(r.shipping_policy_name).substring(0, 255) : null,
+    });
+  }
+  return { rules };
+}
+
+async function listRules(accountId) {
+  const result = await pool.query(
+    `SELECT id, marketplace_id, max_weight_lbs, max_length_in, shipping_policy_id, shipping_policy_name
+     FROM shipping_policy_rules WHERE account_id = $1 ORDER BY sort_order, id`,
+    [accountId]
+  );
+  return result.rows;
+}
+
+// Replace the account's rules; list order becomes match order
+async function replaceRules(accountId, rules) {
+  await pool.query('DELETE FROM shipping_policy_rules WHERE account_id = $1', [accountId]);
+  for (const [i, r] of rules.entries()) {
+    await pool.query(
+      `INSERT INTO shipping_policy_rules (account_id, marketplace_id, max_weight_lbs, max_length_in,
+         shipping_policy_id, shipping_policy_name, sort_order)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [accountId, r.marketplace_id, r.max_weight_lbs, r.max_length_in, r.shipping_policy_id, r.shipping_policy_name, i]
+    );
+  }
+}
+
+// First rule whose weight/size band fits the package. A rule with a limit only matches when
+// that measurement is known, so an unweighed item falls through to a rule without limits.
+async function matchShippingRule(accountId, marketplaceId, item) {
+  if (!accountId) return null;
+  const { weight, longest } = packageSize(item);
+  const result = await pool.query(
+    `SELECT shipping_policy_id, max_weight_lbs, max_length_in FROM shipping_policy_rules
+     WHERE account_id = $1 AND (marketplace_id IS NULL OR marketplace_id = $2)
+     ORDER BY sort_order, id`,
+    [accountId, marketplaceId]
+  );
+  const rule = result.rows.find(r =>
+    (r.max_weight_lbs === null || weight <= parseFloat(r.max_weight_lbs))
+    && (r.max_length_in === null || longest <= parseFloat(r.max_length_in))
+  );
+  return rule ? rule.shipping_policy_id : null;
+}
+
+module.exports = { PACKAGE_TYPES, packageSize, parseRules, listRules, replaceRules, matchShippingRule };